@@ -4,7 +4,8 @@ const PhonebankMonitor = require('./src/PhonebankMonitor');
 const DashboardServer = require('./src/dashboard/DashboardServer');
 
 class PhonebankApp {
-  constructor() {
+  constructor(configPath = './config.json') {
+    this.configPath = configPath;
     this.monitor = null;
     this.dashboard = null;
     this.isShuttingDown = false;
@@ -16,7 +17,7 @@ class PhonebankApp {
       console.log('='.repeat(50));
       
       // Initialize monitor
-      this.monitor = new PhonebankMonitor('./config.json');
+      this.monitor = new PhonebankMonitor(this.configPath);
       
       // Wait for database initialization
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -44,7 +45,7 @@ class PhonebankApp {
       
       console.log('\n' + '='.repeat(50));
       console.log('🎉 Phonebank Monitoring System is now running!');
-      console.log('📊 Dashboard: http://localhost:3000');
+      console.log(`📊 Dashboard: http://localhost:${this.monitor.config.get('dashboard.port') || 3000}`);
       console.log('🔍 Monitoring: Active');
       console.log('='.repeat(50));
       
@@ -135,10 +136,20 @@ class PhonebankApp {
 
 // CLI handling
 const args = process.argv.slice(2);
+const configIndex = args.indexOf('--config');
+const configPath = configIndex !== -1 ? args[configIndex + 1] : './config.json';
+if (configIndex !== -1) {
+  args.splice(configIndex, 2);
+}
 const command = args[0] || 'start';
 
 async function main() {
-  const app = new PhonebankApp();
+  if (!configPath) {
+    console.error('Missing path after --config');
+    process.exit(1);
+  }
+
+  const app = new PhonebankApp(configPath);
   
   switch (command) {
     case 'start':
@@ -163,9 +174,13 @@ Commands:
   status    Show current system status
   help      Show this help message
 
+Options:
+  --config <file>   Use another config file (default ./config.json)
+
 Examples:
   node app.js start
   node app.js status
+  node app.js start --config config.simulator.json
   npm start
   npm run dev
 
@@ -1,7 +1,13 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
+const path = require('path');
+const { resolveProfile } = require('./src/probes/profiles');
 
 async function bukaSitus() {
+  // Selectors come from the default scrape profile in the config.json next to this script
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
+  const { fields } = resolveProfile(config.profiles, 'default');
+
   const browser = await puppeteer.launch({
     headless: true,
     args: ['--no-sandbox', '--disable-setuid-sandbox'],
@@ -75,13 +81,13 @@ async function bukaSitus() {
 
         await page.waitForTimeout(5000);
 
-        const authorized = await page.$eval('#auth', (element) => element.textContent);
+        const authorized = await page.$eval(fields.authorized.selector, (element) => element.textContent);
         console.log('Teks Identity (Authorized):', authorized);
 
-        const unauthorized = await page.$eval('#unauth', (element) => element.textContent);
+        const unauthorized = await page.$eval(fields.unauthorized.selector, (element) => element.textContent);
         console.log('Teks Identity (Unauthorized):', unauthorized);
 
-        const ipValue = await page.$eval('#ip', (element) => element.value);
+        const ipValue = await page.$eval(fields.phonebankIp.selector, (element) => element.value);
         console.log('Nilai IP:', ipValue);
 
         const data = {
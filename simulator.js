@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { DeviceSimulator } = require('./src/simulator/DeviceSimulator');
+
+// CLI handling
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    switch (arg) {
+      case '--devices': options.devices = parseInt(next()); break;
+      case '--base-port': options.basePort = parseInt(next()); break;
+      case '--control-port': options.controlPort = parseInt(next()); break;
+      case '--host': options.host = next(); break;
+      case '--scenario': options.scenario = next(); break;
+      case '--write-config': options.writeConfig = next(); break;
+      case 'help':
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+🧪 Phonebank Device Simulator - Usage:
+
+  node simulator.js [options]
+
+Options:
+  --devices <n>           Number of virtual devices (default 6)
+  --base-port <port>      Port of the first device, one port per device (default 5600)
+  --control-port <port>   Port of the control API (default base port - 1, 0 disables it)
+  --host <host>           Address to listen on (default 127.0.0.1)
+  --scenario <file>       JSON scenario with devices, defaults and behaviors
+  --write-config <file>   Write a monitor config pointing at the simulated devices
+
+Behaviors: offline (mode reset|hang|error), slow (delay), rising_unauthorized
+(step, every), ip_change (ips, every), malformed (variant login|empty|missing).
+Each takes optional "from"/"until" seconds.
+
+Examples:
+  node simulator.js --scenario src/simulator/scenarios/demo.json --write-config config.simulator.json
+  node app.js start --config config.simulator.json
+  curl -X POST localhost:5599/devices/1/behaviors -d '{"type":"offline","until":120}'
+  `);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  const scenario = options.scenario
+    ? JSON.parse(fs.readFileSync(options.scenario, 'utf8'))
+    : {};
+
+  const simulator = new DeviceSimulator({
+    ...scenario,
+    ...(options.devices ? { devices: options.devices } : {}),
+    ...(options.basePort ? { basePort: options.basePort } : {}),
+    ...(options.controlPort !== undefined ? { controlPort: options.controlPort } : {}),
+    ...(options.host ? { host: options.host } : {})
+  });
+
+  if (options.writeConfig) {
+    const baseConfig = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
+    fs.writeFileSync(options.writeConfig, JSON.stringify(simulator.buildConfig(baseConfig), null, 2));
+    console.log(`📝 Wrote simulator config to ${options.writeConfig}`);
+  }
+
+  await simulator.start();
+  simulator.getStatus().forEach(device => {
+    const behaviors = device.behaviors.map(behavior => behavior.type).join(', ') || 'healthy';
+    console.log(`  #${device.device} ${device.url} (${device.location}) - ${behaviors}`);
+  });
+
+  const shutdown = async () => {
+    console.log('\n🔄 Stopping simulator...');
+    await simulator.stop();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('💥 Simulator failed to start:', error.message);
+    process.exit(1);
+  });
+}
@@ -18,10 +18,20 @@ const {
   NotificationManager, 
   AlertManager 
 } = require('./alerts/AlertManager');
+const FlapDetector = require('./alerts/FlapDetector');
+const MaintenanceScheduler = require('./maintenance/MaintenanceScheduler');
 const { 
   AnalyticsEngine, 
   ReportGenerator 
 } = require('./analytics/AnalyticsEngine');
+const ProbeRegistry = require('./probes/ProbeRegistry');
+const PuppeteerProbe = require('./probes/PuppeteerProbe');
+const HttpProbe = require('./probes/HttpProbe');
+const ReachabilityProbe = require('./probes/ReachabilityProbe');
+const ReplayProbe = require('./probes/ReplayProbe');
+const { FixtureStore } = require('./probes/fixtures');
+const { resolveProfile } = require('./probes/profiles');
+const EvidenceStore = require('./evidence/EvidenceStore');
 
 class PhonebankMonitor {
   constructor(configPath = './config.json') {
@@ -45,14 +55,32 @@ class PhonebankMonitor {
     this.selectiveMonitor = new SelectiveMonitor(this.config.get());
     this.performanceMonitor = new PerformanceMonitor();
     
+    // Initialize probe drivers
+    this.fixtureStore = new FixtureStore(this.config.get());
+    this.probeRegistry = new ProbeRegistry();
+    this.probeRegistry.register('puppeteer', new PuppeteerProbe(this.config.get(), this.browserManager));
+    this.probeRegistry.register('http', new HttpProbe(this.config.get()));
+    this.probeRegistry.register('tcp', new ReachabilityProbe(this.config.get(), { pingMethod: 'tcp' }));
+    this.probeRegistry.register('icmp', new ReachabilityProbe(this.config.get(), { pingMethod: 'icmp' }));
+    this.probeRegistry.register('replay', new ReplayProbe(this.config.get(), this.fixtureStore));
+    this.reachabilityProbe = new ReachabilityProbe(this.config.get());
+    
+    // Failure evidence, held per URL between the probe run and saving the check
+    this.evidenceStore = new EvidenceStore(this.config.get(), this.db);
+    this.pendingEvidence = new Map();
+    
     // Initialize alert system
     this.notificationManager = new NotificationManager(this.config.get(), this.db);
     this.alertManager = new AlertManager(this.config.get(), this.db, this.notificationManager);
+    this.flapDetector = new FlapDetector(this.config.get());
+    this.maintenanceScheduler = new MaintenanceScheduler(this.db);
     
     // Initialize analytics
     const { AnalyticsEngine, ReportGenerator } = require('./analytics/AnalyticsEngine');
     this.analyticsEngine = new AnalyticsEngine(this.db, this.config.get());
     this.reportGenerator = new ReportGenerator(this.analyticsEngine, this.config.get());
+    // Learned authorized baselines of every device, computed once per monitoring cycle
+    this.learnedBaselines = null;
     
     this.setupEventHandlers();
     this.initializeDevices();
@@ -77,6 +105,8 @@ class PhonebankMonitor {
     this.config.onConfigChange((newConfig) => {
       console.log('📝 Configuration updated, reinitializing devices...');
       this.initializeDevices();
+      this.alertManager.reloadConfig(newConfig);
+      this.flapDetector.configure(newConfig);
     });
   }
 
@@ -84,7 +114,11 @@ class PhonebankMonitor {
     try {
       const urls = this.config.getAllUrls();
       
-      for (const { url, location, priority } of urls) {
+      for (const { url, location, priority, probe } of urls) {
+        if (!this.probeRegistry.has(probe)) {
+          console.warn(`⚠️ Device ${url} uses unknown probe driver '${probe}'`);
+        }
+
         try {
           let device = await this.db.getDevice(url);
           if (!device) {
@@ -117,7 +151,7 @@ class PhonebankMonitor {
       const result = await this.circuitBreaker.execute(async () => {
         return await this.retryManager.executeWithRetry(async () => {
           return await this.timeoutManager.withTimeout(
-            this.performDeviceCheck(url),
+            this.performDeviceCheck(url, location),
             this.config.get('monitoring.timeout')
           );
         }, { url });
@@ -126,19 +160,31 @@ class PhonebankMonitor {
       const responseTime = Date.now() - startTime;
       
       if (result.success) {
+        // A page that answered but couldn't be read is degraded, not zero lines
+        const unmatched = result.result.extras.unmatched || [];
+        const parseError = unmatched.length > 0
+          ? `No ${unmatched.join(', ')} found (profile ${result.result.extras.profile})`
+          : null;
+
         const deviceData = {
           url,
           location,
           priority,
-          status: 'online',
+          status: parseError ? 'degraded' : 'online',
+          probe: result.result.probe,
           authorized: result.result.authorized,
           unauthorized: result.result.unauthorized,
           phonebankIp: result.result.phonebankIp,
+          probeData: result.result.extras,
           responseTime,
           timestamp: new Date().toISOString(),
-          error: null
+          error: null,
+          parseError
         };
 
+        deviceData.reachability = result.result.extras.reachability || await this.checkReachability(url, deviceData.phonebankIp);
+        deviceData.baseline = await this.getAuthorizedBaseline(url);
+
         // Cache successful result
         this.cacheManager.set(cacheKey, deviceData);
         
@@ -149,6 +195,10 @@ class PhonebankMonitor {
       this.performanceMonitor.recordMetric('device.response_time', responseTime, { location, priority });
       this.performanceMonitor.recordMetric('device.success', 1, { location });
       
+      if (parseError) {
+        console.warn(`⚠️ Parse error on ${url}: ${parseError}, raw values:`, deviceData.probeData.raw);
+      }
+      
       // Debug logging for data extraction
       console.log(`📊 Extracted data for ${url}:`, {
         authorized: deviceData.authorized,
@@ -183,103 +233,102 @@ class PhonebankMonitor {
         error: error.message
       };
 
+      // Fall back to the last known phonebank IP to tell a web outage from a host outage
+      const knownDevice = await this.db.getDevice(url).catch(() => null);
+      deviceData.reachability = await this.checkReachability(url, knownDevice ? knownDevice.ip_address : null);
+
       return deviceData;
     }
   }
 
-  async performDeviceCheck(url) {
-    const { browser, id: browserId } = await this.browserManager.getBrowser();
-    
-    try {
-      const page = await browser.newPage();
-      
-      // Set page timeout and viewport
-      await page.setDefaultTimeout(this.config.get('monitoring.timeout'));
-      await page.setViewport({ width: 1920, height: 1080 });
-      
-      // Block unnecessary resources for faster loading
-      await page.setRequestInterception(true);
-      page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-          req.abort();
-        } else {
-          req.continue();
-        }
-      });
+  async performDeviceCheck(url, location) {
+    const deviceConfig = this.config.getDeviceConfig(url) || { url, location, probe: 'puppeteer', profile: 'default', probeFallback: null };
+    deviceConfig.scrapeProfile = resolveProfile(this.config.get('profiles'), deviceConfig.profile);
+    deviceConfig.evidence = this.evidenceStore.createCapture(url);
+    if (deviceConfig.evidence) {
+      this.pendingEvidence.set(url, deviceConfig.evidence);
+    }
 
-      console.log(`🔍 Checking: ${url}`);
-      await page.goto(url, { waitUntil: 'domcontentloaded' });
+    // Replay mode serves every device from recorded fixtures instead of the network
+    if (this.fixtureStore.replay) {
+      return await this.probeRegistry.run('replay', url, deviceConfig);
+    }
 
-      // Wait for the JavaScript to load and potentially update the values
-      await page.waitForTimeout(2000);
+    deviceConfig.recording = this.fixtureStore.createRecording(url, deviceConfig.probe);
+    try {
+      const result = await this.runProbe(url, location, deviceConfig);
+      await this.fixtureStore.save(deviceConfig.recording, result);
+      return result;
+    } catch (error) {
+      await this.fixtureStore.save(deviceConfig.recording, null, error);
+      throw error;
+    }
+  }
 
-      // Try to get fresh data from the cek.php endpoint first
-      let freshData = null;
-      try {
-        const baseUrl = new URL(url);
-        const cekUrl = `${baseUrl.protocol}//${baseUrl.host}/cek.php`;
-        
-        const response = await page.goto(cekUrl, { waitUntil: 'domcontentloaded' });
-        if (response && response.ok()) {
-          const cekContent = await page.content();
-          const bodyText = await page.$eval('body', el => el.textContent.trim());
-          
-          // Parse the cek.php response (should be comma-separated values)
-          if (bodyText && bodyText.includes(',')) {
-            const [authorized, unauthorized] = bodyText.split(',');
-            freshData = {
-              authorized: authorized.trim(),
-              unauthorized: unauthorized.trim()
-            };
-            console.log(`📊 Got fresh data from cek.php: ${bodyText}`);
-          }
-        }
-      } catch (cekError) {
-        console.log(`⚠️ Could not fetch from cek.php: ${cekError.message}`);
+  async runProbe(url, location, deviceConfig) {
+    const { probe, probeFallback } = deviceConfig;
+
+    try {
+      return await this.probeRegistry.run(probe, url, deviceConfig);
+    } catch (error) {
+      if (!probeFallback || probeFallback === probe) {
+        throw error;
       }
 
-      // Go back to main page to get IP and other data
-      await page.goto(url, { waitUntil: 'domcontentloaded' });
-      await page.waitForTimeout(1000);
+      console.warn(`⚠️ ${probe} probe failed for ${url}, falling back to ${probeFallback}: ${error.message}`);
+      this.performanceMonitor.recordMetric('probe.fallback', 1, { location, probe });
+      return await this.probeRegistry.run(probeFallback, url, deviceConfig);
+    }
+  }
 
-      // Extract data with error handling
-      const result = await page.evaluate(() => {
-        try {
-          const authElement = document.querySelector('#auth');
-          const unauthElement = document.querySelector('#unauth');
-          const ipElement = document.querySelector('#ip');
-
-          return {
-            authorized: authElement ? authElement.textContent.trim() : 'N/A',
-            unauthorized: unauthElement ? unauthElement.textContent.trim() : 'N/A',
-            phonebankIp: ipElement ? ipElement.value.trim() : 'N/A'
-          };
-        } catch (error) {
-          throw new Error(`Failed to extract data: ${error.message}`);
-        }
-      });
+  // Expected authorized count: a configured expectedAuthorized wins over the learned baseline
+  async getAuthorizedBaseline(url) {
+    const deviceConfig = this.config.getDeviceConfig(url);
+    if (deviceConfig && typeof deviceConfig.expectedAuthorized === 'number') {
+      return { expected: deviceConfig.expectedAuthorized, source: 'config' };
+    }
 
-      // Use fresh data from cek.php if available, otherwise use scraped data
-      if (freshData) {
-        result.authorized = freshData.authorized;
-        result.unauthorized = freshData.unauthorized;
-      }
+    const settings = this.config.get('baselines') || {};
+    if (settings.learn === false) {
+      return null;
+    }
 
-      // Parse the authorized/unauthorized values to extract numbers
-      const parseCount = (text) => {
-        if (!text || text === 'N/A') return 0;
-        const match = text.match(/\d+/);
-        return match ? parseInt(match[0]) : 0;
-      };
+    try {
+      const device = await this.db.getDevice(url);
+      const baselines = await this.getLearnedBaselines(settings);
+      const learned = device ? baselines[device.id] : null;
+      return learned ? { expected: learned.expected, source: 'learned', samples: learned.samples } : null;
+    } catch (error) {
+      console.error(`Failed to get authorized baseline for ${url}:`, error.message);
+      return null;
+    }
+  }
 
-      result.authorized = parseCount(result.authorized);
-      result.unauthorized = parseCount(result.unauthorized);
+  // One calculation shared by every device check until the next cycle clears it
+  getLearnedBaselines(settings) {
+    if (!this.learnedBaselines) {
+      this.learnedBaselines = this.analyticsEngine.calculateAuthorizedBaselines(settings.days || 14, settings.minSamples || 20, settings.percentile || 95)
+        .catch(error => {
+          this.learnedBaselines = null;
+          throw error;
+        });
+    }
+    return this.learnedBaselines;
+  }
 
-      await page.close();
-      return result;
-    } finally {
-      await this.browserManager.releaseBrowser(browserId);
+  async checkReachability(url, phonebankIp) {
+    const deviceConfig = this.config.getDeviceConfig(url);
+    if (!deviceConfig || !deviceConfig.reachability.enabled) {
+      return null;
+    }
+
+    try {
+      const reachability = await this.reachabilityProbe.checkDevice(url, deviceConfig, phonebankIp);
+      this.performanceMonitor.recordMetric('reachability.' + reachability.status, 1, { location: deviceConfig.location });
+      return reachability;
+    } catch (error) {
+      console.error(`Reachability check failed for ${url}:`, error.message);
+      return null;
     }
   }
 
@@ -310,6 +359,13 @@ class PhonebankMonitor {
     console.log(`\n🔄 Starting monitoring cycle at ${new Date().toISOString()}`);
     
     try {
+      // Pick up maintenance windows that started or ended since the last cycle
+      await this.maintenanceScheduler.refresh().catch(error => {
+        console.error('Failed to refresh maintenance windows:', error.message);
+      });
+      // Relearn baselines with the checks saved since the last cycle
+      this.learnedBaselines = null;
+
       const urls = this.config.getAllUrls();
       const jobs = [];
 
@@ -349,6 +405,12 @@ class PhonebankMonitor {
       const successful = results.filter(r => r.status === 'fulfilled').length;
       const failed = results.filter(r => r.status === 'rejected').length;
       
+      // Location and global alert rules over the checks of this cycle
+      const deviceResults = results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value);
+      await this.alertManager.checkAggregateAlerts(deviceResults, {
+        degradationLevel: this.gracefulDegradation.getDegradationStatus().level
+      });
+      
       const cycleTime = Date.now() - cycleStart;
       
       // Record cycle metrics
@@ -374,27 +436,35 @@ class PhonebankMonitor {
       const device = await this.db.getDevice(deviceData.url);
       if (!device) {
         console.warn(`⚠️ Device not found in database: ${deviceData.url}`);
+        this.pendingEvidence.delete(deviceData.url);
         return;
       }
 
-      // Handle authorized/unauthorized counts (now they are already numbers)
+      // Handle authorized/unauthorized counts; unknown counts stay NULL rather than 0
       const authorizedCount = typeof deviceData.authorized === 'number' 
         ? deviceData.authorized 
         : (typeof deviceData.authorized === 'string' && deviceData.authorized.match(/(\d+)/)) 
           ? parseInt(deviceData.authorized.match(/(\d+)/)[1]) 
-          : 0;
+          : null;
           
       const unauthorizedCount = typeof deviceData.unauthorized === 'number' 
         ? deviceData.unauthorized 
         : (typeof deviceData.unauthorized === 'string' && deviceData.unauthorized.match(/(\d+)/)) 
           ? parseInt(deviceData.unauthorized.match(/(\d+)/)[1]) 
-          : 0;
+          : null;
+
+      // Up/down transitions over the flapping window, for device_flapping and the dashboard
+      Object.assign(deviceData, this.flapDetector.record(deviceData.url, deviceData.status));
+
+      // Checks inside a maintenance window are kept but don't notify or count against SLA
+      const maintenanceWindow = this.maintenanceScheduler.getActiveWindow(device);
+      deviceData.maintenance = maintenanceWindow ? { id: maintenanceWindow.id, title: maintenanceWindow.title } : null;
 
       // Debug logging for database save
       console.log(`💾 Saving to DB for ${deviceData.url}: authorized=${authorizedCount}, unauthorized=${unauthorizedCount}`);
 
       // Save device check
-      await this.db.addDeviceCheck(
+      const checkId = await this.db.addDeviceCheck(
         device.id,
         deviceData.responseTime,
         deviceData.status,
@@ -402,14 +472,65 @@ class PhonebankMonitor {
         unauthorizedCount,
         deviceData.phonebankIp,
         deviceData.error,
-        JSON.stringify(deviceData)
+        JSON.stringify(deviceData),
+        {
+          reachabilityStatus: deviceData.reachability ? deviceData.reachability.status : null,
+          reachabilityData: deviceData.reachability ? JSON.stringify(deviceData.reachability) : null,
+          rawValues: deviceData.probeData && deviceData.probeData.raw ? JSON.stringify(deviceData.probeData.raw) : null,
+          parseError: deviceData.parseError || null,
+          expectedAuthorized: deviceData.baseline ? deviceData.baseline.expected : null,
+          flapping: deviceData.flapping ? 1 : 0,
+          maintenanceWindowId: maintenanceWindow ? maintenanceWindow.id : null
+        }
       );
 
+      // Track phonebank IP transitions before the device row is overwritten
+      const reportedIp = deviceData.phonebankIp && deviceData.phonebankIp !== 'N/A' ? deviceData.phonebankIp : null;
+      await this.trackIpChange(device, reportedIp, deviceData);
+
       // Update device status
-      await this.db.updateDeviceStatus(deviceData.url, deviceData.status, deviceData.phonebankIp);
+      await this.db.updateDeviceStatus(deviceData.url, deviceData.status, reportedIp);
+
+      await this.saveEvidence(device.id, checkId, deviceData);
       
     } catch (error) {
       console.error(`Failed to save device check for ${deviceData.url}:`, error);
+      this.pendingEvidence.delete(deviceData.url);
+    }
+  }
+
+  // Record a changed phonebank IP and flag it on deviceData for the ip_changed alert
+  async trackIpChange(device, reportedIp, deviceData) {
+    if (!reportedIp || reportedIp === device.ip_address) return;
+
+    await this.db.addAttributeChange(device.id, 'phonebank_ip', device.ip_address, reportedIp);
+
+    // The first IP seen for a device is not a change
+    if (!device.ip_address) return;
+
+    const deviceConfig = this.config.getDeviceConfig(deviceData.url);
+    const expectedIps = deviceConfig ? deviceConfig.expectedIps : [];
+    deviceData.ipChange = {
+      from: device.ip_address,
+      to: reportedIp,
+      expected: expectedIps.includes(reportedIp)
+    };
+
+    console.warn(`🔀 Phonebank IP changed on ${deviceData.url}: ${device.ip_address} → ${reportedIp}`);
+    this.performanceMonitor.recordMetric('device.ip_change', 1, { location: deviceData.location });
+  }
+
+  // Keep what the device showed when a check failed or couldn't be parsed
+  async saveEvidence(deviceId, checkId, deviceData) {
+    const capture = this.pendingEvidence.get(deviceData.url);
+    this.pendingEvidence.delete(deviceData.url);
+
+    if (!capture || deviceData.status === 'online') return;
+
+    try {
+      await this.evidenceStore.save(deviceId, checkId, capture, deviceData.error || deviceData.parseError);
+    } catch (error) {
+      console.error(`Failed to save evidence for ${deviceData.url}:`, error.message);
     }
   }
 
@@ -486,6 +607,9 @@ class PhonebankMonitor {
     await this.browserManager.gracefulShutdown();
     this.cacheManager.destroy();
     this.memoryManager.destroy();
+    this.evidenceStore.destroy();
+    this.alertManager.destroy();
+    this.notificationManager.destroy();
     this.db.close();
     
     console.log('PhonebankMonitor shutdown completed');
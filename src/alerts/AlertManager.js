@@ -1,5 +1,17 @@
 const nodemailer = require('nodemailer');
 const EventEmitter = require('events');
+const { normalizeCheckResult, evaluateCondition, summarizeChecks, parseDuration } = require('./RuleEngine');
+const { compileRule, parseSustain } = require('./RuleDsl');
+const { EscalationManager } = require('./EscalationManager');
+const { NotificationRouter } = require('./NotificationRouter');
+const { DigestScheduler } = require('./DigestScheduler');
+const { OnCallScheduler } = require('../oncall/OnCallScheduler');
+const { TelegramBot, escapeHtml } = require('./TelegramBot');
+const { NotificationTemplates, CHANNEL_PARTS } = require('./NotificationTemplates');
+const { compileTemplate, renderTemplate } = require('./TemplateEngine');
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+const SEVERITY_EMOJI = { low: '⚠️', medium: '🔶', high: '🚨', critical: '🔥' };
 
 class NotificationManager extends EventEmitter {
   constructor(config, db) {
@@ -7,13 +19,26 @@ class NotificationManager extends EventEmitter {
     this.config = config;
     this.db = db;
     this.emailTransporter = null;
-    this.notificationQueue = [];
+    // The queue itself lives in the notification_queue table
     this.isProcessingQueue = false;
+    this.queueRecovered = false;
+    this.queueInterval = null;
+    this.telegram = new TelegramBot(config);
     
     this.initializeEmailTransporter();
     this.startQueueProcessor();
   }
 
+  // Channel settings after a config change; the Telegram bot polls again with
+  // the new token, chats and commands setting
+  reloadConfig(config) {
+    this.config = config;
+    this.emailTransporter = null;
+    this.initializeEmailTransporter();
+    this.telegram.configure(config);
+    this.telegram.startPolling();
+  }
+
   initializeEmailTransporter() {
     const emailConfig = this.config.alerts?.notifications?.email;
     
@@ -114,88 +139,230 @@ class NotificationManager extends EventEmitter {
     }
   }
 
-  async sendSlackNotification(message, channel = null) {
+  // webhookUrl overrides the configured one, e.g. a location team's own Slack
+  async sendSlackNotification(message, channel = null, webhookUrl = null) {
     const slackConfig = this.config.alerts?.notifications?.slack;
     
-    if (!slackConfig || !slackConfig.enabled || !slackConfig.webhookUrl) {
+    if (!webhookUrl && (!slackConfig || !slackConfig.enabled || !slackConfig.webhookUrl)) {
       throw new Error('Slack notification not configured');
     }
 
     const payload = {
       text: message,
-      channel: channel || slackConfig.channel,
+      channel: channel || slackConfig?.channel,
       username: 'Phonebank Monitor',
       icon_emoji: ':warning:'
     };
 
-    return await this.sendWebhook(slackConfig.webhookUrl, payload);
+    return await this.sendWebhook(webhookUrl || slackConfig.webhookUrl, payload);
+  }
+
+  // Where a notification goes, as shown in delivery tracking
+  describeRecipient(type, data) {
+    switch (type) {
+      case 'email':
+        return Array.isArray(data.recipients) ? data.recipients.join(', ') : String(data.recipients);
+      case 'webhook':
+        return data.url;
+      case 'slack':
+        return data.channel || this.config.alerts?.notifications?.slack?.channel || 'slack';
+      case 'telegram':
+        return `telegram ${data.chatId}`;
+      case 'teams':
+      case 'discord':
+        return `${type} ${data.route || 'default'}`;
+      default:
+        return type;
+    }
+  }
+
+  // Attempts and exponential backoff from alerts.notificationQueue, per channel under `channels`
+  getQueueSettings(type) {
+    const settings = this.config.alerts?.notificationQueue || {};
+    const channel = (settings.channels || {})[type] || {};
+    return {
+      maxAttempts: channel.maxAttempts ?? settings.maxAttempts ?? 5,
+      backoff: parseDuration(channel.backoff ?? settings.backoff ?? '10s') || 10 * 1000,
+      maxBackoff: parseDuration(channel.maxBackoff ?? settings.maxBackoff ?? '30m') || 30 * 60 * 1000
+    };
   }
 
   async queueNotification(type, data) {
-    this.notificationQueue.push({
-      id: Date.now() + Math.random(),
-      type,
-      data,
-      timestamp: new Date(),
-      attempts: 0,
-      maxAttempts: 3
-    });
+    // Notifications about an alert are tracked in alert_notifications
+    let deliveryId = null;
+    if (data.alertId) {
+      try {
+        deliveryId = await this.db.createNotificationDelivery(data.alertId, type, this.describeRecipient(type, data));
+      } catch (error) {
+        console.error('Failed to record notification delivery:', error.message);
+      }
+    }
+
+    try {
+      await this.db.enqueueNotification(type, data, data.alertId || null, deliveryId, this.getQueueSettings(type).maxAttempts);
+    } catch (error) {
+      // Better sent once without retries than not at all
+      console.error('Failed to queue notification, sending it directly:', error.message);
+      try {
+        await this.processNotification({ type, data });
+      } catch (sendError) {
+        console.error(`Failed to send ${type} notification:`, sendError.message);
+      }
+      return;
+    }
 
     if (!this.isProcessingQueue) {
       this.processQueue();
     }
   }
 
+  async recordAttempt(deliveryId, status, latencyMs, errorMessage = null) {
+    if (!deliveryId) return;
+
+    try {
+      await this.db.recordNotificationAttempt(deliveryId, status, latencyMs, errorMessage);
+    } catch (error) {
+      console.error(`Failed to record notification attempt:`, error.message);
+    }
+  }
+
+  // Send everything that is due. Items are claimed ('sending') before they go
+  // out, so a crash never leads to the same notification being sent twice.
   async processQueue() {
-    if (this.isProcessingQueue || this.notificationQueue.length === 0) {
+    if (this.isProcessingQueue) {
       return;
     }
 
     this.isProcessingQueue = true;
 
-    while (this.notificationQueue.length > 0) {
-      const notification = this.notificationQueue.shift();
-      
-      try {
-        await this.processNotification(notification);
-        
-        // Log successful notification
-        if (notification.data.alertId) {
-          await this.db.logEvent(
-            'notification_sent',
-            'info',
-            `${notification.type} notification sent successfully`,
-            { alertId: notification.data.alertId, type: notification.type }
-          );
+    try {
+      if (!this.queueRecovered) {
+        const interrupted = await this.db.deadLetterInterruptedNotifications();
+        if (interrupted > 0) {
+          console.warn(`⚠️ ${interrupted} notifications were interrupted while sending and moved to the dead-letter queue`);
         }
-        
-      } catch (error) {
-        console.error(`Failed to process notification:`, error);
-        
-        notification.attempts++;
-        
-        if (notification.attempts < notification.maxAttempts) {
-          // Re-queue with exponential backoff
-          setTimeout(() => {
-            this.notificationQueue.push(notification);
-          }, Math.pow(2, notification.attempts) * 1000);
-        } else {
-          console.error(`Max attempts reached for notification ${notification.id}`);
-          
-          // Log failed notification
-          if (notification.data.alertId) {
-            await this.db.logEvent(
-              'notification_failed',
-              'error',
-              `Failed to send ${notification.type} notification after ${notification.maxAttempts} attempts`,
-              { alertId: notification.data.alertId, type: notification.type, error: error.message }
-            );
+        this.queueRecovered = true;
+      }
+
+      let due = await this.db.getDueNotifications();
+      while (due.length > 0) {
+        for (const item of due) {
+          if (await this.db.claimNotification(item.id)) {
+            await this.deliver(item);
           }
         }
+        due = await this.db.getDueNotifications();
       }
+    } catch (error) {
+      console.error('Notification queue processing failed:', error.message);
+    } finally {
+      this.isProcessingQueue = false;
     }
+  }
 
-    this.isProcessingQueue = false;
+  async deliver(item) {
+    const notification = { type: item.notification_type, data: item.payload };
+    const startedAt = Date.now();
+
+    let sendError = null;
+    try {
+      await this.processNotification(notification);
+    } catch (error) {
+      sendError = error;
+    }
+    const latency = Date.now() - startedAt;
+
+    if (!sendError) {
+      await this.db.finishNotificationAttempt(item.id, 'sent');
+      await this.recordAttempt(item.delivery_id, 'sent', latency);
+
+      // Log successful notification
+      if (item.alert_id) {
+        await this.db.logEvent(
+          'notification_sent',
+          'info',
+          `${item.notification_type} notification sent successfully`,
+          { alertId: item.alert_id, type: item.notification_type }
+        );
+      }
+      return;
+    }
+
+    console.error(`Failed to process notification:`, sendError.message);
+
+    const attempts = item.attempts + 1;
+    if (attempts < item.max_attempts) {
+      const settings = this.getQueueSettings(item.notification_type);
+      const delay = Math.min(settings.maxBackoff, settings.backoff * Math.pow(2, attempts - 1));
+      await this.db.finishNotificationAttempt(item.id, 'retrying', sendError.message, delay / 1000);
+      await this.recordAttempt(item.delivery_id, 'retrying', latency, sendError.message);
+      return;
+    }
+
+    await this.db.finishNotificationAttempt(item.id, 'dead', sendError.message);
+    await this.recordAttempt(item.delivery_id, 'failed', latency, sendError.message);
+    console.error(`Notification ${item.id} moved to the dead-letter queue after ${attempts} attempts`);
+
+    // Log failed notification
+    if (item.alert_id) {
+      await this.db.logEvent(
+        'notification_failed',
+        'error',
+        `Failed to send ${item.notification_type} notification after ${attempts} attempts`,
+        { alertId: item.alert_id, type: item.notification_type, error: sendError.message }
+      );
+    }
+  }
+
+  // Put a dead-lettered item back in the queue; false if it isn't dead
+  async retryDeadLetter(itemId) {
+    const item = await this.db.getQueueItem(itemId);
+    if (!item || item.status !== 'dead') {
+      return false;
+    }
+
+    await this.db.updateQueueItemStatus(itemId, 'pending');
+    if (item.delivery_id) {
+      await this.db.updateNotificationStatus(item.delivery_id, 'pending');
+    }
+
+    if (!this.isProcessingQueue) {
+      this.processQueue();
+    }
+    return true;
+  }
+
+  async discardDeadLetter(itemId) {
+    const item = await this.db.getQueueItem(itemId);
+    if (!item || item.status !== 'dead') {
+      return false;
+    }
+
+    await this.db.updateQueueItemStatus(itemId, 'discarded');
+    return true;
+  }
+
+  // Retry a failed delivery (alert_notifications id) through its dead-lettered queue item
+  async retryDelivery(deliveryId) {
+    const [item] = await this.db.getQueuedNotifications({ deliveryId, statuses: ['dead'], limit: 1 });
+    return item ? this.retryDeadLetter(item.id) : false;
+  }
+
+  // Retry every dead-lettered notification, or only those of one alert; returns how many were queued
+  async retryFailedDeliveries(alertId = null) {
+    const dead = await this.db.getQueuedNotifications({ alertId, statuses: ['dead'], limit: 1000 });
+    let retried = 0;
+
+    for (const item of dead) {
+      if (await this.retryDeadLetter(item.id)) {
+        retried++;
+      }
+    }
+
+    if (retried > 0) {
+      console.log(`🔁 Retrying ${retried} dead-lettered notifications`);
+    }
+    return retried;
   }
 
   async processNotification(notification) {
@@ -211,7 +378,16 @@ class NotificationManager extends EventEmitter {
         break;
 
       case 'slack':
-        await this.sendSlackNotification(data.message, data.channel);
+        await this.sendSlackNotification(data.message, data.channel, data.webhookUrl);
+        break;
+
+      case 'telegram':
+        await this.telegram.sendMessage(data.chatId, data.text, data.buttons === false ? null : data.alertId);
+        break;
+
+      case 'teams':
+      case 'discord':
+        await this.sendWebhook(data.webhookUrl, data.payload);
         break;
 
       default:
@@ -221,12 +397,20 @@ class NotificationManager extends EventEmitter {
 
   startQueueProcessor() {
     // Process queue every 5 seconds
-    setInterval(() => {
-      if (!this.isProcessingQueue && this.notificationQueue.length > 0) {
+    this.queueInterval = setInterval(() => {
+      if (!this.isProcessingQueue) {
         this.processQueue();
       }
     }, 5000);
   }
+
+  destroy() {
+    if (this.queueInterval) {
+      clearInterval(this.queueInterval);
+      this.queueInterval = null;
+    }
+    this.telegram.destroy();
+  }
 }
 
 class AlertManager extends EventEmitter {
@@ -237,17 +421,52 @@ class AlertManager extends EventEmitter {
     this.notificationManager = notificationManager;
     this.alertRules = new Map();
     this.alertCooldowns = new Map();
+    // Pending/firing state per rule and scope key, like Prometheus's `for:`
+    this.ruleStates = new Map();
     this.thresholds = config.alerts?.thresholds || {};
     
     this.initializeAlertRules();
+    this.escalationManager = new EscalationManager(config, db, this);
+    this.notificationRouter = new NotificationRouter(config, db, this);
+    this.digestScheduler = new DigestScheduler(config, db, notificationManager);
+    this.onCallScheduler = new OnCallScheduler(config);
+    this.templates = new NotificationTemplates(config);
+
+    // /ack, /resolve and /status from Telegram chats
+    if (notificationManager.telegram) {
+      notificationManager.telegram.setCommandHandler((command, args, actor) => this.handleChatCommand(command, args, actor));
+    }
+  }
+
+  // Hot reload of thresholds and configured rules (ConfigManager.onConfigChange)
+  reloadConfig(config) {
+    this.config = config;
+    this.thresholds = config.alerts?.thresholds || {};
+    this.alertRules.clear();
+    this.initializeAlertRules();
+    this.escalationManager.configure(config);
+    this.notificationRouter.configure(config);
+    this.digestScheduler.configure(config);
+    this.onCallScheduler.configure(config);
+    this.templates.configure(config);
+    this.notificationManager.reloadConfig(config);
+    console.log(`🔁 Alert rules reloaded (${this.alertRules.size} rules)`);
   }
 
+  // Rules are typed conditions over the normalized check result (see RuleEngine).
+  // `resolveWhen` auto-resolves the rule's active alert for the same device.
   initializeAlertRules() {
+    const unauthorizedMax = { threshold: 'unauthorizedMax', default: 5 };
+    const responseTimeMax = { threshold: 'responseTimeMax', default: 30000 };
+    const authorizedDropRatio = { threshold: 'authorizedDropRatio', default: 0.8 };
+
     // Device offline alert
     this.alertRules.set('device_offline', {
       severity: 'high',
       cooldown: 5 * 60 * 1000, // 5 minutes
-      condition: (data) => data.status === 'offline',
+      when: { field: 'status', op: 'eq', value: 'offline' },
+      // A degraded page still answered
+      resolveWhen: { field: 'status', op: 'ne', value: 'offline' },
       message: (data) => `Device ${data.url} at ${data.location} is offline. Error: ${data.error}`
     });
 
@@ -255,13 +474,8 @@ class AlertManager extends EventEmitter {
     this.alertRules.set('high_unauthorized', {
       severity: 'medium',
       cooldown: 10 * 60 * 1000, // 10 minutes
-      condition: (data) => {
-        const match = (data.unauthorized && typeof data.unauthorized === 'string') 
-          ? data.unauthorized.match(/(\d+)/) 
-          : null;
-        const count = match ? parseInt(match[1]) : 0;
-        return count > (this.thresholds.unauthorizedMax || 5);
-      },
+      when: { field: 'unauthorized', op: 'gt', value: unauthorizedMax },
+      resolveWhen: { field: 'unauthorized', op: 'lte', value: unauthorizedMax },
       message: (data) => `High unauthorized connections on ${data.url} at ${data.location}: ${data.unauthorized}`
     });
 
@@ -269,15 +483,80 @@ class AlertManager extends EventEmitter {
     this.alertRules.set('slow_response', {
       severity: 'low',
       cooldown: 15 * 60 * 1000, // 15 minutes
-      condition: (data) => data.responseTime > (this.thresholds.responseTimeMax || 30000),
+      when: { field: 'responseTime', op: 'gt', value: responseTimeMax },
+      resolveWhen: { field: 'responseTime', op: 'lte', value: responseTimeMax },
       message: (data) => `Slow response time on ${data.url} at ${data.location}: ${data.responseTime}ms`
     });
 
+    // Authorized lines below the device's configured or learned baseline
+    this.alertRules.set('authorized_drop', {
+      severity: 'high',
+      cooldown: 30 * 60 * 1000, // 30 minutes
+      when: {
+        all: [
+          { field: 'online', op: 'eq', value: true },
+          { field: 'authorizedRatio', op: 'lt', value: authorizedDropRatio }
+        ]
+      },
+      resolveWhen: {
+        all: [
+          { field: 'online', op: 'eq', value: true },
+          { any: [
+            { field: 'authorizedRatio', op: 'gte', value: authorizedDropRatio },
+            { field: 'expectedAuthorized', exists: false }
+          ] }
+        ]
+      },
+      message: (data) => `Authorized lines dropped on ${data.url} at ${data.location}: ${data.authorized} of expected ${data.baseline.expected} (${data.baseline.source} baseline)`
+    });
+
+    // Phonebank IP switched to an address not listed in expectedIps
+    this.alertRules.set('ip_changed', {
+      severity: 'medium',
+      cooldown: 5 * 60 * 1000, // 5 minutes
+      when: {
+        all: [
+          { field: 'ipChanged', op: 'eq', value: true },
+          { field: 'ipChangeExpected', op: 'eq', value: false }
+        ]
+      },
+      message: (data) => `Phonebank IP changed on ${data.url} at ${data.location}: ${data.ipChange.from} → ${data.ipChange.to}`
+    });
+
+    // SSH/RDP or ping failures on the phonebank host or its server
+    this.alertRules.set('service_unreachable', {
+      severity: 'high',
+      cooldown: 10 * 60 * 1000, // 10 minutes
+      when: { field: 'reachabilityStatus', op: 'ne', value: 'ok' },
+      resolveWhen: { field: 'reachabilityStatus', op: 'eq', value: 'ok' },
+      message: (data) => `Reachability ${data.reachability.status} for ${data.url} at ${data.location}: ${this.describeReachability(data.reachability)}`
+    });
+
+    // Device answered but the profile couldn't read its counts
+    this.alertRules.set('parse_error', {
+      severity: 'medium',
+      cooldown: 15 * 60 * 1000, // 15 minutes
+      when: { field: 'degraded', op: 'eq', value: true },
+      // Resolve once the profile reads every field again
+      resolveWhen: { field: 'online', op: 'eq', value: true },
+      // The raw values come from the device page; they stay with the check and its evidence
+      message: (data) => `Could not parse device page ${data.url} at ${data.location}: ${data.parseError}`
+    });
+
+    // Device keeps going up and down; replaces its individual offline alerts
+    this.alertRules.set('device_flapping', {
+      severity: 'medium',
+      cooldown: 30 * 60 * 1000, // 30 minutes
+      when: { field: 'flapping', op: 'eq', value: true },
+      resolveWhen: { field: 'flapping', op: 'eq', value: false },
+      message: (data) => `Device ${data.url} at ${data.location} is flapping: ${data.stateChanges} online/offline changes in the last ${this.getFlappingWindowText()}`
+    });
+
     // Location degradation
     this.alertRules.set('location_degradation', {
       severity: 'high',
       cooldown: 20 * 60 * 1000, // 20 minutes
-      condition: (data) => data.degradationLevel === 'CRITICAL',
+      when: { field: 'degradationLevel', op: 'eq', value: 'CRITICAL' },
       message: (data) => `Critical degradation detected at ${data.location}. Multiple devices are offline.`
     });
 
@@ -285,33 +564,243 @@ class AlertManager extends EventEmitter {
     this.alertRules.set('high_memory', {
       severity: 'medium',
       cooldown: 10 * 60 * 1000, // 10 minutes
-      condition: (data) => parseFloat(data.memoryUsage) > 85,
+      when: { field: 'memoryUsage', op: 'gt', value: 85 },
       message: (data) => `High memory usage detected: ${data.memoryUsage}%`
     });
+
+    this.loadConfiguredRules();
+    this.applySustainSettings();
+  }
+
+  // alerts.sustain: { "device_offline": { "for": 2, "recoverAfter": "5m" } } sets
+  // how long a rule's condition (and its recovery) must hold, for any rule
+  applySustainSettings() {
+    const sustain = this.config.alerts?.sustain || {};
+
+    Object.entries(sustain).forEach(([name, settings]) => {
+      const rule = this.alertRules.get(name);
+      if (!rule) return;
+
+      try {
+        if (settings.for !== undefined) rule.for = parseSustain(settings.for);
+        if (settings.recoverAfter !== undefined) rule.recoverAfter = parseSustain(settings.recoverAfter);
+      } catch (error) {
+        console.error(`⚠️ Invalid alerts.sustain.${name}: ${error.message}`);
+      }
+    });
+  }
+
+  // Operator-defined rules from alerts.rules. A rule named like a built-in
+  // replaces it, or turns it off with "enabled": false.
+  loadConfiguredRules() {
+    const definitions = this.config.alerts?.rules || [];
+
+    definitions.forEach(definition => {
+      if (definition && definition.enabled === false) {
+        this.alertRules.delete(definition.name);
+        return;
+      }
+
+      try {
+        const rule = compileRule(definition);
+        this.alertRules.set(rule.name, rule);
+      } catch (error) {
+        console.error(`⚠️ Skipping alert rule ${definition?.name || '(unnamed)'}: ${error.message}`);
+      }
+    });
+  }
+
+  // Whether a rule's condition (or resolveWhen) holds for a normalized check result
+  evaluateRule(rule, fields, key = 'when') {
+    return !!rule[key] && evaluateCondition(rule[key], fields, this.thresholds);
+  }
+
+  describeReachability(reachability) {
+    const problems = [];
+
+    [reachability.device, reachability.server].filter(Boolean).forEach(target => {
+      const host = target.host || 'invalid host';
+      if (!target.ping.alive) {
+        problems.push(`${host} not responding to ${target.ping.method} ping`);
+      }
+      Object.entries(target.ports).forEach(([name, port]) => {
+        if (!port.open) {
+          problems.push(`${name.toUpperCase()} (${port.port}) closed on ${host}`);
+        }
+      });
+    });
+
+    return problems.length > 0 ? problems.join('; ') : 'all targets reachable';
+  }
+
+  // Built-in rules are device rules; configured rules may also be location or global
+  getRuleScope(rule) {
+    return rule.scope || 'device';
+  }
+
+  getScopeKey(scope, data) {
+    if (scope === 'location') return `location:${data.location}`;
+    if (scope === 'global') return 'global';
+    return data.url || 'system';
+  }
+
+  appliesTo(rule, data) {
+    if (rule.locations && !rule.locations.includes(data.location)) return false;
+    if (rule.devices && !rule.devices.includes(data.url)) return false;
+    return true;
+  }
+
+  // Rules not evaluated for a flapping device (alerts.flapping.suppress)
+  getFlapSuppressedRules() {
+    return this.config.alerts?.flapping?.suppress || ['device_offline'];
+  }
+
+  getFlappingWindowText() {
+    return String(this.config.alerts?.flapping?.window ?? '30m');
+  }
+
+  // Whether a streak of matching checks has lasted long enough (N checks or a duration)
+  isSustained(streak, sustain) {
+    if (!sustain) return true;
+    return sustain.checks
+      ? streak.checks >= sustain.checks
+      : Date.now() - streak.since >= sustain.duration;
+  }
+
+  getRuleState(ruleId, scopeKey) {
+    return this.ruleStates.get(`${ruleId}:${scopeKey}`) || null;
+  }
+
+  setRuleState(ruleId, scopeKey, state) {
+    this.ruleStates.set(`${ruleId}:${scopeKey}`, state);
+  }
+
+  clearRuleState(ruleId, scopeKey) {
+    this.ruleStates.delete(`${ruleId}:${scopeKey}`);
+  }
+
+  // Conditions that hold but haven't lasted long enough yet, and firing alerts
+  // that are recovering, for GET /api/alerts
+  getPendingAlerts() {
+    return Array.from(this.ruleStates.values())
+      .filter(state => state.state === 'pending' || (state.recovery && state.recovery.checks > 0))
+      .map(state => {
+        const rule = this.alertRules.get(state.ruleId) || {};
+        return {
+          rule: state.ruleId,
+          state: state.state === 'pending' ? 'pending' : 'recovering',
+          scopeKey: state.scopeKey,
+          url: state.url || null,
+          location: state.location || null,
+          severity: rule.severity || null,
+          since: new Date(state.state === 'pending' ? state.since : state.recovery.since).toISOString(),
+          checks: state.state === 'pending' ? state.checks : state.recovery.checks,
+          required: (state.state === 'pending' ? rule.for : rule.recoverAfter) || null,
+          alertId: state.alertId || null
+        };
+      });
   }
 
   async checkAlerts(deviceData) {
+    return await this.evaluateRules('device', deviceData, normalizeCheckResult(deviceData));
+  }
+
+  // Location and global rules run once per monitoring cycle on a summary of its checks
+  async checkAggregateAlerts(deviceResults, system = {}) {
+    const summaries = [{ scope: 'global', data: { ...summarizeChecks(deviceResults), ...system } }];
+
+    const byLocation = new Map();
+    deviceResults.forEach(result => {
+      if (!byLocation.has(result.location)) byLocation.set(result.location, []);
+      byLocation.get(result.location).push(result);
+    });
+    byLocation.forEach((checks, location) => {
+      // A location is under maintenance when every device checked in it is
+      const maintenance = checks.every(check => check.maintenance) ? checks[0].maintenance : null;
+      summaries.push({ scope: 'location', data: { location, ...summarizeChecks(checks), maintenance } });
+    });
+
+    const alertsTriggered = [];
+    for (const { scope, data } of summaries) {
+      const fields = normalizeCheckResult(data);
+      alertsTriggered.push(...await this.evaluateRules(scope, data, fields));
+      await this.resolveScopedAlerts(scope, data, fields);
+    }
+    return alertsTriggered;
+  }
+
+  // inactive -> pending while the condition holds but not yet for `for`,
+  // pending -> firing (alert created) once it has, back to inactive if it clears
+  async evaluateRules(scope, data, fields) {
     const alertsTriggered = [];
+    const scopeKey = this.getScopeKey(scope, data);
 
     for (const [ruleId, rule] of this.alertRules.entries()) {
+      if (this.getRuleScope(rule) !== scope || !this.appliesTo(rule, data)) {
+        continue;
+      }
+
       try {
-        if (rule.condition(deviceData)) {
-          const alertKey = `${ruleId}:${deviceData.url || 'system'}`;
-          
-          // Check cooldown
-          if (this.isOnCooldown(alertKey, rule.cooldown)) {
-            continue;
+        const state = this.getRuleState(ruleId, scopeKey);
+
+        // A flapping device gets one device_flapping alert instead of an alert per outage
+        if (fields.flapping && this.getFlapSuppressedRules().includes(ruleId)) {
+          if (state && state.state === 'pending') this.clearRuleState(ruleId, scopeKey);
+          continue;
+        }
+
+        const matched = this.evaluateRule(rule, fields);
+
+        if (state && state.state === 'firing') {
+          // Rules without resolveWhen have nothing to recover: re-arm once the condition clears
+          if (!matched && !rule.resolveWhen) {
+            this.clearRuleState(ruleId, scopeKey);
           }
+          continue;
+        }
 
-          // Create alert
-          const alert = await this.createAlert(ruleId, deviceData, rule);
-          alertsTriggered.push(alert);
-          
-          // Set cooldown
-          this.setCooldown(alertKey);
+        if (!matched) {
+          if (state) this.clearRuleState(ruleId, scopeKey);
+          continue;
+        }
+
+        const pending = state || {
+          ruleId,
+          scopeKey,
+          state: 'pending',
+          url: data.url,
+          location: data.location,
+          since: Date.now(),
+          checks: 0
+        };
+        pending.checks++;
+        this.setRuleState(ruleId, scopeKey, pending);
+
+        if (!this.isSustained(pending, rule.for)) {
+          continue;
+        }
+
+        const alertKey = `${ruleId}:${scopeKey}`;
           
-          // Send notifications
-          await this.sendAlertNotifications(alert, deviceData);
+        // Check cooldown
+        if (this.isOnCooldown(alertKey, rule.cooldown)) {
+          continue;
+        }
+
+        // Create alert
+        const alert = await this.createAlert(ruleId, data, rule, fields, scopeKey);
+        alertsTriggered.push(alert);
+        this.setRuleState(ruleId, scopeKey, { ...pending, state: 'firing', alertId: alert.id, recovery: null });
+        
+        // Set cooldown
+        this.setCooldown(alertKey);
+        
+        // Send notifications, unless a maintenance window covers what the alert is about
+        if (data.maintenance) {
+          console.log(`🔧 Notification for ${alert.title} suppressed by maintenance window #${data.maintenance.id}`);
+          await this.recordActivity(alert.id, 'suppressed', 'system', `Maintenance window #${data.maintenance.id}: ${data.maintenance.title}`);
+        } else {
+          await this.sendAlertNotifications(alert, data);
         }
       } catch (error) {
         console.error(`Error checking alert rule ${ruleId}:`, error);
@@ -321,17 +810,22 @@ class AlertManager extends EventEmitter {
     return alertsTriggered;
   }
 
-  async createAlert(ruleId, deviceData, rule) {
+  async createAlert(ruleId, deviceData, rule, fields = {}, scopeKey = null) {
     try {
-      const device = deviceData.url ? await this.db.getDevice(deviceData.url) : null;
+      const device = this.getRuleScope(rule) === 'device' && deviceData.url
+        ? await this.db.getDevice(deviceData.url)
+        : null;
       const deviceId = device ? device.id : null;
+      const title = `${ruleId.replace('_', ' ').toUpperCase()} Alert`;
+      const message = rule.message(deviceData, fields);
       
       const alertId = await this.db.createAlert(
         deviceId,
         ruleId,
         rule.severity,
-        `${ruleId.replace('_', ' ').toUpperCase()} Alert`,
-        rule.message(deviceData)
+        title,
+        message,
+        scopeKey
       );
 
       const alert = {
@@ -339,13 +833,14 @@ class AlertManager extends EventEmitter {
         ruleId,
         deviceId,
         severity: rule.severity,
-        title: `${ruleId.replace('_', ' ').toUpperCase()} Alert`,
-        message: rule.message(deviceData),
+        title,
+        message,
         timestamp: new Date().toISOString(),
         deviceData
       };
 
       console.log(`🚨 Alert created: ${alert.title} - ${alert.message}`);
+      await this.recordActivity(alertId, 'created', 'system', null, { ruleId, severity: rule.severity, scopeKey });
       this.emit('alert-created', alert);
       
       return alert;
@@ -355,6 +850,8 @@ class AlertManager extends EventEmitter {
     }
   }
 
+  // Alerts covered by an escalation policy notify step by step; the rest follow
+  // the routing tree or grouping when configured, else go to every enabled channel
   async sendAlertNotifications(alert, deviceData) {
     const alertsConfig = this.config.alerts;
     
@@ -362,102 +859,677 @@ class AlertManager extends EventEmitter {
       return;
     }
 
-    const notifications = alertsConfig.notifications || {};
+    if (await this.escalationManager.start(alert, deviceData)) {
+      return;
+    }
+    if (await this.notificationRouter.route(alert, deviceData)) {
+      return;
+    }
 
-    // Email notifications
-    if (notifications.email && notifications.email.enabled && notifications.email.recipients) {
-      const subject = `🚨 ${alert.title} - ${deviceData.location || 'System'}`;
-      const message = this.formatAlertMessage(alert, deviceData);
-      
-      await this.notificationManager.queueNotification('email', {
-        recipients: notifications.email.recipients,
-        subject,
-        message,
-        alertId: alert.id
-      });
+    for (const target of this.getBroadcastTargets()) {
+      await this.notifyTarget(target, alert, deviceData);
     }
+  }
+
+  // Every enabled and configured channel
+  getBroadcastTargets() {
+    const notifications = this.config.alerts?.notifications || {};
+    const targets = [];
 
-    // Webhook notifications
+    if (notifications.email && notifications.email.enabled && notifications.email.recipients) {
+      targets.push({ type: 'email' });
+    }
     if (notifications.webhook && notifications.webhook.enabled && notifications.webhook.url) {
-      const payload = {
+      targets.push({ type: 'webhook' });
+    }
+    if (notifications.slack && notifications.slack.enabled && notifications.slack.webhookUrl) {
+      targets.push({ type: 'slack' });
+    }
+    if (notifications.telegram && notifications.telegram.enabled && notifications.telegram.botToken) {
+      targets.push({ type: 'telegram' });
+    }
+    ['teams', 'discord'].forEach(type => {
+      const settings = notifications[type];
+      if (settings && settings.enabled && (settings.webhookUrl || (settings.routes || []).length > 0)) {
+        targets.push({ type });
+      }
+    });
+
+    return targets;
+  }
+
+  // Queue one notification; target fields override alerts.notifications.<type>.
+  // Email without explicit recipients goes to whoever is on call for the location.
+  async notifyTarget(target, alert, deviceData) {
+    const notifications = this.config.alerts?.notifications || {};
+    const onCall = this.onCallScheduler.getOnCallPerson(deviceData.location);
+    const language = this.templates.resolveLanguage(target, deviceData.location);
+    const context = target.type === 'webhook' ? null : await this.buildTemplateContext(alert, deviceData, onCall, language);
+
+    switch (target.type) {
+      case 'email': {
+        const recipients = target.recipients ||
+          (onCall && onCall.email ? [onCall.email] : notifications.email?.recipients);
+        if (!recipients || recipients.length === 0) {
+          console.warn(`⚠️ No email recipients for alert ${alert.id}`);
+          return;
+        }
+
+        const { subject, body } = this.templates.renderParts('email', ['subject', 'body'], context, alert.ruleId, language);
+        
+        await this.notificationManager.queueNotification('email', {
+          recipients,
+          subject,
+          message: body,
+          html: this.templates.render('email', 'html', { ...context, subject, body }, alert.ruleId, language),
+          alertId: alert.id
+        });
+        break;
+      }
+
+      case 'webhook': {
+        const webhookConfig = notifications.webhook || {};
+        const url = target.url || webhookConfig.url;
+        if (!url) {
+          console.warn(`⚠️ No webhook url for alert ${alert.id}`);
+          return;
+        }
+
+        const payload = {
+          alert: {
+            id: alert.id,
+            title: alert.title,
+            message: alert.message,
+            severity: alert.severity,
+            timestamp: alert.timestamp
+          },
+          device: deviceData,
+          oncall: onCall,
+          system: {
+            environment: this.config.environment || 'development',
+            timestamp: new Date().toISOString()
+          }
+        };
+
+        await this.notificationManager.queueNotification('webhook', {
+          url,
+          payload,
+          method: target.method || webhookConfig.method || 'POST',
+          headers: target.headers || webhookConfig.headers || {},
+          alertId: alert.id
+        });
+        break;
+      }
+
+      case 'slack': {
+        const message = this.templates.render('slack', 'body', context, alert.ruleId, language);
+        
+        await this.notificationManager.queueNotification('slack', {
+          message,
+          channel: target.channel || notifications.slack?.channel,
+          webhookUrl: target.webhookUrl || null,
+          alertId: alert.id
+        });
+        break;
+      }
+
+      case 'telegram': {
+        const chatId = target.chatId || this.notificationManager.telegram.getChatId(deviceData.location);
+        if (!chatId) {
+          console.warn(`⚠️ No Telegram chat for alert ${alert.id}`);
+          return;
+        }
+
+        await this.notificationManager.queueNotification('telegram', {
+          chatId: String(chatId),
+          text: this.templates.render('telegram', 'body', context, alert.ruleId, language),
+          alertId: alert.id
+        });
+        break;
+      }
+
+      case 'teams':
+      case 'discord': {
+        const route = target.webhookUrl
+          ? { name: 'target', webhookUrl: target.webhookUrl }
+          : this.findChannelRoute(target.type, alert, deviceData.location);
+        if (!route) {
+          console.warn(`⚠️ No ${target.type} webhook for alert ${alert.id}`);
+          return;
+        }
+
+        const texts = this.templates.renderParts(target.type, ['title', 'body'], context, alert.ruleId, language);
+        const payload = target.type === 'teams'
+          ? this.formatTeamsCard(alert, deviceData, onCall, texts, language)
+          : this.formatDiscordEmbed(alert, deviceData, onCall, texts, language);
+
+        await this.notificationManager.queueNotification(target.type, {
+          webhookUrl: route.webhookUrl,
+          route: route.name,
+          payload,
+          alertId: alert.id
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown notification type: ${target.type}`);
+    }
+  }
+
+  // One notification for several alerts of a routing group (NotificationRouter)
+  async notifyGroup(target, items, group) {
+    const notifications = this.config.alerts?.notifications || {};
+    const location = group.labels.location || items[0].deviceData.location || null;
+    const onCall = this.onCallScheduler.getOnCallPerson(location);
+    const alertId = items[0].alert.id;
+    const language = this.templates.resolveLanguage(target, location);
+    const context = this.buildGroupContext(items, group, location, onCall, language);
+
+    switch (target.type) {
+      case 'email': {
+        const recipients = target.recipients ||
+          (onCall && onCall.email ? [onCall.email] : notifications.email?.recipients);
+        if (!recipients || recipients.length === 0) {
+          console.warn(`⚠️ No email recipients for alert group ${group.key}`);
+          return;
+        }
+
+        const { groupSubject: subject, groupBody: body } = this.templates.renderParts('email', ['groupSubject', 'groupBody'], context, null, language);
+        await this.notificationManager.queueNotification('email', {
+          recipients,
+          subject,
+          message: body,
+          html: this.templates.render('email', 'html', { ...context, subject, body }, null, language),
+          alertId
+        });
+        break;
+      }
+
+      case 'webhook': {
+        const webhookConfig = notifications.webhook || {};
+        const url = target.url || webhookConfig.url;
+        if (!url) {
+          console.warn(`⚠️ No webhook url for alert group ${group.key}`);
+          return;
+        }
+
+        const payload = {
+          alerts: items.map(({ alert, deviceData, status }) => ({
+            id: alert.id,
+            title: alert.title,
+            message: alert.message,
+            severity: alert.severity,
+            status: status || 'firing',
+            timestamp: alert.timestamp,
+            device: deviceData
+          })),
+          group: { route: group.route.name, labels: group.labels },
+          oncall: onCall,
+          system: {
+            environment: this.config.environment || 'development',
+            timestamp: new Date().toISOString()
+          }
+        };
+
+        await this.notificationManager.queueNotification('webhook', {
+          url,
+          payload,
+          method: target.method || webhookConfig.method || 'POST',
+          headers: target.headers || webhookConfig.headers || {},
+          alertId
+        });
+        break;
+      }
+
+      case 'slack': {
+        await this.notificationManager.queueNotification('slack', {
+          message: this.templates.render('slack', 'groupBody', context, null, language),
+          channel: target.channel || notifications.slack?.channel,
+          webhookUrl: target.webhookUrl || null,
+          alertId
+        });
+        break;
+      }
+
+      case 'telegram': {
+        const chatId = target.chatId || this.notificationManager.telegram.getChatId(location);
+        if (!chatId) {
+          console.warn(`⚠️ No Telegram chat for alert group ${group.key}`);
+          return;
+        }
+
+        await this.notificationManager.queueNotification('telegram', {
+          chatId: String(chatId),
+          text: this.templates.render('telegram', 'groupBody', context, null, language),
+          alertId,
+          // The ack/resolve buttons act on a single alert
+          buttons: false
+        });
+        break;
+      }
+
+      case 'teams':
+      case 'discord': {
+        const summary = {
+          id: items.map(item => item.alert.id).join(', #'),
+          severity: context.severity,
+          timestamp: items[items.length - 1].alert.timestamp
+        };
+        const { groupTitle: title, groupBody: body } = this.templates.renderParts(target.type, ['groupTitle', 'groupBody'], context, null, language);
+        const route = target.webhookUrl
+          ? { name: 'target', webhookUrl: target.webhookUrl }
+          : this.findChannelRoute(target.type, summary, location);
+        if (!route) {
+          console.warn(`⚠️ No ${target.type} webhook for alert group ${group.key}`);
+          return;
+        }
+
+        const deviceData = { location, devices: items.length };
+        await this.notificationManager.queueNotification(target.type, {
+          webhookUrl: route.webhookUrl,
+          route: route.name,
+          payload: target.type === 'teams'
+            ? this.formatTeamsCard(summary, deviceData, onCall, { title, body }, language)
+            : this.formatDiscordEmbed(summary, deviceData, onCall, { title, body }, language),
+          alertId
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown notification type: ${target.type}`);
+    }
+  }
+
+  // Alert fields for templates, with the severity in the template's language
+  describeAlertForTemplate(alert, language) {
+    return {
+      id: alert.id,
+      title: alert.title,
+      message: alert.message,
+      severity: alert.severity,
+      severityLabel: this.templates.severityLabel(alert.severity, language),
+      ruleId: alert.ruleId,
+      timestamp: alert.timestamp
+    };
+  }
+
+  // What templates can use: the alert, device, location, on-call person,
+  // the device's last checks and dashboard links
+  async buildTemplateContext(alert, deviceData, onCall, language) {
+    let history = [];
+    if (deviceData.url) {
+      try {
+        const device = await this.db.getDevice(deviceData.url);
+        if (device) {
+          history = (await this.db.getDeviceHistory(device.id, 5)).map(check => ({
+            timestamp: check.check_timestamp,
+            status: check.status,
+            responseTime: check.response_time,
+            authorized: check.authorized_count,
+            unauthorized: check.unauthorized_count,
+            phonebankIp: check.phonebank_ip,
+            error: check.error_message
+          }));
+        }
+      } catch (error) {
+        console.error(`Failed to load check history of ${deviceData.url}:`, error.message);
+      }
+    }
+
+    return {
+      alert: this.describeAlertForTemplate(alert, language),
+      device: {
+        url: deviceData.url || null,
+        location: deviceData.location || null,
+        priority: deviceData.priority || null,
+        status: deviceData.status || null,
+        responseTime: deviceData.responseTime || null,
+        authorized: deviceData.authorized,
+        unauthorized: deviceData.unauthorized,
+        phonebankIp: deviceData.phonebankIp || null,
+        error: deviceData.error || null
+      },
+      location: deviceData.location || null,
+      oncall: onCall,
+      history,
+      links: this.getDashboardLinks(deviceData),
+      emoji: SEVERITY_EMOJI[alert.severity] || '🚨',
+      environment: this.config.environment || 'development',
+      language,
+      now: new Date().toISOString()
+    };
+  }
+
+  // Template context of a group notification; `severity` is the worst in the group.
+  // Items may carry a status: resolved and acknowledged ones are reported by
+  // routes with sendResolved
+  buildGroupContext(items, group, location, onCall, language) {
+    const severity = items.map(item => item.alert.severity)
+      .reduce((worst, current) => SEVERITY_ORDER.indexOf(current) > SEVERITY_ORDER.indexOf(worst) ? current : worst);
+
+    return {
+      alerts: items.map(({ alert, deviceData, status = 'firing' }) => ({
+        alert: this.describeAlertForTemplate(alert, language),
+        device: deviceData,
+        links: this.getDashboardLinks(deviceData),
+        emoji: SEVERITY_EMOJI[alert.severity] || '🚨',
+        status,
+        resolved: status === 'resolved',
+        acknowledged: status === 'acknowledged'
+      })),
+      count: items.length,
+      firingCount: items.filter(item => (item.status || 'firing') === 'firing').length,
+      location,
+      route: group.route.name,
+      labels: group.labels,
+      severity,
+      severityLabel: this.templates.severityLabel(severity, language),
+      emoji: SEVERITY_EMOJI[severity] || '🚨',
+      oncall: onCall,
+      links: this.getDashboardLinks({}),
+      environment: this.config.environment || 'development',
+      language,
+      now: new Date().toISOString()
+    };
+  }
+
+  // Alert and device data for a template preview: a stored alert, or a sample
+  // offline alert on the first known device
+  async getPreviewAlert(alertId, alertType) {
+    if (alertId) {
+      const row = await this.db.getAlert(alertId);
+      if (!row) {
+        throw new Error(`Alert ${alertId} not found`);
+      }
+
+      const location = row.location || (row.scope_key && row.scope_key.startsWith('location:') ? row.scope_key.slice('location:'.length) : null);
+      const deviceData = { url: row.url || null, location };
+      const device = row.url ? await this.db.getDevice(row.url) : null;
+      if (device) {
+        const [check] = await this.db.getDeviceHistory(device.id, 1);
+        Object.assign(deviceData, {
+          priority: device.priority,
+          status: check ? check.status : device.status,
+          responseTime: check ? check.response_time : null,
+          authorized: check ? check.authorized_count : undefined,
+          unauthorized: check ? check.unauthorized_count : undefined,
+          phonebankIp: check ? check.phonebank_ip : null,
+          error: check ? check.error_message : null
+        });
+      }
+
+      return {
         alert: {
-          id: alert.id,
-          title: alert.title,
-          message: alert.message,
-          severity: alert.severity,
-          timestamp: alert.timestamp
+          id: row.id,
+          ruleId: row.alert_type,
+          severity: row.severity,
+          title: row.title,
+          message: row.message,
+          timestamp: row.created_at
         },
-        device: deviceData,
-        system: {
-          environment: this.config.environment || 'development',
-          timestamp: new Date().toISOString()
-        }
+        deviceData
       };
+    }
 
-      await this.notificationManager.queueNotification('webhook', {
-        url: notifications.webhook.url,
-        payload,
-        method: notifications.webhook.method || 'POST',
-        headers: notifications.webhook.headers || {},
-        alertId: alert.id
-      });
+    const [device] = await this.db.getAllDevices();
+    const deviceData = {
+      url: device ? device.url : 'http://10.0.0.10',
+      location: device ? device.location : 'STIN',
+      priority: device ? device.priority : 'high',
+      status: 'offline',
+      responseTime: null,
+      authorized: 0,
+      unauthorized: 0,
+      phonebankIp: null,
+      error: 'Connection timeout'
+    };
+    const ruleId = alertType || 'device_offline';
+    const rule = this.alertRules.get(ruleId);
+    let message = `Device ${deviceData.url} at ${deviceData.location} is offline. Error: ${deviceData.error}`;
+    if (rule) {
+      try {
+        message = rule.message(deviceData, {});
+      } catch (error) {
+        // Rules reading check fields the sample doesn't have keep the generic message
+      }
     }
 
-    // Slack notifications
-    if (notifications.slack && notifications.slack.enabled && notifications.slack.webhookUrl) {
-      const message = this.formatSlackMessage(alert, deviceData);
-      
-      await this.notificationManager.queueNotification('slack', {
+    return {
+      alert: {
+        id: 0,
+        ruleId,
+        severity: rule ? rule.severity : 'high',
+        title: `${ruleId.replace('_', ' ').toUpperCase()} Alert`,
         message,
-        channel: notifications.slack.channel,
-        alertId: alert.id
-      });
+        timestamp: new Date().toISOString()
+      },
+      deviceData
+    };
+  }
+
+  // Render one template part the way it would be sent. `template` previews
+  // unsaved source instead of the configured template; group parts use the
+  // alert twice, as a group of two.
+  async previewTemplate({ channel, part = 'body', alertType = null, language = null, template = null, alertId = null }) {
+    if (!CHANNEL_PARTS[channel]) {
+      throw new Error(`Unknown channel ${channel}; use one of ${Object.keys(CHANNEL_PARTS).join(', ')}`);
+    }
+    if (!CHANNEL_PARTS[channel].includes(part)) {
+      throw new Error(`Unknown ${channel} part ${part}; use one of ${CHANNEL_PARTS[channel].join(', ')}`);
+    }
+
+    const { alert, deviceData } = await this.getPreviewAlert(alertId, alertType);
+    const lang = language || this.templates.resolveLanguage({ type: channel }, deviceData.location);
+    const onCall = this.onCallScheduler.getOnCallPerson(deviceData.location);
+    const isGroup = part.startsWith('group');
+    const type = isGroup ? null : alert.ruleId;
+
+    let context;
+    if (isGroup) {
+      const second = { ...alert, id: alert.id + 1 };
+      const group = { route: { name: 'preview' }, labels: { location: deviceData.location } };
+      context = this.buildGroupContext([{ alert, deviceData }, { alert: second, deviceData }], group, deviceData.location, onCall, lang);
+    } else {
+      context = await this.buildTemplateContext(alert, deviceData, onCall, lang);
+    }
+    if (part === 'html') {
+      // The HTML email wraps the rendered subject and body
+      context.subject = this.templates.render('email', 'subject', context, type, lang);
+      context.body = this.templates.render('email', 'body', context, type, lang);
     }
+
+    let output;
+    let name = 'preview';
+    let source = 'request';
+    if (template !== null && template !== undefined) {
+      output = renderTemplate(compileTemplate(template, 'preview'), context, this.templates.getEscape(channel, part)).trim();
+    } else {
+      const found = this.templates.find(channel, part, type, lang);
+      if (!found) {
+        throw new Error(`No template for ${channel}.${part}`);
+      }
+      ({ name, source } = found);
+      output = this.templates.render(channel, part, context, type, lang);
+    }
+
+    return { channel, part, alertType: alert.ruleId, language: lang, template: name, source, output, context };
   }
 
-  formatAlertMessage(alert, deviceData) {
-    return `
-Alert Details:
-===================
-Title: ${alert.title}
-Severity: ${alert.severity.toUpperCase()}
-Message: ${alert.message}
-Timestamp: ${alert.timestamp}
-
-Device Information:
-===================
-URL: ${deviceData.url || 'N/A'}
-Location: ${deviceData.location || 'N/A'}
-Priority: ${deviceData.priority || 'N/A'}
-Status: ${deviceData.status || 'N/A'}
-Response Time: ${deviceData.responseTime || 'N/A'}ms
-Authorized: ${deviceData.authorized || 'N/A'}
-Unauthorized: ${deviceData.unauthorized || 'N/A'}
-Phonebank IP: ${deviceData.phonebankIp || 'N/A'}
-Error: ${deviceData.error || 'None'}
-
-System Information:
-===================
-Environment: ${this.config.environment || 'development'}
-Alert ID: ${alert.id}
-Rule ID: ${alert.ruleId}
-
-Please check the dashboard for more details and take appropriate action.
-    `.trim();
-  }
-
-  formatSlackMessage(alert, deviceData) {
-    const severityEmoji = {
-      low: '⚠️',
-      medium: '🔶',
-      high: '🚨'
+  // Webhook for Teams/Discord: the first route (alerts.notifications.<type>.routes)
+  // matching the alert's location and severity, else the channel's webhookUrl
+  findChannelRoute(type, alert, location) {
+    const settings = this.config.alerts?.notifications?.[type] || {};
+    const routes = settings.routes || [];
+    const index = routes.findIndex(route =>
+      route.webhookUrl &&
+      (!Array.isArray(route.locations) || route.locations.includes(location)) &&
+      (!Array.isArray(route.severities) || route.severities.includes(alert.severity))
+    );
+
+    if (index !== -1) {
+      return { name: routes[index].name || `route ${index + 1}`, webhookUrl: routes[index].webhookUrl };
+    }
+    return settings.webhookUrl ? { name: 'default', webhookUrl: settings.webhookUrl } : null;
+  }
+
+  // Dashboard pages (dashboard.publicUrl, else host and port); `device` is the
+  // alerting device's evidence page, or the overview without a device
+  getDashboardLinks(deviceData) {
+    const dashboard = this.config.dashboard || {};
+    const base = (dashboard.publicUrl || `http://${dashboard.host || 'localhost'}:${dashboard.port || 3000}`).replace(/\/+$/, '');
+    return {
+      dashboard: `${base}/`,
+      device: deviceData.url ? `${base}/evidence?device=${encodeURIComponent(deviceData.url)}` : `${base}/`,
+      history: `${base}/history`
+    };
+  }
+
+  // Device and location fields shared by the Teams and Discord messages;
+  // `key` is the English name, `name` the one in the message's language
+  getAlertFields(alert, deviceData, onCall, language) {
+    const fields = [
+      ['Severity', this.templates.severityLabel(alert.severity, language)],
+      ['Location', deviceData.location || 'System'],
+      deviceData.devices ? ['Alerts', deviceData.devices] : ['Device', deviceData.url || 'System-wide'],
+      ['Status', deviceData.status],
+      ['Response Time', deviceData.responseTime ? `${deviceData.responseTime}ms` : null],
+      ['Authorized', deviceData.authorized],
+      ['Unauthorized', deviceData.unauthorized],
+      ['Phonebank IP', deviceData.phonebankIp],
+      ['Error', deviceData.error],
+      ['On Call', onCall ? onCall.name || onCall.id : null]
+    ];
+    return fields
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => ({ key, name: this.templates.label(key, language), value: String(value) }));
+  }
+
+  // Adaptive Card for a Teams incoming webhook or workflow; texts are the rendered title and body templates
+  formatTeamsCard(alert, deviceData, onCall, texts, language) {
+    const containerStyle = {
+      low: 'warning',
+      medium: 'warning',
+      high: 'attention',
+      critical: 'attention'
     };
 
-    return `${severityEmoji[alert.severity]} *${alert.title}*
-*Location:* ${deviceData.location || 'System'}
-*Device:* ${deviceData.url || 'System-wide'}
-*Message:* ${alert.message}
-*Timestamp:* ${alert.timestamp}`;
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            {
+              type: 'Container',
+              style: containerStyle[alert.severity] || 'attention',
+              bleed: true,
+              items: [{ type: 'TextBlock', text: texts.title, weight: 'Bolder', size: 'Medium', wrap: true }]
+            },
+            { type: 'TextBlock', text: texts.body, wrap: true },
+            {
+              type: 'FactSet',
+              facts: this.getAlertFields(alert, deviceData, onCall, language).map(field => ({ title: field.name, value: field.value }))
+            },
+            { type: 'TextBlock', text: `${this.templates.label('Alert', language)} #${alert.id} • ${alert.timestamp}`, isSubtle: true, size: 'Small', wrap: true }
+          ],
+          actions: [{ type: 'Action.OpenUrl', title: this.templates.label('Open in dashboard', language), url: this.getDashboardLinks(deviceData).device }]
+        }
+      }]
+    };
+  }
+
+  // Embed for a Discord webhook; texts are the rendered title and body templates
+  formatDiscordEmbed(alert, deviceData, onCall, texts, language) {
+    const severityColor = {
+      low: 0xffc107,
+      medium: 0xfd7e14,
+      high: 0xdc3545,
+      critical: 0x6f42c1
+    };
+
+    return {
+      username: 'Phonebank Monitor',
+      embeds: [{
+        title: texts.title.slice(0, 256),
+        description: texts.body.slice(0, 4096),
+        url: this.getDashboardLinks(deviceData).device,
+        color: severityColor[alert.severity] || severityColor.high,
+        fields: this.getAlertFields(alert, deviceData, onCall, language).map(field => ({
+          name: field.name,
+          value: field.value.slice(0, 1024),
+          inline: field.key !== 'Device' && field.key !== 'Error'
+        })),
+        footer: { text: `${this.templates.label('Alert', language)} #${alert.id} • ${this.config.environment || 'development'}` },
+        timestamp: alert.timestamp
+      }]
+    };
+  }
+
+  // Chat commands (Telegram): returns the reply, throws for bad input
+  async handleChatCommand(command, args, actor) {
+    if (command === 'status') {
+      return this.describeStatus(args[0]);
+    }
+
+    const alertId = parseInt(args[0]);
+    if (!alertId) {
+      throw new Error(`Usage: /${command} <alert id>`);
+    }
+    const alert = await this.db.getAlert(alertId);
+    if (!alert) {
+      throw new Error(`Alert ${alertId} not found`);
+    }
+    if (alert.status !== 'active') {
+      return `Alert ${alertId} is already resolved`;
+    }
+
+    if (command === 'ack') {
+      if (alert.acknowledged_at) {
+        return `Alert ${alertId} was already acknowledged by ${escapeHtml(alert.acknowledged_by)}`;
+      }
+      await this.acknowledgeAlert(alertId, actor);
+      return `✔ Alert ${alertId} acknowledged by ${escapeHtml(actor)}`;
+    }
+
+    await this.resolveAlert(alertId, actor);
+    return `✅ Alert ${alertId} resolved by ${escapeHtml(actor)}`;
+  }
+
+  // Device status summary for one location, or per location
+  async describeStatus(location = null) {
+    const devices = await this.db.getAllDevices();
+    const activeAlerts = await this.db.getActiveAlerts();
+    const count = (items, status) => items.filter(device => device.status === status).length;
+
+    if (!location) {
+      const locations = Array.from(new Set(devices.map(device => device.location)));
+      return ['<b>Device status</b>', ...locations.map(name => {
+        const items = devices.filter(device => device.location === name);
+        return `${escapeHtml(name)}: ${count(items, 'online')}/${items.length} online, ${count(items, 'offline')} offline`;
+      })].join('\n');
+    }
+
+    const items = devices.filter(device => device.location.toLowerCase() === location.toLowerCase());
+    if (items.length === 0) {
+      throw new Error(`Unknown location: ${location}`);
+    }
+    const name = items[0].location;
+    const down = items.filter(device => device.status !== 'online');
+    const alerts = activeAlerts.filter(alert =>
+      alert.location === name || alert.scope_key === `location:${name}`);
+
+    return [
+      `<b>${escapeHtml(name)}</b>: ${count(items, 'online')}/${items.length} online, ${count(items, 'degraded')} degraded, ${count(items, 'offline')} offline`,
+      ...down.slice(0, 10).map(device => `• ${escapeHtml(device.url)} ${escapeHtml(device.status || 'unknown')}`),
+      ...(down.length > 10 ? [`… and ${down.length - 10} more`] : []),
+      `Active alerts: ${alerts.length}`
+    ].join('\n');
   }
 
   isOnCooldown(alertKey, cooldownMs) {
@@ -471,9 +1543,20 @@ Please check the dashboard for more details and take appropriate action.
     this.alertCooldowns.set(alertKey, Date.now());
   }
 
-  async resolveAlert(alertId, resolvedBy = 'system') {
+  // Activity timeline entry; a failure here never stops alerting
+  async recordActivity(alertId, action, actor = 'system', note = null, details = null) {
+    try {
+      await this.db.addAlertActivity(alertId, action, actor, note, details);
+      this.emit('alert-activity', { alertId, action, actor, note, details });
+    } catch (error) {
+      console.error(`Failed to record ${action} for alert ${alertId}:`, error.message);
+    }
+  }
+
+  async resolveAlert(alertId, resolvedBy = 'system', note = null) {
     try {
       await this.db.resolveAlert(alertId, resolvedBy);
+      await this.recordActivity(alertId, 'resolved', resolvedBy, note);
       
       console.log(`Alert ${alertId} resolved by ${resolvedBy}`);
       this.emit('alert-resolved', { alertId, resolvedBy });
@@ -484,7 +1567,7 @@ Please check the dashboard for more details and take appropriate action.
     }
   }
 
-  async acknowledgeAlert(alertId, acknowledgedBy) {
+  async acknowledgeAlert(alertId, acknowledgedBy, note = null) {
     try {
       // Update alert acknowledgment in database
       const sql = `UPDATE alerts SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = ? WHERE id = ?`;
@@ -494,8 +1577,10 @@ Please check the dashboard for more details and take appropriate action.
           else resolve();
         });
       });
+      await this.recordActivity(alertId, 'acknowledged', acknowledgedBy, note);
       
       console.log(`Alert ${alertId} acknowledged by ${acknowledgedBy}`);
+      this.escalationManager.stop(alertId, `acknowledged by ${acknowledgedBy}`);
       this.emit('alert-acknowledged', { alertId, acknowledgedBy });
       
     } catch (error) {
@@ -504,46 +1589,104 @@ Please check the dashboard for more details and take appropriate action.
     }
   }
 
-  // Auto-resolution for certain alert types
+  // assignee null unassigns
+  async assignAlert(alertId, assignee, assignedBy = 'system') {
+    try {
+      await this.db.assignAlert(alertId, assignee);
+      await this.recordActivity(alertId, assignee ? 'assigned' : 'unassigned', assignedBy, null, assignee ? { assignee } : null);
+
+      console.log(`Alert ${alertId} ${assignee ? `assigned to ${assignee}` : 'unassigned'} by ${assignedBy}`);
+      this.emit('alert-assigned', { alertId, assignee, assignedBy });
+
+    } catch (error) {
+      console.error(`Failed to assign alert ${alertId}:`, error);
+      throw error;
+    }
+  }
+
+  async addAlertNote(alertId, note, author = 'system') {
+    await this.recordActivity(alertId, 'note', author, note);
+  }
+
+  // Active and unacknowledged again, so auto-resolution and escalation pick it up
+  async reopenAlert(alertId, reopenedBy = 'system', note = null) {
+    try {
+      await this.db.reopenAlert(alertId);
+      await this.recordActivity(alertId, 'reopened', reopenedBy, note);
+
+      console.log(`Alert ${alertId} reopened by ${reopenedBy}`);
+      this.emit('alert-reopened', { alertId, reopenedBy });
+
+    } catch (error) {
+      console.error(`Failed to reopen alert ${alertId}:`, error);
+      throw error;
+    }
+  }
+
+  // Auto-resolution for rules with a resolveWhen condition
   async checkAutoResolution(deviceData) {
+    await this.resolveScopedAlerts('device', deviceData, normalizeCheckResult(deviceData));
+  }
+
+  // Firing alerts resolve once resolveWhen has held for recoverAfter (one check by default)
+  async resolveScopedAlerts(scope, data, fields) {
     try {
       const activeAlerts = await this.db.getActiveAlerts();
+      const scopeKey = this.getScopeKey(scope, data);
+
+      // Alerts raised before scope keys were stored are matched by device url
+      const alertsByRule = new Map();
+      activeAlerts
+        .filter(alert => (alert.scope_key || alert.url) === scopeKey)
+        .forEach(alert => {
+          if (!alertsByRule.has(alert.alert_type)) alertsByRule.set(alert.alert_type, []);
+          alertsByRule.get(alert.alert_type).push(alert);
+        });
+
+      // Firing states whose alert was resolved by hand go back to inactive
+      this.ruleStates.forEach(state => {
+        if (state.scopeKey === scopeKey && state.state === 'firing' && !alertsByRule.has(state.ruleId)) {
+          this.clearRuleState(state.ruleId, scopeKey);
+        }
+      });
       
-      for (const alert of activeAlerts) {
-        let shouldResolve = false;
-        
-        switch (alert.alert_type) {
-          case 'device_offline':
-            // Resolve if device is back online
-            if (alert.url === deviceData.url && deviceData.status === 'online') {
-              shouldResolve = true;
-            }
-            break;
-            
-          case 'high_unauthorized':
-            // Resolve if unauthorized count is back to normal
-            if (alert.url === deviceData.url) {
-              const match = (deviceData.unauthorized && typeof deviceData.unauthorized === 'string') 
-                ? deviceData.unauthorized.match(/(\d+)/) 
-                : null;
-              const count = match ? parseInt(match[1]) : 0;
-              if (count <= (this.thresholds.unauthorizedMax || 5)) {
-                shouldResolve = true;
-              }
-            }
-            break;
-            
-          case 'slow_response':
-            // Resolve if response time is back to normal
-            if (alert.url === deviceData.url && 
-                deviceData.responseTime <= (this.thresholds.responseTimeMax || 30000)) {
-              shouldResolve = true;
-            }
-            break;
+      for (const [ruleId, alerts] of alertsByRule.entries()) {
+        const rule = this.alertRules.get(ruleId);
+        if (!rule || !rule.resolveWhen || this.getRuleScope(rule) !== scope) {
+          continue;
         }
-        
-        if (shouldResolve) {
-          await this.resolveAlert(alert.id, 'auto-resolution');
+
+        // Alerts from before a restart have no state yet
+        const state = this.getRuleState(ruleId, scopeKey) || {
+          ruleId,
+          scopeKey,
+          state: 'firing',
+          url: data.url,
+          location: data.location,
+          since: Date.now(),
+          checks: 0,
+          alertId: alerts[0].id,
+          recovery: null
+        };
+        if (state.state !== 'firing') {
+          continue;
+        }
+
+        if (!this.evaluateRule(rule, fields, 'resolveWhen')) {
+          state.recovery = null;
+          this.setRuleState(ruleId, scopeKey, state);
+          continue;
+        }
+
+        state.recovery = state.recovery || { checks: 0, since: Date.now() };
+        state.recovery.checks++;
+        this.setRuleState(ruleId, scopeKey, state);
+
+        if (this.isSustained(state.recovery, rule.recoverAfter)) {
+          for (const alert of alerts) {
+            await this.resolveAlert(alert.id, 'auto-resolution');
+          }
+          this.clearRuleState(ruleId, scopeKey);
         }
       }
     } catch (error) {
@@ -551,13 +1694,34 @@ Please check the dashboard for more details and take appropriate action.
     }
   }
 
+  // Rules as listed by the API
+  getRules() {
+    return Array.from(this.alertRules.entries()).map(([name, rule]) => ({
+      name,
+      source: rule.source || 'builtin',
+      scope: this.getRuleScope(rule),
+      severity: rule.severity,
+      cooldown: rule.cooldown,
+      for: rule.for || null,
+      recoverAfter: rule.recoverAfter || null,
+      definition: rule.definition || null
+    }));
+  }
+
   getAlertStats() {
     return {
       rulesCount: this.alertRules.size,
       activeCooldowns: this.alertCooldowns.size,
+      escalationPolicies: this.escalationManager.policies.length,
       thresholds: this.thresholds
     };
   }
+
+  destroy() {
+    this.escalationManager.destroy();
+    this.notificationRouter.destroy();
+    this.digestScheduler.destroy();
+  }
 }
 
 module.exports = {
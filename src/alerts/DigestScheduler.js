@@ -0,0 +1,261 @@
+const { parseDuration } = require('./RuleEngine');
+const { parseDbTime } = require('./EscalationManager');
+const { toWall, fromWall } = require('../oncall/OnCallScheduler');
+
+// Scheduled digest emails (alerts.digests) summarizing the alerts that were
+// raised and resolved in the last period and those still open:
+//
+//   "digests": [
+//     { "name": "daily_ops", "schedule": "daily", "at": "08:00", "timezone": "Asia/Jakarta",
+//       "recipients": ["ops@example.com"] },
+//     { "name": "stin_hourly", "schedule": "hourly", "at": "00:05", "locations": ["STIN"], "sendEmpty": false }
+//   ]
+//
+// Hourly digests only use the minutes of `at`. Sent digests are recorded in
+// alert_digests, so after a restart the next one covers everything since the
+// last one sent.
+
+const SCHEDULES = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// Timestamp -> "2026-10-19 08:00:00", the format of SQLite CURRENT_TIMESTAMP
+function toDbTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function compileDigest(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Digest must be an object');
+  }
+
+  const { name } = definition;
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new Error('Digest name must be lowercase letters, digits and underscores');
+  }
+  const where = `Digest ${name}`;
+
+  const schedule = definition.schedule || 'daily';
+  if (!SCHEDULES[schedule]) {
+    throw new Error(`${where}: schedule must be one of ${Object.keys(SCHEDULES).join(', ')}`);
+  }
+
+  const at = String(definition.at || (schedule === 'daily' ? '08:00' : '00:00'));
+  const match = at.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`${where}: at must be a time like "08:00"`);
+  }
+
+  const timezone = definition.timezone || 'UTC';
+  try {
+    toWall(Date.now(), timezone);
+  } catch (error) {
+    throw new Error(`${where}: unknown timezone ${timezone}`);
+  }
+
+  if (definition.recipients !== undefined && !Array.isArray(definition.recipients)) {
+    throw new Error(`${where}: recipients must be an array of email addresses`);
+  }
+
+  return {
+    name,
+    schedule,
+    period: SCHEDULES[schedule],
+    // Offset of the send time into the period
+    offset: schedule === 'daily'
+      ? (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60000
+      : parseInt(match[2], 10) * 60000,
+    timezone,
+    recipients: definition.recipients || null,
+    locations: Array.isArray(definition.locations) ? definition.locations : null,
+    sendEmpty: definition.sendEmpty !== false,
+    definition
+  };
+}
+
+class DigestScheduler {
+  constructor(config, db, notificationManager) {
+    this.db = db;
+    this.notificationManager = notificationManager;
+    this.digests = [];
+    // End of the last period sent, per digest
+    this.lastSent = new Map();
+    this.isProcessing = false;
+    this.interval = null;
+    this.configure(config);
+  }
+
+  configure(config) {
+    const settings = config.alerts?.digests || [];
+    this.config = config;
+    this.digests = [];
+
+    (Array.isArray(settings) ? settings : []).forEach(definition => {
+      try {
+        this.digests.push(compileDigest(definition));
+      } catch (error) {
+        console.error(`❌ Skipping digest: ${error.message}`);
+      }
+    });
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    if (this.digests.length > 0) {
+      const checkInterval = parseDuration(config.alerts?.digestCheckInterval ?? '1m') || 60 * 1000;
+      this.interval = setInterval(() => {
+        this.process().catch(error => console.error('Digest check failed:', error.message));
+      }, checkInterval);
+    }
+  }
+
+  getDigest(name) {
+    return this.digests.find(digest => digest.name === name) || null;
+  }
+
+  // Latest scheduled send time at or before `now`
+  getLastBoundary(digest, now = Date.now()) {
+    const wall = toWall(now, digest.timezone);
+    let boundary = wall - (wall % digest.period) + digest.offset;
+    if (boundary > wall) {
+      boundary -= digest.period;
+    }
+    return fromWall(boundary, digest.timezone);
+  }
+
+  // End of the last period sent; a digest never sent starts counting now
+  async getLastSent(digest, now = Date.now()) {
+    if (!this.lastSent.has(digest.name)) {
+      const row = await this.db.getLastDigest(digest.name);
+      this.lastSent.set(digest.name, row ? parseDbTime(row.period_end) : this.getLastBoundary(digest, now));
+    }
+    return this.lastSent.get(digest.name);
+  }
+
+  async process(now = Date.now()) {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      for (const digest of this.digests) {
+        const boundary = this.getLastBoundary(digest, now);
+        const lastSent = await this.getLastSent(digest, now);
+        if (boundary <= lastSent) continue;
+
+        try {
+          await this.send(digest, lastSent, boundary);
+        } catch (error) {
+          console.error(`Failed to send digest ${digest.name}:`, error.message);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Send a digest for everything since the last one, without waiting for its schedule
+  async sendNow(name, now = Date.now()) {
+    const digest = this.getDigest(name);
+    if (!digest) {
+      throw new Error(`Unknown digest ${name}`);
+    }
+    return await this.send(digest, await this.getLastSent(digest, now), now, true);
+  }
+
+  // Alerts of the period [since, until), split into new, resolved and still open
+  async collect(digest, since, until) {
+    const rows = await this.db.getAlertsForDigest(toDbTime(since), toDbTime(until));
+    const alerts = rows
+      .map(row => ({
+        ...row,
+        location: row.location || (row.scope_key && row.scope_key.startsWith('location:') ? row.scope_key.slice('location:'.length) : null)
+      }))
+      .filter(row => !digest.locations || digest.locations.includes(row.location));
+
+    const within = (value) => {
+      const time = parseDbTime(value);
+      return time !== null && time >= since && time < until;
+    };
+
+    return {
+      new: alerts.filter(row => within(row.created_at)),
+      resolved: alerts.filter(row => row.status === 'resolved' && within(row.resolved_at)),
+      open: alerts.filter(row => row.status === 'active')
+    };
+  }
+
+  formatTime(timestamp, timezone) {
+    return new Date(toWall(timestamp, timezone)).toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  formatDigest(digest, sections, since, until) {
+    const describe = (row) => {
+      const time = this.formatTime(parseDbTime(row.created_at), digest.timezone);
+      return `  [${row.severity.toUpperCase()}] #${row.id} ${row.title} - ${row.location || 'System'}${row.url ? ` ${row.url}` : ''}: ${row.message} (${time})`;
+    };
+    const section = (title, rows) => rows.length > 0 ? ['', `${title} (${rows.length}):`, ...rows.map(describe)] : [];
+
+    return [
+      `Alert digest ${digest.name}`,
+      `Period: ${this.formatTime(since, digest.timezone)} to ${this.formatTime(until, digest.timezone)} (${digest.timezone})`,
+      ...(digest.locations ? [`Locations: ${digest.locations.join(', ')}`] : []),
+      '',
+      `New alerts: ${sections.new.length}`,
+      `Resolved alerts: ${sections.resolved.length}`,
+      `Open alerts: ${sections.open.length}`,
+      ...section('New', sections.new),
+      ...section('Resolved', sections.resolved),
+      ...section('Still open', sections.open),
+      '',
+      `Environment: ${this.config.environment || 'development'}`
+    ].join('\n');
+  }
+
+  async send(digest, since, until, force = false) {
+    const sections = await this.collect(digest, since, until);
+    const counts = { new: sections.new.length, open: sections.open.length, resolved: sections.resolved.length };
+    const recipients = digest.recipients || this.config.alerts?.notifications?.email?.recipients || [];
+
+    if (recipients.length === 0) {
+      console.warn(`⚠️ No recipients for digest ${digest.name}`);
+    } else if (force || digest.sendEmpty || counts.new + counts.open + counts.resolved > 0) {
+      await this.notificationManager.queueNotification('email', {
+        recipients,
+        subject: `📋 ${digest.schedule === 'daily' ? 'Daily' : 'Hourly'} alert digest: ${counts.new} new, ${counts.open} open, ${counts.resolved} resolved`,
+        message: this.formatDigest(digest, sections, since, until)
+      });
+      console.log(`📋 Digest ${digest.name} queued for ${recipients.length} recipient(s)`);
+    }
+
+    await this.db.recordDigest(digest.name, toDbTime(since), toDbTime(until), counts);
+    this.lastSent.set(digest.name, until);
+    return counts;
+  }
+
+  getDigests() {
+    return this.digests.map(digest => ({
+      name: digest.name,
+      schedule: digest.schedule,
+      at: digest.definition.at || (digest.schedule === 'daily' ? '08:00' : '00:00'),
+      timezone: digest.timezone,
+      recipients: digest.recipients,
+      locations: digest.locations,
+      sendEmpty: digest.sendEmpty,
+      lastSent: this.lastSent.has(digest.name) ? new Date(this.lastSent.get(digest.name)).toISOString() : null
+    }));
+  }
+
+  destroy() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = {
+  DigestScheduler,
+  compileDigest
+};
@@ -0,0 +1,233 @@
+const { parseDuration } = require('./RuleEngine');
+
+// Escalation policies (alerts.escalation.policies). An alert matched by a
+// policy is not broadcast to every channel; its steps notify one audience
+// after another until someone acknowledges or the alert resolves:
+//
+//   { "name": "stin", "locations": ["STIN"], "severities": ["high", "critical"],
+//     "steps": [
+//       { "after": "0m", "notify": [{ "type": "slack", "channel": "#stin-team" }] },
+//       { "after": "15m", "notify": [{ "type": "email", "recipients": ["supervisor@example.com"] }] },
+//       { "after": "30m", "notify": [{ "type": "webhook", "url": "https://pager.example.com/hook" }] }
+//     ] }
+//
+// The policy and the last step sent are stored on the alert row, so a chain
+// carries on where it was after a restart.
+
+const TARGET_TYPES = ['email', 'slack', 'webhook', 'telegram', 'teams', 'discord'];
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone designator
+function parseDbTime(value) {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`).getTime();
+}
+
+// "slack" or { type: "slack", channel: "#team" } -> target object
+function compileTarget(target, where) {
+  const compiled = typeof target === 'string' ? { type: target } : { ...target };
+  if (!compiled || !TARGET_TYPES.includes(compiled.type)) {
+    throw new Error(`${where}: notify type must be one of ${TARGET_TYPES.join(', ')}`);
+  }
+  if (compiled.recipients !== undefined && !Array.isArray(compiled.recipients)) {
+    compiled.recipients = [compiled.recipients];
+  }
+  return compiled;
+}
+
+function compilePolicy(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Escalation policy must be an object');
+  }
+
+  const { name } = definition;
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Escalation policy name is required');
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error(`Escalation policy ${name} needs at least one step`);
+  }
+
+  let previous = 0;
+  const steps = definition.steps.map((step, index) => {
+    const where = `Escalation policy ${name} step ${index + 1}`;
+    const after = step.after === undefined ? 0 : parseDuration(step.after);
+    if (after === null || after < 0) {
+      throw new Error(`${where}: after must be milliseconds or a duration like "15m"`);
+    }
+    if (after < previous) {
+      throw new Error(`${where}: steps must be in order of their delay`);
+    }
+    previous = after;
+
+    const notify = Array.isArray(step.notify) ? step.notify : [step.notify];
+    if (notify.length === 0 || notify[0] === undefined) {
+      throw new Error(`${where}: notify is required`);
+    }
+    return { after, notify: notify.map(target => compileTarget(target, where)) };
+  });
+
+  return {
+    name,
+    locations: Array.isArray(definition.locations) ? definition.locations : null,
+    severities: Array.isArray(definition.severities) ? definition.severities : null,
+    rules: Array.isArray(definition.rules) ? definition.rules : null,
+    steps,
+    definition
+  };
+}
+
+class EscalationManager {
+  constructor(config, db, alertManager) {
+    this.db = db;
+    this.alertManager = alertManager;
+    this.policies = [];
+    // Check data of alerts escalated by this process, for messages richer than the alert row
+    this.deviceData = new Map();
+    this.interval = null;
+    this.configure(config);
+  }
+
+  configure(config) {
+    const settings = config.alerts?.escalation || {};
+    this.enabled = settings.enabled !== false;
+    this.policies = [];
+
+    (settings.policies || []).forEach(definition => {
+      try {
+        this.policies.push(compilePolicy(definition));
+      } catch (error) {
+        console.error(`❌ Skipping escalation policy: ${error.message}`);
+      }
+    });
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    if (this.enabled && this.policies.length > 0) {
+      const checkInterval = parseDuration(settings.checkInterval ?? '1m') || 60 * 1000;
+      this.interval = setInterval(() => {
+        this.process().catch(error => console.error('Escalation check failed:', error.message));
+      }, checkInterval);
+    }
+  }
+
+  // First policy (in config order) covering the alert's location, severity and rule
+  findPolicy(alert, location) {
+    if (!this.enabled) return null;
+    return this.policies.find(policy =>
+      (!policy.locations || policy.locations.includes(location)) &&
+      (!policy.severities || policy.severities.includes(alert.severity)) &&
+      (!policy.rules || policy.rules.includes(alert.ruleId))
+    ) || null;
+  }
+
+  // Start the chain for a new alert; false when no policy applies
+  async start(alert, deviceData) {
+    const policy = this.findPolicy(alert, deviceData.location);
+    if (!policy) return false;
+
+    await this.db.updateAlertEscalation(alert.id, policy.name, -1);
+    this.deviceData.set(alert.id, deviceData);
+    console.log(`📶 Alert ${alert.id} follows escalation policy ${policy.name}`);
+
+    await this.advance(alert, deviceData, policy, -1, Date.parse(alert.timestamp) || Date.now());
+    return true;
+  }
+
+  // Send every step that is due; returns the index of the last step sent
+  async advance(alert, deviceData, policy, lastStep, startedAt, now = Date.now()) {
+    let step = lastStep;
+
+    while (step + 1 < policy.steps.length && now - startedAt >= policy.steps[step + 1].after) {
+      step++;
+      console.log(`📶 Escalating alert ${alert.id} to step ${step + 1}/${policy.steps.length} of ${policy.name}`);
+      for (const target of policy.steps[step].notify) {
+        await this.alertManager.notifyTarget(target, alert, deviceData);
+      }
+      await this.alertManager.recordActivity(alert.id, 'escalated', 'system', null, {
+        policy: policy.name,
+        step: step + 1,
+        notify: policy.steps[step].notify.map(target => target.type)
+      });
+    }
+
+    if (step !== lastStep) {
+      await this.db.updateAlertEscalation(alert.id, policy.name, step);
+    }
+    return step;
+  }
+
+  // Periodic pass over unacknowledged alerts that are part of a chain
+  async process(now = Date.now()) {
+    const alerts = await this.db.getActiveAlerts();
+
+    for (const row of alerts) {
+      if (!row.escalation_policy || row.acknowledged_at) continue;
+
+      const policy = this.policies.find(candidate => candidate.name === row.escalation_policy);
+      if (!policy) continue;
+
+      const lastStep = row.escalation_step ?? -1;
+      if (lastStep + 1 >= policy.steps.length) continue;
+
+      const alert = {
+        id: row.id,
+        ruleId: row.alert_type,
+        deviceId: row.device_id,
+        severity: row.severity,
+        title: row.title,
+        message: row.message,
+        timestamp: new Date(parseDbTime(row.created_at)).toISOString()
+      };
+      const deviceData = this.deviceData.get(row.id) || {
+        url: row.url,
+        location: row.location || (row.scope_key && row.scope_key.startsWith('location:') ? row.scope_key.slice('location:'.length) : null)
+      };
+
+      try {
+        await this.advance(alert, deviceData, policy, lastStep, parseDbTime(row.created_at), now);
+      } catch (error) {
+        console.error(`Failed to escalate alert ${row.id}:`, error.message);
+      }
+    }
+
+    // Forget data of alerts that left the chain
+    const open = new Set(alerts.filter(row => !row.acknowledged_at).map(row => row.id));
+    Array.from(this.deviceData.keys())
+      .filter(alertId => !open.has(alertId))
+      .forEach(alertId => this.deviceData.delete(alertId));
+  }
+
+  // Acknowledgement ends the chain; process() skips acknowledged alerts
+  stop(alertId, reason) {
+    if (this.deviceData.delete(alertId)) {
+      console.log(`📶 Escalation of alert ${alertId} stopped (${reason})`);
+    }
+  }
+
+  getPolicies() {
+    return this.policies.map(policy => ({
+      name: policy.name,
+      locations: policy.locations,
+      severities: policy.severities,
+      rules: policy.rules,
+      steps: policy.steps
+    }));
+  }
+
+  destroy() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = {
+  EscalationManager,
+  compilePolicy,
+  compileTarget,
+  parseDbTime
+};
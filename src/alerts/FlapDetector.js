@@ -0,0 +1,62 @@
+const { parseDuration } = require('./RuleEngine');
+
+// Detects devices that keep going up and down. Counts up/down transitions per
+// device over a sliding window: a device starts flapping at `threshold`
+// changes and stops once it is back to `clearThreshold` or fewer, so it
+// doesn't toggle in and out of the flapping state itself.
+class FlapDetector {
+  constructor(config) {
+    this.devices = new Map();
+    this.configure(config);
+  }
+
+  configure(config) {
+    const settings = config.alerts?.flapping || {};
+    this.enabled = settings.enabled !== false;
+    this.windowMs = parseDuration(settings.window ?? '30m') || 30 * 60 * 1000;
+    this.threshold = settings.threshold || 4;
+    this.clearThreshold = settings.clearThreshold ?? Math.floor(this.threshold / 2);
+  }
+
+  // Record a check result; returns the fields merged into deviceData
+  record(url, status, timestamp = Date.now()) {
+    if (!this.enabled || !url || !status) {
+      return { flapping: false, stateChanges: 0 };
+    }
+
+    const device = this.devices.get(url) || { up: null, changes: [], flapping: false };
+
+    // Degraded still answered, so only online/degraded <-> offline counts as a change
+    const up = status !== 'offline';
+    if (device.up !== null && device.up !== up) {
+      device.changes.push(timestamp);
+    }
+    device.up = up;
+    device.changes = device.changes.filter(changedAt => timestamp - changedAt <= this.windowMs);
+
+    const stateChanges = device.changes.length;
+    if (!device.flapping && stateChanges >= this.threshold) {
+      device.flapping = true;
+      console.warn(`🔁 ${url} is flapping (${stateChanges} state changes)`);
+    } else if (device.flapping && stateChanges <= this.clearThreshold) {
+      device.flapping = false;
+      console.log(`✅ ${url} stopped flapping`);
+    }
+
+    this.devices.set(url, device);
+    return { flapping: device.flapping, stateChanges };
+  }
+
+  isFlapping(url) {
+    const device = this.devices.get(url);
+    return !!device && device.flapping;
+  }
+
+  getFlappingDevices() {
+    return Array.from(this.devices.entries())
+      .filter(([, device]) => device.flapping)
+      .map(([url, device]) => ({ url, stateChanges: device.changes.length }));
+  }
+}
+
+module.exports = FlapDetector;
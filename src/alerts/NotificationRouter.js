@@ -0,0 +1,475 @@
+const { parseDuration } = require('./RuleEngine');
+const { compileTarget } = require('./EscalationManager');
+
+// Notification routing tree (alerts.routing), after Prometheus Alertmanager.
+// Every alert enters at the root route and walks down to the most specific
+// child whose matchers fit; that route's receiver gets the notification:
+//
+//   "routing": {
+//     "enabled": true,
+//     "receivers": {
+//       "ops": { "notify": ["email", "slack"] },
+//       "stin_team": { "notify": [{ "type": "slack", "channel": "#stin" }, "email"] },
+//       "posko_digest": { "notify": [{ "type": "email", "recipients": ["posko@example.com"] }] }
+//     },
+//     "route": {
+//       "receiver": "ops", "groupBy": ["location"],
+//       "groupWait": "30s", "groupInterval": "5m", "repeatInterval": "4h",
+//       "routes": [
+//         { "match": { "location": "STIN", "severity": ["high", "critical"] }, "receiver": "stin_team", "groupWait": "0s" },
+//         { "match": { "location": "Posko0", "severity": "low" }, "receiver": "posko_digest",
+//           "groupWait": "24h", "groupInterval": "24h", "repeatInterval": "24h", "sendResolved": true }
+//       ]
+//     }
+//   }
+//
+// Children inherit the settings they leave out. Siblings are tried in order
+// and the first match wins, unless it sets "continue": true. Alerts with the
+// same groupBy values on a route are sent together: groupWait after the first
+// one, then at most every groupInterval when new alerts join, and again every
+// repeatInterval (0 for never) while any of them is still unacknowledged.
+// Alerts resolved or acknowledged before their group went out are dropped,
+// unless the route sets sendResolved, which reports them with their status.
+// Groups are saved in notification_groups, so a restart keeps them.
+//
+// Without a routing tree, alerts.grouping batches the plain "every enabled
+// channel" notifications the same way:
+//
+//   "grouping": { "enabled": true, "by": ["location"], "wait": "30s", "interval": "5m" }
+
+const MATCHERS = ['location', 'severity', 'alertType', 'tags'];
+const GROUP_LABELS = ['location', 'severity', 'alertType', 'device'];
+const ROUTE_SETTINGS = ['receiver', 'groupBy', 'groupWait', 'groupInterval', 'repeatInterval', 'sendResolved'];
+
+function compileReceivers(definitions) {
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error('Routing receivers must be an object keyed by name');
+  }
+
+  const receivers = {};
+  Object.entries(definitions).forEach(([name, receiver]) => {
+    const where = `Receiver ${name}`;
+    const notify = Array.isArray(receiver && receiver.notify) ? receiver.notify : [receiver && receiver.notify];
+    if (notify.length === 0 || notify[0] === undefined) {
+      throw new Error(`${where}: notify is required`);
+    }
+    receivers[name] = { name, notify: notify.map(target => compileTarget(target, where)) };
+  });
+  return receivers;
+}
+
+function compileMatch(match, where) {
+  const compiled = {};
+  Object.entries(match || {}).forEach(([key, value]) => {
+    if (!MATCHERS.includes(key)) {
+      throw new Error(`${where}: unknown matcher ${key}, expected one of ${MATCHERS.join(', ')}`);
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(item => typeof item !== 'string')) {
+      throw new Error(`${where}: matcher ${key} must be a string or an array of strings`);
+    }
+    compiled[key] = values;
+  });
+  return compiled;
+}
+
+function compileRoute(definition, receivers, parent = null, id = 'root') {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`Route ${id} must be an object`);
+  }
+  const where = `Route ${definition.name || id}`;
+
+  const settings = {};
+  ROUTE_SETTINGS.forEach(key => {
+    settings[key] = definition[key] !== undefined ? definition[key] : parent && parent.definitionSettings[key];
+  });
+
+  if (!settings.receiver || !receivers[settings.receiver]) {
+    throw new Error(`${where}: unknown receiver ${settings.receiver}`);
+  }
+
+  const groupBy = settings.groupBy || ['location'];
+  if (!Array.isArray(groupBy) || groupBy.some(label => !GROUP_LABELS.includes(label))) {
+    throw new Error(`${where}: groupBy must list labels from ${GROUP_LABELS.join(', ')}`);
+  }
+
+  const duration = (key, fallback) => {
+    const value = parseDuration(settings[key] ?? fallback);
+    if (value === null || value < 0) {
+      throw new Error(`${where}: ${key} must be milliseconds or a duration like "5m"`);
+    }
+    return value;
+  };
+
+  const route = {
+    id,
+    name: definition.name || id,
+    match: parent ? compileMatch(definition.match, where) : {},
+    continue: !!definition.continue,
+    receiver: settings.receiver,
+    groupBy,
+    groupWait: duration('groupWait', '30s'),
+    groupInterval: duration('groupInterval', '5m'),
+    repeatInterval: duration('repeatInterval', '4h'),
+    sendResolved: !!settings.sendResolved,
+    definitionSettings: settings
+  };
+
+  route.routes = (definition.routes || []).map((child, index) => compileRoute(child, receivers, route, `${id}.${index + 1}`));
+  return route;
+}
+
+class NotificationRouter {
+  constructor(config, db, alertManager) {
+    this.db = db;
+    this.alertManager = alertManager;
+    // Alert groups by route and groupBy values, mirrored in notification_groups
+    this.groups = new Map();
+    this.restoring = null;
+    this.interval = null;
+    this.configure(config);
+  }
+
+  configure(config) {
+    const settings = config.alerts?.routing || {};
+    this.config = config;
+    this.enabled = false;
+    this.receivers = {};
+    this.root = null;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    const grouping = config.alerts?.grouping || {};
+    if (!settings.enabled && !grouping.enabled) return;
+
+    try {
+      if (settings.enabled) {
+        this.receivers = compileReceivers(settings.receivers || {});
+        this.root = compileRoute(settings.route || {}, this.receivers);
+      } else {
+        // A single route whose receiver is every enabled channel (notify: null)
+        this.receivers = { all_channels: { name: 'all_channels', notify: null } };
+        this.root = compileRoute({
+          name: 'grouping',
+          receiver: 'all_channels',
+          groupBy: grouping.by || ['location'],
+          groupWait: grouping.wait ?? '30s',
+          groupInterval: grouping.interval ?? '5m',
+          repeatInterval: grouping.repeatInterval ?? 0
+        }, this.receivers);
+      }
+      this.enabled = true;
+    } catch (error) {
+      console.error(`❌ Skipping notification ${settings.enabled ? 'routing' : 'grouping'}: ${error.message}`);
+      return;
+    }
+
+    // Groups keep their route by id; groups of routes that are gone are dropped
+    const routes = new Map(this.flattenRoutes(this.root).map(route => [route.id, route]));
+    Array.from(this.groups.values()).forEach(group => {
+      if (routes.has(group.route.id)) {
+        group.route = routes.get(group.route.id);
+      } else {
+        this.groups.delete(group.key);
+        this.db.deleteNotificationGroup(group.key)
+          .catch(error => console.error(`Failed to delete notification group ${group.key}:`, error.message));
+      }
+    });
+
+    const checkInterval = parseDuration(settings.checkInterval ?? '5s') || 5000;
+    this.interval = setInterval(() => {
+      this.process().catch(error => console.error('Notification routing check failed:', error.message));
+    }, checkInterval);
+  }
+
+  flattenRoutes(route) {
+    return [route, ...route.routes.flatMap(child => this.flattenRoutes(child))];
+  }
+
+  // Load the groups saved before a restart, once; groups of routes that are gone are dropped
+  async restore() {
+    if (!this.root) return;
+    if (!this.restoring) {
+      this.restoring = (async () => {
+        const routes = new Map(this.flattenRoutes(this.root).map(route => [route.id, route]));
+        const rows = await this.db.getNotificationGroups();
+
+        for (const row of rows) {
+          if (this.groups.has(row.group_key)) continue;
+          if (!routes.has(row.route_id)) {
+            await this.db.deleteNotificationGroup(row.group_key);
+            continue;
+          }
+
+          const group = {
+            key: row.group_key,
+            route: routes.get(row.route_id),
+            labels: row.labels,
+            alerts: new Map(),
+            pending: new Set(),
+            lastSentAt: row.last_sent_at,
+            nextFlushAt: row.next_flush_at
+          };
+          row.alerts.forEach(({ alert, deviceData, pending }) => {
+            group.alerts.set(alert.id, { alert, deviceData });
+            if (pending) group.pending.add(alert.id);
+          });
+          this.groups.set(group.key, group);
+        }
+
+        if (rows.length > 0) {
+          console.log(`📮 Restored ${this.groups.size} notification group(s)`);
+        }
+      })().catch(error => {
+        this.restoring = null;
+        throw error;
+      });
+    }
+    return await this.restoring;
+  }
+
+  // Save a group, or delete it once it has no alerts left
+  async persist(group) {
+    try {
+      if (group.alerts.size === 0) {
+        await this.db.deleteNotificationGroup(group.key);
+        return;
+      }
+
+      await this.db.saveNotificationGroup({
+        key: group.key,
+        routeId: group.route.id,
+        labels: group.labels,
+        // alert.deviceData repeats deviceData
+        alerts: Array.from(group.alerts.entries()).map(([alertId, { alert, deviceData }]) => ({
+          alert: { ...alert, deviceData: undefined },
+          deviceData,
+          pending: group.pending.has(alertId)
+        })),
+        lastSentAt: group.lastSentAt,
+        nextFlushAt: group.nextFlushAt
+      });
+    } catch (error) {
+      console.error(`Failed to save notification group ${group.key}:`, error.message);
+    }
+  }
+
+  // Location tags plus the device's own (ConfigManager.resolveDeviceConfig)
+  getDeviceTags(url, location) {
+    const locationConfig = (this.config.locations || {})[location] || {};
+    const deviceConfig = (locationConfig.devices || {})[url] || {};
+    return Array.from(new Set([...(locationConfig.tags || []), ...(deviceConfig.tags || [])]));
+  }
+
+  getLabels(alert, deviceData) {
+    return {
+      location: deviceData.location || null,
+      severity: alert.severity,
+      alertType: alert.ruleId,
+      device: deviceData.url || null,
+      tags: deviceData.tags || this.getDeviceTags(deviceData.url, deviceData.location)
+    };
+  }
+
+  matches(route, labels) {
+    return Object.entries(route.match).every(([key, values]) => key === 'tags'
+      ? values.every(tag => labels.tags.includes(tag))
+      : values.includes(labels[key]));
+  }
+
+  // Routes whose receivers get an alert with these labels
+  matchRoutes(labels, route = this.root) {
+    const matched = [];
+    for (const child of route.routes) {
+      if (!this.matches(child, labels)) continue;
+      matched.push(...this.matchRoutes(labels, child));
+      if (!child.continue) break;
+    }
+    return matched.length > 0 ? matched : [route];
+  }
+
+  // Add a new alert to its groups; false when routing is off
+  async route(alert, deviceData, now = Date.now()) {
+    if (!this.enabled) return false;
+    await this.restore();
+
+    const labels = this.getLabels(alert, deviceData);
+    for (const route of this.matchRoutes(labels)) {
+      const groupLabels = {};
+      route.groupBy.forEach(label => {
+        groupLabels[label] = labels[label];
+      });
+      const key = `${route.id}:${JSON.stringify(groupLabels)}`;
+
+      let group = this.groups.get(key);
+      if (!group) {
+        group = { key, route, labels: groupLabels, alerts: new Map(), pending: new Set(), lastSentAt: null, nextFlushAt: null };
+        this.groups.set(key, group);
+      }
+      group.alerts.set(alert.id, { alert, deviceData });
+      group.pending.add(alert.id);
+
+      if (group.nextFlushAt === null) {
+        group.nextFlushAt = group.lastSentAt === null
+          ? now + route.groupWait
+          : Math.max(now, group.lastSentAt + route.groupInterval);
+      }
+      if (group.nextFlushAt <= now) {
+        await this.flush(group, now);
+      } else {
+        await this.persist(group);
+      }
+    }
+    return true;
+  }
+
+  // Periodic pass: groups whose wait is over, and reminders that are due
+  async process(now = Date.now()) {
+    await this.restore();
+
+    for (const group of Array.from(this.groups.values())) {
+      const due = group.nextFlushAt !== null
+        ? group.nextFlushAt <= now
+        : group.lastSentAt !== null && now - group.lastSentAt >= (group.route.repeatInterval || group.route.groupInterval);
+      if (!due) continue;
+
+      try {
+        await this.flush(group, now);
+      } catch (error) {
+        console.error(`Failed to notify alert group ${group.key}:`, error.message);
+      }
+    }
+  }
+
+  // Send the group's unacknowledged alerts if any are new or a reminder is due
+  async flush(group, now = Date.now()) {
+    const repeat = group.pending.size === 0;
+    group.nextFlushAt = null;
+
+    const firing = [];
+    // New alerts resolved or acknowledged before they were sent (sendResolved)
+    const settled = [];
+    for (const [alertId, item] of Array.from(group.alerts.entries())) {
+      const row = await this.db.getAlert(alertId);
+      const unsent = group.pending.has(alertId) && group.route.sendResolved;
+      if (!row || row.status !== 'active') {
+        if (row && unsent) settled.push({ ...item, status: 'resolved' });
+        group.alerts.delete(alertId);
+        group.pending.delete(alertId);
+      } else if (row.acknowledged_at) {
+        if (unsent) settled.push({ ...item, status: 'acknowledged' });
+      } else {
+        firing.push({ ...item, status: 'firing' });
+      }
+    }
+
+    const finish = async () => {
+      group.pending.clear();
+      group.lastSentAt = now;
+      if (group.alerts.size === 0) {
+        this.groups.delete(group.key);
+      }
+      await this.persist(group);
+    };
+
+    if (group.alerts.size === 0 && settled.length === 0) {
+      this.groups.delete(group.key);
+      await this.persist(group);
+      return;
+    }
+    if (repeat && !group.route.repeatInterval) {
+      // No reminders; this pass only dropped resolved alerts
+      await finish();
+      return;
+    }
+    if (settled.length === 0 &&
+        (firing.length === 0 || (!repeat && !firing.some(item => group.pending.has(item.alert.id))))) {
+      // Nothing to send; look again after another repeatInterval
+      await finish();
+      return;
+    }
+
+    const items = [...firing, ...settled];
+    const receiver = this.receivers[group.route.receiver];
+    console.log(`📮 ${repeat ? 'Repeating' : 'Sending'} ${items.length} alert(s) of group ${group.key} to ${receiver.name}`);
+
+    for (const target of receiver.notify || this.alertManager.getBroadcastTargets()) {
+      if (items.length === 1 && settled.length === 0) {
+        await this.alertManager.notifyTarget(target, items[0].alert, items[0].deviceData);
+      } else {
+        await this.alertManager.notifyGroup(target, items, group);
+      }
+    }
+
+    for (const item of items) {
+      await this.alertManager.recordActivity(item.alert.id, 'routed', 'system', null, {
+        route: group.route.name,
+        receiver: receiver.name,
+        alerts: items.length,
+        repeat
+      });
+    }
+
+    await finish();
+  }
+
+  describeRoute(route) {
+    return {
+      id: route.id,
+      name: route.name,
+      match: route.match,
+      continue: route.continue,
+      receiver: route.receiver,
+      groupBy: route.groupBy,
+      groupWait: route.groupWait,
+      groupInterval: route.groupInterval,
+      repeatInterval: route.repeatInterval,
+      sendResolved: route.sendResolved,
+      routes: route.routes.map(child => this.describeRoute(child))
+    };
+  }
+
+  getRouting() {
+    return {
+      enabled: this.enabled,
+      receivers: Object.values(this.receivers),
+      route: this.root ? this.describeRoute(this.root) : null
+    };
+  }
+
+  getGroups() {
+    return Array.from(this.groups.values()).map(group => ({
+      key: group.key,
+      route: group.route.name,
+      receiver: group.route.receiver,
+      labels: group.labels,
+      alerts: Array.from(group.alerts.keys()),
+      pending: Array.from(group.pending),
+      lastSentAt: group.lastSentAt ? new Date(group.lastSentAt).toISOString() : null,
+      nextFlushAt: group.nextFlushAt ? new Date(group.nextFlushAt).toISOString() : null
+    }));
+  }
+
+  // Which routes and receivers an alert with these labels would reach
+  test(labels) {
+    if (!this.enabled) return [];
+    const full = { location: null, severity: null, alertType: null, device: null, ...labels };
+    full.tags = labels.tags || this.getDeviceTags(full.device, full.location);
+    return this.matchRoutes(full).map(route => ({ route: route.name, receiver: route.receiver, groupBy: route.groupBy }));
+  }
+
+  destroy() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = {
+  NotificationRouter,
+  compileRoute,
+  compileReceivers
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { compileTemplate, renderTemplate } = require('./TemplateEngine');
+const { escapeHtml } = require('./TelegramBot');
+
+// Message templates per channel, part, alert type and language
+// (alerts.templates). Templates are named "<channel>.<part>" or
+// "<channel>.<part>.<alertType>" and looked up in this order:
+//
+//   1. alerts.templates.custom["<language>/<name>"]
+//   2. <directory>/<language>/<name>.hbs
+//   3. the built-in ones in ./templates/<language>/
+//
+// first for the alert type, then for the channel, then again in English.
+// The language comes from the target ("language" on an escalation step or
+// receiver target), the channel settings, templates.locations[location] or
+// templates.language, in that order. Only the templates are translated:
+// alert.title and alert.message are written once, when the alert is raised,
+// and stay in the language of the rule.
+
+const BUILTIN_DIRECTORY = path.join(__dirname, 'templates');
+
+const CHANNEL_PARTS = {
+  email: ['subject', 'body', 'html', 'groupSubject', 'groupBody'],
+  slack: ['body', 'groupBody'],
+  telegram: ['body', 'groupBody'],
+  teams: ['title', 'body', 'groupTitle', 'groupBody'],
+  discord: ['title', 'body', 'groupTitle', 'groupBody']
+};
+
+const SEVERITY_LABELS = {
+  en: { low: 'LOW', medium: 'MEDIUM', high: 'HIGH', critical: 'CRITICAL' },
+  id: { low: 'RENDAH', medium: 'SEDANG', high: 'TINGGI', critical: 'KRITIS' }
+};
+
+// Field names of the Teams and Discord cards
+const FIELD_LABELS = {
+  en: {},
+  id: {
+    Alert: 'Peringatan',
+    Severity: 'Tingkat',
+    Location: 'Lokasi',
+    Device: 'Perangkat',
+    Alerts: 'Peringatan',
+    'Response Time': 'Waktu Respons',
+    Authorized: 'Sah',
+    Unauthorized: 'Tidak sah',
+    'Phonebank IP': 'IP Phonebank',
+    Error: 'Galat',
+    'On Call': 'Petugas Piket',
+    'Open in dashboard': 'Buka di dasbor'
+  }
+};
+
+// "id/email.body.device_offline" -> { language, channel, part, alertType }
+function parseTemplateName(name) {
+  const match = String(name).match(/^([a-z]{2}(?:-[A-Za-z]{2})?)\/([a-z]+)\.([A-Za-z]+)(?:\.([a-z0-9_]+))?$/);
+  if (!match || !CHANNEL_PARTS[match[2]] || !CHANNEL_PARTS[match[2]].includes(match[3])) {
+    throw new Error(`Template name ${name} must look like "en/email.body" or "id/slack.body.device_offline"`);
+  }
+  return { language: match[1], channel: match[2], part: match[3], alertType: match[4] || null };
+}
+
+// <directory>/<language>/<name>.hbs -> { "<language>/<name>": template }
+function loadDirectory(directory) {
+  const templates = {};
+  if (!fs.existsSync(directory)) {
+    console.warn(`⚠️ Template directory ${directory} does not exist`);
+    return templates;
+  }
+
+  fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      fs.readdirSync(path.join(directory, entry.name))
+        .filter(file => file.endsWith('.hbs'))
+        .forEach(file => {
+          const name = `${entry.name}/${file.slice(0, -'.hbs'.length)}`;
+          try {
+            parseTemplateName(name);
+            templates[name] = compileTemplate(fs.readFileSync(path.join(directory, entry.name, file), 'utf8'), name);
+          } catch (error) {
+            console.error(`❌ Skipping template file ${file}: ${error.message}`);
+          }
+        });
+    });
+
+  return templates;
+}
+
+let builtinTemplates = null;
+
+class NotificationTemplates {
+  constructor(config) {
+    if (!builtinTemplates) {
+      builtinTemplates = loadDirectory(BUILTIN_DIRECTORY);
+    }
+    this.builtin = builtinTemplates;
+    this.configure(config);
+  }
+
+  configure(config) {
+    const settings = config.alerts?.templates || {};
+    this.config = config;
+    this.language = settings.language || 'en';
+    this.locations = settings.locations || {};
+    this.files = settings.directory ? loadDirectory(path.resolve(settings.directory)) : {};
+    this.custom = {};
+
+    Object.entries(settings.custom || {}).forEach(([name, source]) => {
+      try {
+        parseTemplateName(name);
+        this.custom[name] = compileTemplate(source, name);
+      } catch (error) {
+        console.error(`❌ Skipping template ${name}: ${error.message}`);
+      }
+    });
+  }
+
+  // target.language, then alerts.notifications.<channel>.language, then the location's, then the default
+  resolveLanguage(target = {}, location = null) {
+    const channel = this.config.alerts?.notifications?.[target.type] || {};
+    return target.language || channel.language || (location && this.locations[location]) || this.language;
+  }
+
+  // Template and where it came from for a channel part, or null
+  find(channel, part, alertType = null, language = this.language) {
+    const languages = Array.from(new Set([language, 'en']));
+    const names = alertType ? [`${channel}.${part}.${alertType}`, `${channel}.${part}`] : [`${channel}.${part}`];
+    const sources = [['config', this.custom], ['file', this.files], ['builtin', this.builtin]];
+
+    for (const lang of languages) {
+      for (const name of names) {
+        for (const [source, templates] of sources) {
+          const template = templates[`${lang}/${name}`];
+          if (template) {
+            return { name: `${lang}/${name}`, source, template };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  // Telegram messages and email HTML are HTML; everything else is plain text
+  getEscape(channel, part) {
+    return channel === 'telegram' || part === 'html' ? escapeHtml : (text) => text;
+  }
+
+  render(channel, part, context, alertType = null, language = this.language) {
+    const found = this.find(channel, part, alertType, language);
+    if (!found) {
+      throw new Error(`No template for ${channel}.${part}`);
+    }
+    return renderTemplate(found.template, context, this.getEscape(channel, part)).trim();
+  }
+
+  // Several parts at once, e.g. renderParts('email', ['subject', 'body'], ...)
+  renderParts(channel, parts, context, alertType = null, language = this.language) {
+    const rendered = {};
+    parts.forEach(part => {
+      rendered[part] = this.render(channel, part, context, alertType, language);
+    });
+    return rendered;
+  }
+
+  severityLabel(severity, language = this.language) {
+    const labels = SEVERITY_LABELS[language] || SEVERITY_LABELS.en;
+    return labels[severity] || String(severity).toUpperCase();
+  }
+
+  label(text, language = this.language) {
+    return (FIELD_LABELS[language] || {})[text] || text;
+  }
+
+  // Every template by name with its source; custom and file ones hide built-in ones of the same name
+  list() {
+    const names = {};
+    [['builtin', this.builtin], ['file', this.files], ['config', this.custom]].forEach(([source, templates]) => {
+      Object.keys(templates).forEach(name => {
+        names[name] = source;
+      });
+    });
+    return Object.keys(names).sort().map(name => ({ name, source: names[name], ...parseTemplateName(name) }));
+  }
+}
+
+module.exports = {
+  NotificationTemplates,
+  CHANNEL_PARTS,
+  parseTemplateName
+};
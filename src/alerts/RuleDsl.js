@@ -0,0 +1,314 @@
+const { FIELD_TYPES, parseDuration } = require('./RuleEngine');
+
+// Operator-defined alert rules (alerts.rules in config). Conditions are small
+// expressions over the RuleEngine fields, compiled into RuleEngine conditions:
+//
+//   unauthorized > 3 for 3 checks
+//   status == offline and location in [STIN, DEIMOS] for 10m
+//   offlineRatio >= 0.5 or (degradedDevices > 2 and not onlineDevices > 0)
+//   unauthorized > thresholds.unauthorizedMax
+
+const RULE_SCOPES = ['device', 'location', 'global'];
+const RULE_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const COMPARISONS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte', '==': 'eq', '=': 'eq', '!=': 'ne' };
+const KEYWORDS = ['and', 'or', 'not', 'in', 'for', 'exists', 'is', 'missing', 'true', 'false'];
+const TIME_WORDS = {
+  ms: 1, s: 1000, sec: 1000, second: 1000, seconds: 1000,
+  m: 60000, min: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hour: 3600000, hours: 3600000
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)([a-z]+)?|'([^']*)'|"([^"]*)"|(>=|<=|==|!=|>|<|=)|([()[\],])|([A-Za-z_][\w.]*))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    if (/^\s*$/.test(text.slice(start))) break;
+
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${start + 1}: "${text.slice(start).trim()}"`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]), unit: match[2] || null, text: match[0].trim() });
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      tokens.push({ type: 'string', value: match[3] ?? match[4], text: match[0].trim() });
+    } else if (match[5]) {
+      tokens.push({ type: 'operator', value: match[5], text: match[5] });
+    } else if (match[6]) {
+      tokens.push({ type: 'punct', value: match[6], text: match[6] });
+    } else {
+      const word = match[7];
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.includes(lower)
+        ? { type: 'keyword', value: lower, text: word }
+        : { type: 'identifier', value: word, text: word });
+    }
+  }
+
+  return tokens;
+}
+
+class ExpressionParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position] || null;
+  }
+
+  next() {
+    const token = this.peek();
+    if (!token) {
+      throw new Error(`Unexpected end of expression "${this.text}"`);
+    }
+    this.position++;
+    return token;
+  }
+
+  accept(type, value) {
+    const token = this.peek();
+    if (token && token.type === type && (value === undefined || token.value === value)) {
+      this.position++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw new Error(`Expected ${value || type} but found ${found ? `"${found.text}"` : 'end of expression'} in "${this.text}"`);
+    }
+    return token;
+  }
+
+  // expression [for <N> checks | for <duration>]
+  parse() {
+    const condition = this.parseOr();
+    let sustain = null;
+
+    if (this.accept('keyword', 'for')) {
+      sustain = this.parseSustain();
+    }
+
+    if (this.peek()) {
+      throw new Error(`Unexpected "${this.peek().text}" in "${this.text}"`);
+    }
+    return { condition, for: sustain };
+  }
+
+  parseSustain() {
+    const amount = this.expect('number');
+    const unit = amount.unit || (this.peek() && this.peek().type === 'identifier' ? this.next().value.toLowerCase() : null);
+
+    if (unit === 'check' || unit === 'checks') {
+      if (!Number.isInteger(amount.value) || amount.value < 1) {
+        throw new Error(`Check count must be a positive whole number in "${this.text}"`);
+      }
+      return { checks: amount.value };
+    }
+    if (unit && TIME_WORDS[unit]) {
+      return { duration: amount.value * TIME_WORDS[unit] };
+    }
+    throw new Error(`Expected "checks" or a duration after "for" in "${this.text}"`);
+  }
+
+  parseOr() {
+    const items = [this.parseAnd()];
+    while (this.accept('keyword', 'or')) {
+      items.push(this.parseAnd());
+    }
+    return items.length === 1 ? items[0] : { any: items };
+  }
+
+  parseAnd() {
+    const items = [this.parseNot()];
+    while (this.accept('keyword', 'and')) {
+      items.push(this.parseNot());
+    }
+    return items.length === 1 ? items[0] : { all: items };
+  }
+
+  parseNot() {
+    if (this.accept('keyword', 'not')) {
+      return { not: this.parseNot() };
+    }
+    if (this.accept('punct', '(')) {
+      const condition = this.parseOr();
+      this.expect('punct', ')');
+      return condition;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const field = this.expect('identifier').value;
+    if (!FIELD_TYPES[field]) {
+      throw new Error(`Unknown field "${field}" in "${this.text}". Fields: ${Object.keys(FIELD_TYPES).join(', ')}`);
+    }
+
+    if (this.accept('keyword', 'exists')) {
+      return { field, exists: true };
+    }
+    if (this.accept('keyword', 'missing')) {
+      return { field, exists: false };
+    }
+    if (this.accept('keyword', 'is')) {
+      const negate = !!this.accept('keyword', 'not');
+      this.expect('keyword', 'missing');
+      return { field, exists: negate };
+    }
+    if (this.accept('keyword', 'in')) {
+      return { field, op: 'in', value: this.parseList() };
+    }
+
+    const operator = this.expect('operator').value;
+    return { field, op: COMPARISONS[operator], value: this.parseValue() };
+  }
+
+  parseList() {
+    this.expect('punct', '[');
+    const values = [];
+    if (!this.accept('punct', ']')) {
+      do {
+        values.push(this.parseValue());
+      } while (this.accept('punct', ','));
+      this.expect('punct', ']');
+    }
+    return values;
+  }
+
+  parseValue() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        // Units make a duration: 30s, 5m, 1500ms
+        return token.unit ? token.text : token.value;
+      case 'string':
+        return token.value;
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') return token.value === 'true';
+        break;
+      case 'identifier':
+        // thresholds.<name> reads alerts.thresholds at evaluation time; other bare words are strings
+        return token.value.startsWith('thresholds.')
+          ? { threshold: token.value.slice('thresholds.'.length) }
+          : token.value;
+    }
+    throw new Error(`Expected a value but found "${token.text}" in "${this.text}"`);
+  }
+}
+
+function parseExpression(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Condition expression must be a non-empty string');
+  }
+  return new ExpressionParser(text).parse();
+}
+
+// How long a condition must hold: 3 (checks), "3 checks", "5m", "10 minutes"
+function parseSustain(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') {
+    value = `${value} checks`;
+  }
+
+  const parser = new ExpressionParser(String(value));
+  const sustain = parser.parseSustain();
+  if (parser.peek()) {
+    throw new Error(`Unexpected "${parser.peek().text}" in "${value}"`);
+  }
+  return sustain;
+}
+
+// "{{url}} has {{unauthorized}} lines" -> values from the fields, then the raw data
+function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, key) => {
+    const value = key.split('.').reduce((obj, prop) => (obj == null ? undefined : obj[prop]), context);
+    if (value === undefined || value === null) return 'N/A';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+// Config rule definition -> rule in the AlertManager's alertRules format
+function compileRule(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Alert rule must be an object');
+  }
+
+  const { name, scope = 'device', severity = 'medium' } = definition;
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new Error('Alert rule name must be lowercase letters, digits and underscores');
+  }
+  if (!RULE_SCOPES.includes(scope)) {
+    throw new Error(`Alert rule ${name} scope must be one of ${RULE_SCOPES.join(', ')}`);
+  }
+  if (!RULE_SEVERITIES.includes(severity)) {
+    throw new Error(`Alert rule ${name} severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  }
+
+  const cooldown = definition.cooldown === undefined ? 10 * 60 * 1000 : parseDuration(definition.cooldown);
+  if (cooldown === null) {
+    throw new Error(`Alert rule ${name} cooldown must be milliseconds or a duration like "10m"`);
+  }
+
+  let trigger;
+  let resolve = null;
+  let recoverAfter = null;
+  try {
+    trigger = parseExpression(definition.when);
+    if (definition.resolveWhen) {
+      resolve = parseExpression(definition.resolveWhen);
+    }
+    // "resolveWhen": "... for 2 checks" or "recoverAfter": 2
+    recoverAfter = (resolve && resolve.for) || parseSustain(definition.recoverAfter);
+  } catch (error) {
+    throw new Error(`Alert rule ${name}: ${error.message}`);
+  }
+
+  const template = definition.message || `${name} triggered for {{target}}`;
+
+  return {
+    name,
+    source: 'config',
+    scope,
+    severity,
+    cooldown,
+    for: trigger.for,
+    recoverAfter,
+    when: trigger.condition,
+    resolveWhen: resolve ? resolve.condition : null,
+    // Optional filters on where the rule applies
+    locations: Array.isArray(definition.locations) ? definition.locations : null,
+    devices: Array.isArray(definition.devices) ? definition.devices : null,
+    definition,
+    message: (data, fields = {}) => renderTemplate(template, {
+      ...data,
+      ...fields,
+      name,
+      scope,
+      target: data.url || data.location || 'system'
+    })
+  };
+}
+
+module.exports = {
+  RULE_SCOPES,
+  RULE_SEVERITIES,
+  tokenize,
+  parseExpression,
+  parseSustain,
+  renderTemplate,
+  compileRule
+};
@@ -0,0 +1,191 @@
+// Typed evaluation of alert rules. Rules never read the raw check result
+// (deviceData) directly: it is first normalized into the fields below so a
+// count is always a number, whatever the probe or profile produced.
+
+const FIELD_TYPES = {
+  url: 'string',
+  location: 'string',
+  status: 'string',
+  online: 'boolean',
+  degraded: 'boolean',
+  authorized: 'number',
+  unauthorized: 'number',
+  responseTime: 'duration',
+  expectedAuthorized: 'number',
+  authorizedRatio: 'number',
+  ipChanged: 'boolean',
+  ipChangeExpected: 'boolean',
+  reachabilityStatus: 'string',
+  flapping: 'boolean',
+  inMaintenance: 'boolean',
+  stateChanges: 'number',
+  degradationLevel: 'string',
+  memoryUsage: 'number',
+  // Location and global rules see a summary of the monitoring cycle instead
+  totalDevices: 'number',
+  onlineDevices: 'number',
+  offlineDevices: 'number',
+  degradedDevices: 'number',
+  offlineRatio: 'number',
+  totalAuthorized: 'number',
+  totalUnauthorized: 'number'
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "1500", "1500ms", "30s", "5m", "2h" -> milliseconds
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  return match ? parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()] : null;
+}
+
+// Convert a value to a field type; null when it can't be read as that type
+function coerceValue(value, type) {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+      if (typeof value === 'boolean') return null;
+      const match = String(value).match(/-?\d+(?:\.\d+)?/);
+      return match ? parseFloat(match[0]) : null;
+    }
+    case 'duration':
+      return parseDuration(value);
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return null;
+    case 'string':
+      return String(value);
+    default:
+      throw new Error(`Unknown field type: ${type}`);
+  }
+}
+
+function normalizeCheckResult(data = {}) {
+  const baseline = data.baseline || null;
+  // Fields named like a deviceData / summary key are read as-is; the rest are derived
+  const raw = {
+    ...data,
+    online: data.status ? data.status === 'online' : null,
+    degraded: data.status ? data.status === 'degraded' : null,
+    expectedAuthorized: baseline ? baseline.expected : null,
+    ipChanged: data.status ? !!data.ipChange : null,
+    ipChangeExpected: data.ipChange ? !!data.ipChange.expected : null,
+    reachabilityStatus: data.reachability ? data.reachability.status : null,
+    inMaintenance: !!data.maintenance
+  };
+
+  const fields = {};
+  Object.entries(FIELD_TYPES).forEach(([name, type]) => {
+    if (name !== 'authorizedRatio') {
+      fields[name] = coerceValue(raw[name], type);
+    }
+  });
+
+  fields.authorizedRatio = fields.authorized !== null && fields.expectedAuthorized
+    ? fields.authorized / fields.expectedAuthorized
+    : null;
+
+  return fields;
+}
+
+// Summary of a set of check results, the data location and global rules are evaluated on
+function summarizeChecks(checks) {
+  const count = (status) => checks.filter(check => check.status === status).length;
+  const sum = (key) => checks.reduce((total, check) => total + (coerceValue(check[key], 'number') || 0), 0);
+
+  return {
+    totalDevices: checks.length,
+    onlineDevices: count('online'),
+    offlineDevices: count('offline'),
+    degradedDevices: count('degraded'),
+    offlineRatio: checks.length > 0 ? count('offline') / checks.length : null,
+    totalAuthorized: sum('authorized'),
+    totalUnauthorized: sum('unauthorized')
+  };
+}
+
+// A missing field (null) fails every comparison, so a rule never fires on data it doesn't have
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual)
+};
+
+// Condition values can point at alerts.thresholds: { "threshold": "unauthorizedMax", "default": 5 }
+function resolveValue(value, type, thresholds = {}) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, type, thresholds));
+  }
+  if (value && typeof value === 'object' && value.threshold) {
+    value = thresholds[value.threshold] ?? value.default;
+  }
+  return coerceValue(value, type);
+}
+
+// Conditions: { field, op, value }, { field, exists }, { all: [...] }, { any: [...] }, { not: {...} }
+// A comparison on a missing field is unknown (null) rather than false, and stays
+// unknown through not, so `not unauthorized > 5` can't fire without a count either
+function evaluateTernary(condition, fields, thresholds) {
+  if (condition.all) {
+    const results = condition.all.map(item => evaluateTernary(item, fields, thresholds));
+    if (results.includes(false)) return false;
+    return results.includes(null) ? null : true;
+  }
+  if (condition.any) {
+    const results = condition.any.map(item => evaluateTernary(item, fields, thresholds));
+    if (results.includes(true)) return true;
+    return results.includes(null) ? null : false;
+  }
+  if (condition.not) {
+    const result = evaluateTernary(condition.not, fields, thresholds);
+    return result === null ? null : !result;
+  }
+
+  const type = FIELD_TYPES[condition.field];
+  if (!type) {
+    throw new Error(`Unknown rule field: ${condition.field}`);
+  }
+
+  const actual = fields[condition.field] ?? null;
+  if (condition.exists !== undefined) {
+    return (actual !== null) === condition.exists;
+  }
+
+  const operator = OPERATORS[condition.op];
+  if (!operator) {
+    throw new Error(`Unknown rule operator: ${condition.op}`);
+  }
+  if (actual === null) return null;
+
+  const expected = resolveValue(condition.value, type, thresholds);
+  if (expected === null && condition.op !== 'in') return null;
+  return operator(actual, expected);
+}
+
+// Whether a condition holds; unknown counts as not holding
+function evaluateCondition(condition, fields, thresholds = {}) {
+  return evaluateTernary(condition, fields, thresholds) === true;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  OPERATORS,
+  parseDuration,
+  coerceValue,
+  normalizeCheckResult,
+  summarizeChecks,
+  evaluateCondition
+};
@@ -0,0 +1,204 @@
+const { parseDuration } = require('./RuleEngine');
+
+// Telegram channel (alerts.notifications.telegram). Alerts are posted to the
+// chat of the alert's location, with buttons to acknowledge or resolve. The
+// bot long-polls getUpdates for those buttons and for commands:
+//
+//   /ack 123       acknowledge alert 123
+//   /resolve 123   resolve alert 123
+//   /status STIN   device status of a location (all locations without one)
+//
+// Only chats listed in the config are listened to. apiUrl points at the Bot
+// API, or at a local stand-in for testing.
+
+const COMMANDS = ['ack', 'resolve', 'status'];
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[char]);
+}
+
+// "/ack@phonebank_bot 123" -> { command: 'ack', args: ['123'] }
+function parseCommand(text) {
+  const match = String(text || '').trim().match(/^\/([a-z]+)(?:@\w+)?(?:\s+(.*))?$/i);
+  if (!match || !COMMANDS.includes(match[1].toLowerCase())) return null;
+  return { command: match[1].toLowerCase(), args: match[2] ? match[2].trim().split(/\s+/) : [] };
+}
+
+class TelegramBot {
+  constructor(config) {
+    this.commandHandler = null;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.offset = 0;
+    this.configure(config);
+  }
+
+  configure(config) {
+    const settings = config.alerts?.notifications?.telegram || {};
+    // Update ids are per bot, so a new token starts from the first pending update
+    if ((settings.botToken || '') !== this.botToken) {
+      this.offset = 0;
+    }
+    this.enabled = !!settings.enabled;
+    this.botToken = settings.botToken || '';
+    this.apiUrl = (settings.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    this.chatId = settings.chatId ? String(settings.chatId) : null;
+    this.chats = settings.chats || {};
+    this.commands = settings.commands !== false;
+    this.pollInterval = parseDuration(settings.pollInterval ?? '5s') || 5000;
+  }
+
+  isConfigured() {
+    return this.enabled && !!this.botToken;
+  }
+
+  // Chat for a location, else the default chat
+  getChatId(location) {
+    const chatId = (location && this.chats[location]) || this.chatId;
+    return chatId ? String(chatId) : null;
+  }
+
+  // Chats whose messages and button presses are accepted
+  isKnownChat(chatId) {
+    return String(chatId) === this.chatId ||
+      Object.values(this.chats).some(id => String(id) === String(chatId));
+  }
+
+  async call(method, params = {}) {
+    if (!this.botToken) {
+      throw new Error('Telegram bot token not configured');
+    }
+
+    const fetch = (await import('node-fetch')).default;
+    const response = await fetch(`${this.apiUrl}/bot${this.botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params)
+    });
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (error) {
+      throw new Error(`Telegram ${method} failed: HTTP ${response.status}`);
+    }
+    if (!response.ok || !body.ok) {
+      throw new Error(`Telegram ${method} failed: ${body.description || `HTTP ${response.status}`}`);
+    }
+    return body.result;
+  }
+
+  async sendMessage(chatId, text, alertId = null) {
+    const params = {
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    };
+    if (alertId) {
+      params.reply_markup = {
+        inline_keyboard: [[
+          { text: '✔ Acknowledge', callback_data: `ack:${alertId}` },
+          { text: '✅ Resolve', callback_data: `resolve:${alertId}` }
+        ]]
+      };
+    }
+
+    const result = await this.call('sendMessage', params);
+    console.log(`✈️ Telegram message sent to chat ${chatId}`);
+    return { success: true, messageId: result.message_id };
+  }
+
+  // handler(command, args, actor, chatId) -> reply text
+  setCommandHandler(handler) {
+    this.commandHandler = handler;
+    this.startPolling();
+  }
+
+  startPolling() {
+    this.stopPolling();
+    if (!this.isConfigured() || !this.commands || !this.commandHandler) return;
+
+    this.pollTimer = setInterval(() => {
+      this.poll().catch(error => console.error('Telegram polling failed:', error.message));
+    }, this.pollInterval);
+    console.log('✈️ Telegram bot listening for commands');
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const updates = await this.call('getUpdates', {
+        offset: this.offset,
+        timeout: 0,
+        allowed_updates: ['message', 'callback_query']
+      });
+
+      for (const update of updates) {
+        this.offset = update.update_id + 1;
+        try {
+          await this.handleUpdate(update);
+        } catch (error) {
+          console.error(`Failed to handle Telegram update ${update.update_id}:`, error.message);
+        }
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async handleUpdate(update) {
+    if (update.callback_query) {
+      const query = update.callback_query;
+      const chatId = query.message && query.message.chat.id;
+      const [command, alertId] = String(query.data || '').split(':');
+
+      if (!this.isKnownChat(chatId) || !COMMANDS.includes(command)) {
+        await this.call('answerCallbackQuery', { callback_query_id: query.id, text: 'Not allowed here' });
+        return;
+      }
+
+      const reply = await this.runCommand(command, [alertId], query.from, chatId);
+      await this.call('answerCallbackQuery', { callback_query_id: query.id, text: reply.replace(/<[^>]+>/g, '').slice(0, 200) });
+      await this.sendMessage(chatId, reply);
+      return;
+    }
+
+    const message = update.message;
+    if (!message || !message.text) return;
+
+    const parsed = parseCommand(message.text);
+    if (!parsed || !this.isKnownChat(message.chat.id)) return;
+
+    const reply = await this.runCommand(parsed.command, parsed.args, message.from, message.chat.id);
+    await this.sendMessage(message.chat.id, reply);
+  }
+
+  async runCommand(command, args, from = {}, chatId) {
+    const actor = `telegram:${from.username || [from.first_name, from.last_name].filter(Boolean).join(' ') || from.id || 'unknown'}`;
+    try {
+      return await this.commandHandler(command, args, actor, chatId);
+    } catch (error) {
+      return `❌ ${escapeHtml(error.message)}`;
+    }
+  }
+
+  destroy() {
+    this.stopPolling();
+  }
+}
+
+module.exports = {
+  TelegramBot,
+  parseCommand,
+  escapeHtml
+};
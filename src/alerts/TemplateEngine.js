@@ -0,0 +1,236 @@
+// A small Handlebars-like template language for notification messages:
+//
+//   {{alert.title}}                 value, escaped for the channel (Telegram and email HTML)
+//   {{{alert.message}}}             value, never escaped
+//   {{upper alert.severity}}        helper call; arguments are paths, "strings" or numbers
+//   {{#if oncall}}..{{else}}..{{/if}}, {{#unless error}}..{{/unless}}
+//   {{#each history}}{{@index}} {{status}}{{/each}}   also @first, @last, @key and this
+//   {{! comment }}
+//
+// Lookups inside #each fall back to the outer context, so {{alert.id}} still
+// works there. Block tags alone on a line don't leave an empty line behind.
+
+const HELPERS = {
+  upper: (value) => value === undefined || value === null ? '' : String(value).toUpperCase(),
+  lower: (value) => value === undefined || value === null ? '' : String(value).toLowerCase(),
+  // First argument that is not empty
+  default: (...values) => values.find(value => value !== undefined && value !== null && value !== ''),
+  join: (list, separator = ', ') => Array.isArray(list) ? list.join(separator) : list,
+  truncate: (value, length = 100) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  },
+  json: (value) => JSON.stringify(value)
+};
+
+const BLOCKS = ['if', 'unless', 'each'];
+
+function parseArguments(text, where) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] !== undefined || match[2] !== undefined) {
+      args.push({ literal: match[1] !== undefined ? match[1] : match[2] });
+    } else if (/^-?\d+(\.\d+)?$/.test(match[3])) {
+      args.push({ literal: parseFloat(match[3]) });
+    } else if (['true', 'false', 'null'].includes(match[3])) {
+      args.push({ literal: JSON.parse(match[3]) });
+    } else if (/^(@?[\w-]+|this|\.)(\.[\w-]+)*$/.test(match[3])) {
+      args.push({ path: match[3] });
+    } else {
+      throw new Error(`${where}: cannot read "${match[3]}"`);
+    }
+  }
+  return args;
+}
+
+// "upper alert.severity" -> { helper: 'upper', args: [...] }, "alert.id" -> { args: [path] }
+function parseExpression(text, where) {
+  const args = parseArguments(text, where);
+  if (args.length === 0) {
+    throw new Error(`${where}: empty {{ }}`);
+  }
+  if (args.length === 1 && args[0].path && !HELPERS[args[0].path]) {
+    return { args };
+  }
+  if (!args[0].path || !HELPERS[args[0].path]) {
+    throw new Error(`${where}: unknown helper ${args[0].path || args[0].literal}`);
+  }
+  return { helper: args[0].path, args: args.slice(1) };
+}
+
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = pattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'var', raw: true, text: match[1].trim() });
+      continue;
+    }
+
+    const text = match[2].trim();
+    if (text.startsWith('!')) {
+      tokens.push({ type: 'comment' });
+    } else if (text.startsWith('#')) {
+      const [, name, rest] = text.match(/^#(\S*)\s*([\s\S]*)$/);
+      tokens.push({ type: 'open', name, text: rest });
+    } else if (text.startsWith('/')) {
+      tokens.push({ type: 'close', name: text.slice(1).trim() });
+    } else if (text === 'else') {
+      tokens.push({ type: 'else' });
+    } else {
+      tokens.push({ type: 'var', raw: false, text });
+    }
+  }
+  if (last < source.length) {
+    tokens.push({ type: 'text', value: source.slice(last) });
+  }
+
+  // Drop the whitespace and line break around block tags that stand alone on their line
+  const standalone = tokens.map((token, index) => {
+    if (!['open', 'close', 'else', 'comment'].includes(token.type)) return false;
+    const prev = tokens[index - 1];
+    const next = tokens[index + 1];
+    const prevOk = !prev || (prev.type === 'text' &&
+      (/\n[ \t]*$/.test(prev.value) || (index === 1 && /^[ \t]*$/.test(prev.value))));
+    const nextOk = !next || (next.type === 'text' &&
+      (/^[ \t]*\r?\n/.test(next.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+    return prevOk && nextOk;
+  });
+  standalone.forEach((isStandalone, index) => {
+    if (!isStandalone) return;
+    if (tokens[index - 1]) tokens[index - 1].stripEnd = true;
+    if (tokens[index + 1]) tokens[index + 1].stripStart = true;
+  });
+  tokens.forEach(token => {
+    if (token.type !== 'text') return;
+    if (token.stripEnd) token.value = token.value.replace(/[ \t]*$/, '');
+    if (token.stripStart) token.value = token.value.replace(/^[ \t]*\r?\n?/, '');
+  });
+
+  return tokens;
+}
+
+function compileTemplate(source, name = 'template') {
+  if (typeof source !== 'string') {
+    throw new Error(`Template ${name} must be a string`);
+  }
+  const where = `Template ${name}`;
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+
+  tokenize(source).forEach(token => {
+    const current = stack[stack.length - 1];
+    switch (token.type) {
+      case 'text':
+        if (token.value) current.target.push({ type: 'text', value: token.value });
+        break;
+      case 'var':
+        current.target.push({ type: 'var', raw: token.raw, expression: parseExpression(token.text, where) });
+        break;
+      case 'open': {
+        if (!BLOCKS.includes(token.name)) {
+          throw new Error(`${where}: unknown block {{#${token.name}}}`);
+        }
+        const node = { type: 'block', name: token.name, expression: parseExpression(token.text, where), children: [], inverse: [] };
+        current.target.push(node);
+        stack.push({ node, target: node.children });
+        break;
+      }
+      case 'else':
+        if (stack.length === 1) {
+          throw new Error(`${where}: {{else}} outside a block`);
+        }
+        current.target = current.node.inverse;
+        break;
+      case 'close':
+        if (stack.length === 1 || current.node.name !== token.name) {
+          throw new Error(`${where}: unexpected {{/${token.name}}}`);
+        }
+        stack.pop();
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`${where}: {{#${stack[stack.length - 1].node.name}}} is never closed`);
+  }
+  return { name, source, nodes: root.children };
+}
+
+// scopes: innermost last; each is { value, data } where data holds @index and friends
+function lookup(path, scopes) {
+  const scope = scopes[scopes.length - 1];
+  if (path === 'this' || path === '.') return scope.value;
+  if (path.startsWith('@')) return scope.data[path.slice(1)];
+
+  const segments = path.replace(/^this\./, '').split('.');
+  const inner = path.startsWith('this.');
+  for (let index = scopes.length - 1; index >= 0; index--) {
+    const value = scopes[index].value;
+    if (value !== null && typeof value === 'object' && segments[0] in value) {
+      return segments.reduce((current, segment) =>
+        current === undefined || current === null ? undefined : current[segment], value);
+    }
+    if (inner) break;
+  }
+  return undefined;
+}
+
+function evaluate(expression, scopes) {
+  const values = expression.args.map(arg => 'literal' in arg ? arg.literal : lookup(arg.path, scopes));
+  return expression.helper ? HELPERS[expression.helper](...values) : values[0];
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderNodes(nodes, scopes, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = evaluate(node.expression, scopes);
+    if (node.type === 'var') {
+      if (value === undefined || value === null) return '';
+      return node.raw ? String(value) : escape(String(value));
+    }
+
+    if (node.name === 'each') {
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : (value && typeof value === 'object' ? Object.entries(value) : []);
+      if (entries.length === 0) {
+        return renderNodes(node.inverse, scopes, escape);
+      }
+      return entries.map(([key, item], index) => renderNodes(node.children, [...scopes, {
+        value: item,
+        data: { index, key, first: index === 0, last: index === entries.length - 1 }
+      }], escape)).join('');
+    }
+
+    const condition = node.name === 'unless' ? !isTruthy(value) : isTruthy(value);
+    return renderNodes(condition ? node.children : node.inverse, scopes, escape);
+  }).join('');
+}
+
+function renderTemplate(template, context, escape = (text) => text) {
+  return renderNodes(template.nodes, [{ value: context, data: {} }], escape);
+}
+
+module.exports = {
+  compileTemplate,
+  renderTemplate,
+  HELPERS
+};
@@ -6,8 +6,14 @@ class AnalyticsEngine {
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
   }
 
-  async calculateUptimeMetrics(deviceId = null, location = null, days = 7) {
-    const cacheKey = `uptime:${deviceId || 'all'}:${location || 'all'}:${days}`;
+  // Checks taken during maintenance windows are left out of uptime/SLA unless
+  // maintenance.excludeFromSla is false
+  excludesMaintenance() {
+    return this.config.maintenance?.excludeFromSla !== false;
+  }
+
+  async calculateUptimeMetrics(deviceId = null, location = null, days = 7, excludeMaintenance = this.excludesMaintenance()) {
+    const cacheKey = `uptime:${deviceId || 'all'}:${location || 'all'}:${days}:${excludeMaintenance}`;
     const cached = this.getCachedMetric(cacheKey);
     
     if (cached) return cached;
@@ -16,6 +22,10 @@ class AnalyticsEngine {
       let whereClause = `WHERE dc.check_timestamp >= datetime('now', '-${days} days')`;
       let params = [];
 
+      if (excludeMaintenance) {
+        whereClause += ` AND dc.maintenance_window_id IS NULL`;
+      }
+
       if (deviceId) {
         whereClause += ` AND d.id = ?`;
         params.push(deviceId);
@@ -84,8 +94,8 @@ class AnalyticsEngine {
     }
   }
 
-  async calculateLocationMetrics(days = 7) {
-    const cacheKey = `location_metrics:${days}`;
+  async calculateLocationMetrics(days = 7, excludeMaintenance = this.excludesMaintenance()) {
+    const cacheKey = `location_metrics:${days}:${excludeMaintenance}`;
     const cached = this.getCachedMetric(cacheKey);
     
     if (cached) return cached;
@@ -106,6 +116,7 @@ class AnalyticsEngine {
         FROM devices d
         LEFT JOIN device_checks dc ON d.id = dc.device_id
         WHERE dc.check_timestamp >= datetime('now', '-${days} days')
+        ${excludeMaintenance ? 'AND dc.maintenance_window_id IS NULL' : ''}
         GROUP BY d.location, d.priority
         ORDER BY d.priority, d.location
       `;
@@ -380,6 +391,76 @@ class AnalyticsEngine {
     }
   }
 
+  // Usual authorized count per device, learned as the most frequent reading of
+  // online checks. Devices with fewer than minSamples readings get no baseline.
+  // Learned authorized baseline per device: a high percentile of the online
+  // readings in the window, so a long drop doesn't become the new normal and
+  // quietly resolve its own alert
+  async calculateAuthorizedBaselines(days = 14, minSamples = 20, percentile = 95) {
+    const cacheKey = `baselines:${days}:${minSamples}:${percentile}`;
+    const cached = this.getCachedMetric(cacheKey);
+    
+    if (cached) return cached;
+
+    try {
+      const sql = `
+        SELECT 
+          dc.device_id,
+          dc.authorized_count,
+          COUNT(*) as readings
+        FROM device_checks dc
+        WHERE dc.check_timestamp >= datetime('now', '-${days} days')
+        AND dc.status = 'online'
+        AND dc.authorized_count IS NOT NULL
+        GROUP BY dc.device_id, dc.authorized_count
+        ORDER BY dc.device_id, dc.authorized_count
+      `;
+
+      const result = await new Promise((resolve, reject) => {
+        this.db.db.all(sql, [], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      // Readings per count, in ascending order of count
+      const devices = {};
+      result.forEach(row => {
+        const device = devices[row.device_id] || { samples: 0, counts: [] };
+        device.samples += row.readings;
+        device.counts.push(row);
+        devices[row.device_id] = device;
+      });
+
+      const baselines = {};
+      Object.entries(devices).forEach(([deviceId, device]) => {
+        if (device.samples < minSamples) return;
+
+        // Nearest-rank percentile
+        const rank = Math.max(1, Math.ceil(percentile / 100 * device.samples));
+        let seen = 0;
+        const row = device.counts.find(count => (seen += count.readings) >= rank);
+        const atOrAbove = device.counts
+          .filter(count => count.authorized_count >= row.authorized_count)
+          .reduce((total, count) => total + count.readings, 0);
+
+        baselines[deviceId] = {
+          expected: row.authorized_count,
+          samples: device.samples,
+          // Share of readings at or above the baseline
+          share: Math.round(atOrAbove / device.samples * 100)
+        };
+      });
+
+      this.setCachedMetric(cacheKey, baselines);
+      return baselines;
+
+    } catch (error) {
+      console.error('Failed to calculate authorized baselines:', error);
+      throw error;
+    }
+  }
+
   calculateCapacityScore(avgAuthorized, maxAuthorized, avgUnauthorized, utilizationRate, avgResponseTime) {
     let score = 100;
     const recommendations = [];
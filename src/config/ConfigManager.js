@@ -49,8 +49,65 @@ class ConfigManager {
       if (!['high', 'medium', 'low'].includes(location.priority)) {
         throw new Error(`Location ${name} priority must be 'high', 'medium', or 'low'`);
       }
+
+      if (location.probe !== undefined && typeof location.probe !== 'string') {
+        throw new Error(`Location ${name} probe must be a driver name`);
+      }
+
+      // Per-device overrides are keyed by one of the location's urls
+      if (location.devices !== undefined) {
+        if (typeof location.devices !== 'object' || Array.isArray(location.devices)) {
+          throw new Error(`Location ${name} devices must be an object keyed by url`);
+        }
+
+        Object.keys(location.devices).forEach(url => {
+          if (!location.urls.includes(url)) {
+            throw new Error(`Location ${name} has device settings for unknown url ${url}`);
+          }
+        });
+      }
+
+      [[`Location ${name}`, location], ...Object.entries(location.devices || {}).map(([url, device]) => [`Device ${url}`, device])]
+        .forEach(([owner, settings]) => {
+          if (settings.expectedIps !== undefined && !Array.isArray(settings.expectedIps)) {
+            throw new Error(`${owner} expectedIps must be an array of IP addresses`);
+          }
+          if (settings.expectedAuthorized !== undefined &&
+              (typeof settings.expectedAuthorized !== 'number' || settings.expectedAuthorized < 0)) {
+            throw new Error(`${owner} expectedAuthorized must be a non-negative number`);
+          }
+          if (settings.tags !== undefined &&
+              (!Array.isArray(settings.tags) || settings.tags.some(tag => typeof tag !== 'string'))) {
+            throw new Error(`${owner} tags must be an array of strings`);
+          }
+        });
+    });
+
+    // Scrape profiles referenced by locations and devices must exist
+    const profiles = this.config.profiles || {};
+    if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+      throw new Error('Profiles must be an object keyed by profile name');
+    }
+
+    const knownProfiles = ['default', ...Object.keys(profiles)];
+    const checkProfile = (owner, profile) => {
+      if (profile !== undefined && !knownProfiles.includes(profile)) {
+        throw new Error(`${owner} references unknown scrape profile ${profile}`);
+      }
+    };
+
+    checkProfile('Monitoring', monitoring.profile);
+    Object.entries(this.config.locations).forEach(([name, location]) => {
+      checkProfile(`Location ${name}`, location.profile);
+      Object.entries(location.devices || {}).forEach(([url, device]) => {
+        checkProfile(`Device ${url}`, device.profile);
+      });
     });
 
+    if (monitoring.probe !== undefined && typeof monitoring.probe !== 'string') {
+      throw new Error('Monitoring probe must be a driver name');
+    }
+
     console.log('Configuration validation passed');
   }
 
@@ -142,17 +199,54 @@ class ConfigManager {
     
     enabledLocations.forEach(([name, location]) => {
       location.urls.forEach(url => {
-        urls.push({
-          url,
-          location: name,
-          priority: location.priority
-        });
+        urls.push(this.resolveDeviceConfig(url, name, location));
       });
     });
     
     return urls;
   }
 
+  // Effective settings for one device: device overrides, then location, then monitoring defaults
+  getDeviceConfig(url) {
+    const entry = Object.entries(this.config.locations || {})
+      .find(([name, location]) => location.urls && location.urls.includes(url));
+
+    if (!entry) return null;
+    return this.resolveDeviceConfig(url, entry[0], entry[1]);
+  }
+
+  resolveDeviceConfig(url, locationName, location) {
+    const monitoring = this.config.monitoring || {};
+    const overrides = (location.devices && location.devices[url]) || {};
+    const pick = (key) => [overrides[key], location[key], monitoring[key]].find(value => value !== undefined);
+
+    const probe = pick('probe') || 'puppeteer';
+    const profile = pick('profile') || 'default';
+    const fallback = pick('probeFallback');
+
+    return {
+      ...overrides,
+      url,
+      location: locationName,
+      priority: location.priority,
+      probe,
+      profile,
+      // true (the default) falls back to the browser, false disables, a string names the driver
+      probeFallback: fallback === false ? null : (typeof fallback === 'string' ? fallback : 'puppeteer'),
+      // Phonebank IPs the device may legitimately switch between without alerting
+      expectedIps: pick('expectedIps') || [],
+      // Usual authorized line count; when unset the monitor learns it from history
+      expectedAuthorized: pick('expectedAuthorized') ?? null,
+      // Location tags plus the device's own, for notification routing
+      tags: Array.from(new Set([...(location.tags || []), ...(overrides.tags || [])])),
+      reachability: {
+        ...(monitoring.reachability || {}),
+        ...(location.reachability || {}),
+        ...(overrides.reachability || {})
+      }
+    };
+  }
+
   onConfigChange(callback) {
     this.watchers.push(callback);
   }
@@ -3,7 +3,7 @@ const EventEmitter = require('events');
 class CacheManager extends EventEmitter {
   constructor(config) {
     super();
-    this.enabled = config.monitoring.enableCache || true;
+    this.enabled = config.monitoring.enableCache !== false;
     this.maxSize = config.monitoring.cacheMaxSize || 1000;
     this.ttl = config.monitoring.cacheExpiration || 300000; // 5 minutes
     
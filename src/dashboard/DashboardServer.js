@@ -5,6 +5,10 @@ const cors = require('cors');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { compileRule } = require('../alerts/RuleDsl');
+const { compileSchedule } = require('../oncall/OnCallScheduler');
+const { CHANNEL_PARTS } = require('../alerts/NotificationTemplates');
+const { compileTemplate } = require('../alerts/TemplateEngine');
 
 class DashboardServer {
   constructor(monitor, config) {
@@ -123,7 +127,7 @@ class DashboardServer {
         }
 
         const history = await this.monitor.db.getDeviceHistory(device.id, 50);
-        const stats = await this.monitor.db.getUptimeStats(device.id, 7);
+        const stats = await this.monitor.db.getUptimeStats(device.id, 7, this.excludesMaintenance());
         
         res.json({
           success: true,
@@ -180,15 +184,738 @@ class DashboardServer {
       }
     });
 
+    // Maintenance windows, filtered by ?status=, ?device=<url> or ?location=
+    router.get('/maintenance', async (req, res) => {
+      try {
+        const { status, device: deviceUrl, location } = req.query;
+        let deviceId = null;
+        if (deviceUrl) {
+          const device = await this.monitor.db.getDevice(deviceUrl);
+          if (!device) {
+            return res.status(404).json({
+              success: false,
+              error: 'Device not found'
+            });
+          }
+          deviceId = device.id;
+        }
+
+        const windows = await this.monitor.db.getMaintenanceWindows({
+          statuses: status ? status.split(',') : null,
+          deviceId,
+          location
+        });
+        const data = windows.map(window => this.monitor.maintenanceScheduler.describe(window));
+
+        res.json({
+          success: true,
+          data,
+          count: data.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.get('/maintenance/:id', async (req, res) => {
+      try {
+        const window = await this.monitor.db.getMaintenanceWindow(parseInt(req.params.id));
+        if (!window) {
+          return res.status(404).json({
+            success: false,
+            error: 'Maintenance window not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: this.monitor.maintenanceScheduler.describe(window)
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Body: { title, description, device: <url> | location, startTime, endTime, recurrence: daily|weekly, recurrenceUntil }
+    router.post('/maintenance', async (req, res) => {
+      let window;
+      try {
+        window = await this.monitor.maintenanceScheduler.prepareWindow(req.body || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      try {
+        const id = await this.monitor.db.createMaintenanceWindow(window);
+        await this.monitor.maintenanceScheduler.refresh();
+        const created = await this.monitor.db.getMaintenanceWindow(id);
+
+        res.json({
+          success: true,
+          data: this.monitor.maintenanceScheduler.describe(created),
+          message: 'Maintenance window created successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.put('/maintenance/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+        const existing = await this.monitor.db.getMaintenanceWindow(id);
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            error: 'Maintenance window not found'
+          });
+        }
+        if (existing.status === 'cancelled') {
+          return res.status(400).json({
+            success: false,
+            error: 'Cancelled maintenance windows cannot be changed'
+          });
+        }
+
+        let window;
+        try {
+          window = await this.monitor.maintenanceScheduler.prepareWindow(req.body || {}, existing);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        // Re-open it so the scheduler works out the status for the new times
+        await this.monitor.db.updateMaintenanceWindow(id, { ...window, status: 'scheduled' });
+        await this.monitor.maintenanceScheduler.refresh();
+        const updated = await this.monitor.db.getMaintenanceWindow(id);
+
+        res.json({
+          success: true,
+          data: this.monitor.maintenanceScheduler.describe(updated),
+          message: 'Maintenance window updated successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.post('/maintenance/:id/cancel', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+        const existing = await this.monitor.db.getMaintenanceWindow(id);
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            error: 'Maintenance window not found'
+          });
+        }
+
+        await this.monitor.db.updateMaintenanceWindow(id, { status: 'cancelled' });
+        await this.monitor.maintenanceScheduler.refresh();
+
+        res.json({
+          success: true,
+          message: 'Maintenance window cancelled successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // List failure evidence, optionally for one device (?device=<url>)
+    router.get('/evidence', async (req, res) => {
+      try {
+        const { device: deviceUrl, limit = 50 } = req.query;
+        let deviceId = null;
+
+        if (deviceUrl) {
+          const device = await this.monitor.db.getDevice(deviceUrl);
+          if (!device) {
+            return res.status(404).json({
+              success: false,
+              error: 'Device not found'
+            });
+          }
+          deviceId = device.id;
+        }
+
+        const evidence = await this.monitor.db.getEvidenceList(deviceId, parseInt(limit));
+        
+        res.json({
+          success: true,
+          data: evidence,
+          count: evidence.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Get one evidence capture with its check
+    router.get('/evidence/:id', async (req, res) => {
+      try {
+        const evidence = await this.monitor.db.getEvidence(parseInt(req.params.id));
+        
+        if (!evidence) {
+          return res.status(404).json({
+            success: false,
+            error: 'Evidence not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: evidence
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Serve a captured file: screenshot, html or endpoint (HTML is sent as plain text)
+    router.get('/evidence/:id/:kind', async (req, res) => {
+      try {
+        const evidence = await this.monitor.db.getEvidence(parseInt(req.params.id));
+        const file = evidence ? this.monitor.evidenceStore.getFile(evidence, req.params.kind) : null;
+        
+        if (!file) {
+          return res.status(404).json({
+            success: false,
+            error: 'Evidence file not found'
+          });
+        }
+
+        res.type(file.contentType);
+        res.sendFile(file.path, (err) => {
+          if (err && !res.headersSent) {
+            res.status(404).json({
+              success: false,
+              error: 'Evidence file not found'
+            });
+          }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // Get active alerts
     router.get('/alerts', async (req, res) => {
       try {
-        const alerts = await this.monitor.db.getActiveAlerts();
-        
+        const alerts = await this.monitor.db.getActiveAlerts();
+        // Pending alerts live in the monitor's AlertManager; start-dashboard.js runs without one
+        const pending = this.monitor.alertManager ? this.monitor.alertManager.getPendingAlerts() : [];
+        
+        res.json({
+          success: true,
+          data: alerts,
+          count: alerts.length,
+          pending
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Recently resolved alerts, for reopening
+    router.get('/alerts/resolved', async (req, res) => {
+      try {
+        const { limit = 20 } = req.query;
+        const alerts = await this.monitor.db.getResolvedAlerts(parseInt(limit));
+        
+        res.json({
+          success: true,
+          data: alerts,
+          count: alerts.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // One alert with its activity timeline
+    router.get('/alerts/:id', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        const activity = await this.monitor.db.getAlertActivity(alert.id);
+        res.json({
+          success: true,
+          data: { ...alert, activity }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.get('/alerts/:id/activity', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        const activity = await this.monitor.db.getAlertActivity(alert.id);
+        res.json({
+          success: true,
+          data: activity,
+          count: activity.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Delivery of an alert's notifications: channel, recipient, status, attempts, latency, error
+    router.get('/alerts/:id/notifications', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        const deliveries = await this.monitor.db.getNotificationDeliveries({ alertId: alert.id });
+        res.json({
+          success: true,
+          data: deliveries,
+          count: deliveries.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.post('/alerts/:id/notifications/retry', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        const { retriedBy = 'dashboard' } = req.body;
+        const retried = await this.monitor.notificationManager.retryFailedDeliveries(alert.id);
+        if (retried > 0) {
+          await this.monitor.alertManager.recordActivity(alert.id, 'retried', retriedBy, null, { deliveries: retried });
+        }
+
+        res.json({
+          success: true,
+          data: { retried },
+          message: `${retried} failed deliveries queued again`
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Resolve alert
+    router.post('/alerts/:id/resolve', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        const { resolvedBy = 'dashboard', note = null } = req.body;
+        if (this.monitor.alertManager) {
+          await this.monitor.alertManager.resolveAlert(alert.id, resolvedBy, note);
+        } else {
+          // start-dashboard.js: no activity log or channels to tell, just close the alert
+          await this.monitor.db.resolveAlert(alert.id, resolvedBy);
+        }
+        
+        res.json({
+          success: true,
+          message: 'Alert resolved successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Acknowledge alert; stops its escalation chain
+    router.post('/alerts/:id/acknowledge', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        if (alert.status !== 'active') {
+          return res.status(400).json({
+            success: false,
+            error: 'Only active alerts can be acknowledged'
+          });
+        }
+
+        const { acknowledgedBy = 'dashboard', note = null } = req.body;
+        await this.monitor.alertManager.acknowledgeAlert(alert.id, acknowledgedBy, note);
+        
+        res.json({
+          success: true,
+          message: 'Alert acknowledged successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Assign to a person; an empty assignee unassigns
+    router.post('/alerts/:id/assign', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        const { assignee = null, assignedBy = 'dashboard' } = req.body;
+        if (assignee !== null && typeof assignee !== 'string') {
+          return res.status(400).json({
+            success: false,
+            error: 'assignee must be a string'
+          });
+        }
+
+        await this.monitor.alertManager.assignAlert(alert.id, assignee ? assignee.trim() || null : null, assignedBy);
+        
+        res.json({
+          success: true,
+          message: assignee ? 'Alert assigned successfully' : 'Alert unassigned successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.post('/alerts/:id/notes', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        const { note, author = 'dashboard' } = req.body;
+        if (typeof note !== 'string' || !note.trim()) {
+          return res.status(400).json({
+            success: false,
+            error: 'note is required'
+          });
+        }
+
+        await this.monitor.alertManager.addAlertNote(alert.id, note.trim(), author);
+        
+        res.json({
+          success: true,
+          message: 'Note added successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.post('/alerts/:id/reopen', async (req, res) => {
+      try {
+        const alert = await this.findAlert(req, res);
+        if (!alert) return;
+
+        if (alert.status !== 'resolved') {
+          return res.status(400).json({
+            success: false,
+            error: 'Only resolved alerts can be reopened'
+          });
+        }
+
+        const { reopenedBy = 'dashboard', note = null } = req.body;
+        await this.monitor.alertManager.reopenAlert(alert.id, reopenedBy, note);
+        
+        res.json({
+          success: true,
+          message: 'Alert reopened successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Notification deliveries across alerts: ?status=failed,retrying&type=email&limit=100
+    router.get('/notifications', async (req, res) => {
+      try {
+        const { status, type, limit = 100 } = req.query;
+        const deliveries = await this.monitor.db.getNotificationDeliveries({
+          statuses: status ? status.split(',') : null,
+          type,
+          limit: parseInt(limit)
+        });
+
+        res.json({
+          success: true,
+          data: deliveries,
+          count: deliveries.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Durable notification queue: ?status=pending,retrying,sending,sent,dead,discarded
+    router.get('/notifications/queue', async (req, res) => {
+      try {
+        const { status, type, limit = 100 } = req.query;
+        const [items, stats] = await Promise.all([
+          this.monitor.db.getQueuedNotifications({
+            statuses: status ? status.split(',') : null,
+            type,
+            limit: parseInt(limit)
+          }),
+          this.monitor.db.getQueueStats()
+        ]);
+
+        res.json({
+          success: true,
+          data: items.map(item => this.formatQueueItem(item)),
+          count: items.length,
+          stats
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Notifications that used up their attempts or were interrupted mid-send
+    router.get('/notifications/dead-letter', async (req, res) => {
+      try {
+        const { limit = 100 } = req.query;
+        const items = await this.monitor.db.getQueuedNotifications({ statuses: ['dead'], limit: parseInt(limit) });
+
+        res.json({
+          success: true,
+          data: items.map(item => this.formatQueueItem(item)),
+          count: items.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.post('/notifications/dead-letter/:id/retry', async (req, res) => {
+      try {
+        const item = await this.monitor.db.getQueueItem(parseInt(req.params.id));
+        if (!item) {
+          return res.status(404).json({
+            success: false,
+            error: 'Queued notification not found'
+          });
+        }
+        if (!(await this.monitor.notificationManager.retryDeadLetter(item.id))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Only dead-lettered notifications can be retried'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Notification queued again'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.delete('/notifications/dead-letter/:id', async (req, res) => {
+      try {
+        const item = await this.monitor.db.getQueueItem(parseInt(req.params.id));
+        if (!item) {
+          return res.status(404).json({
+            success: false,
+            error: 'Queued notification not found'
+          });
+        }
+        if (!(await this.monitor.notificationManager.discardDeadLetter(item.id))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Only dead-lettered notifications can be discarded'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Notification discarded'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.post('/notifications/retry-failed', async (req, res) => {
+      try {
+        const retried = await this.monitor.notificationManager.retryFailedDeliveries();
+        res.json({
+          success: true,
+          data: { retried },
+          message: `${retried} failed deliveries queued again`
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.post('/notifications/:id/retry', async (req, res) => {
+      try {
+        const delivery = await this.monitor.db.getNotificationDelivery(parseInt(req.params.id));
+        if (!delivery) {
+          return res.status(404).json({
+            success: false,
+            error: 'Notification delivery not found'
+          });
+        }
+        if (!(await this.monitor.notificationManager.retryDelivery(delivery.id))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Only failed deliveries can be retried'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Delivery queued again'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Escalation policies (alerts.escalation.policies)
+    router.get('/escalation-policies', (req, res) => {
+      try {
+        const policies = this.monitor.alertManager.escalationManager.getPolicies();
+        res.json({
+          success: true,
+          data: policies,
+          count: policies.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Notification routing tree (alerts.routing) and the alert groups it holds
+    router.get('/notification-routing', (req, res) => {
+      try {
+        const notificationRouter = this.monitor.alertManager.notificationRouter;
+        res.json({
+          success: true,
+          data: {
+            ...notificationRouter.getRouting(),
+            groups: notificationRouter.getGroups()
+          }
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Which routes and receivers an alert would reach, e.g. { location, severity, alertType, device }
+    router.post('/notification-routing/test', (req, res) => {
+      try {
+        const notificationRouter = this.monitor.alertManager.notificationRouter;
+        if (!notificationRouter.enabled) {
+          return res.status(400).json({
+            success: false,
+            error: 'Notification routing is not enabled'
+          });
+        }
+
+        const { location, severity, alertType, device, tags } = req.body || {};
+        if (tags !== undefined && !Array.isArray(tags)) {
+          return res.status(400).json({
+            success: false,
+            error: 'tags must be an array'
+          });
+        }
+
+        const matches = notificationRouter.test({ location, severity, alertType, device, tags });
         res.json({
           success: true,
-          data: alerts,
-          count: alerts.length
+          data: matches,
+          count: matches.length
         });
       } catch (error) {
         res.status(500).json({
@@ -198,17 +925,303 @@ class DashboardServer {
       }
     });
 
-    // Resolve alert
-    router.post('/alerts/:id/resolve', async (req, res) => {
+    // Scheduled alert digests (alerts.digests) and the ones recently sent
+    router.get('/digests', async (req, res) => {
       try {
-        const { id } = req.params;
-        const { resolvedBy = 'dashboard' } = req.body;
-        
-        await this.monitor.db.resolveAlert(parseInt(id), resolvedBy);
-        
+        const digests = this.monitor.alertManager.digestScheduler.getDigests();
+        const sent = await this.monitor.db.getDigests(req.query.name || null, parseInt(req.query.limit) || 50);
         res.json({
           success: true,
-          message: 'Alert resolved successfully'
+          data: { digests, sent },
+          count: digests.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Send a digest now, covering everything since the last one
+    router.post('/digests/:name/send', async (req, res) => {
+      try {
+        const digestScheduler = this.monitor.alertManager.digestScheduler;
+        if (!digestScheduler.getDigest(req.params.name)) {
+          return res.status(404).json({
+            success: false,
+            error: 'Digest not found'
+          });
+        }
+
+        const counts = await digestScheduler.sendNow(req.params.name);
+        res.json({
+          success: true,
+          data: counts
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Notification templates by name and where each comes from (config, file or built-in)
+    router.get('/templates', (req, res) => {
+      try {
+        const templates = this.monitor.alertManager.templates.list()
+          .filter(template => !req.query.language || template.language === req.query.language)
+          .filter(template => !req.query.channel || template.channel === req.query.channel);
+        res.json({
+          success: true,
+          data: templates,
+          count: templates.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Render a template against a stored alert (alertId) or a sample one,
+    // e.g. { channel: 'telegram', part: 'body', language: 'id' }; `template` previews unsaved source
+    router.post('/templates/preview', async (req, res) => {
+      try {
+        const { channel, part = 'body', alertType, language, template, alertId } = req.body || {};
+        if (!CHANNEL_PARTS[channel] || !CHANNEL_PARTS[channel].includes(part)) {
+          return res.status(400).json({
+            success: false,
+            error: `channel and part must be one of ${Object.entries(CHANNEL_PARTS).map(([name, parts]) => `${name}.{${parts.join(',')}}`).join(', ')}`
+          });
+        }
+        if (template !== undefined) {
+          try {
+            compileTemplate(template, 'preview');
+          } catch (error) {
+            return res.status(400).json({
+              success: false,
+              error: error.message
+            });
+          }
+        }
+        if (alertId && !(await this.monitor.db.getAlert(alertId))) {
+          return res.status(404).json({
+            success: false,
+            error: 'Alert not found'
+          });
+        }
+
+        const preview = await this.monitor.alertManager.previewTemplate({ channel, part, alertType, language, template, alertId });
+        res.json({
+          success: true,
+          data: preview
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Current and next on-call person for each schedule
+    router.get('/oncall', (req, res) => {
+      try {
+        const overview = this.monitor.alertManager.onCallScheduler.getOverview();
+        res.json({
+          success: true,
+          data: overview,
+          count: overview.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.get('/oncall/schedules', (req, res) => {
+      try {
+        const schedules = this.monitor.config.get('oncall.schedules') || [];
+        res.json({
+          success: true,
+          data: schedules,
+          count: schedules.length,
+          people: this.monitor.config.get('oncall.people') || {}
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Add or replace a schedule by name
+    router.post('/oncall/schedules', (req, res) => {
+      try {
+        compileSchedule(req.body, this.monitor.config.get('oncall.people') || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      try {
+        const schedules = (this.monitor.config.get('oncall.schedules') || []).filter(schedule => schedule.name !== req.body.name);
+        schedules.push(req.body);
+        this.monitor.config.set('oncall.schedules', schedules);
+
+        res.json({
+          success: true,
+          data: req.body,
+          message: 'On-call schedule saved successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.delete('/oncall/schedules/:name', (req, res) => {
+      try {
+        const schedules = this.monitor.config.get('oncall.schedules') || [];
+        const remaining = schedules.filter(schedule => schedule.name !== req.params.name);
+        if (remaining.length === schedules.length) {
+          return res.status(404).json({
+            success: false,
+            error: 'On-call schedule not found'
+          });
+        }
+
+        this.monitor.config.set('oncall.schedules', remaining);
+
+        res.json({
+          success: true,
+          message: 'On-call schedule deleted successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Hand a schedule to someone else for a while: { person, start, end }
+    router.post('/oncall/schedules/:name/overrides', (req, res) => {
+      const schedules = this.monitor.config.get('oncall.schedules') || [];
+      const schedule = schedules.find(item => item.name === req.params.name);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'On-call schedule not found'
+        });
+      }
+
+      const { person, start, end } = req.body;
+      const updated = { ...schedule, overrides: [...(schedule.overrides || []), { person, start, end }] };
+      try {
+        compileSchedule(updated, this.monitor.config.get('oncall.people') || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      try {
+        this.monitor.config.set('oncall.schedules', schedules.map(item => (item === schedule ? updated : item)));
+
+        res.json({
+          success: true,
+          data: updated,
+          message: 'On-call override added successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Alert rules: built-in and configured (alerts.rules)
+    router.get('/alert-rules', (req, res) => {
+      try {
+        const rules = this.monitor.alertManager.getRules();
+        res.json({
+          success: true,
+          data: rules,
+          count: rules.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Add or replace a configured rule by name; { name, enabled: false } turns a
+    // built-in rule off, as in alerts.rules. The config watcher reloads the rules.
+    router.post('/alert-rules', (req, res) => {
+      try {
+        if (req.body && req.body.enabled === false) {
+          if (typeof req.body.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(req.body.name)) {
+            throw new Error('Alert rule name must be lowercase letters, digits and underscores');
+          }
+        } else {
+          compileRule(req.body);
+        }
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      try {
+        const rules = (this.monitor.config.get('alerts.rules') || []).filter(rule => rule.name !== req.body.name);
+        rules.push(req.body);
+        this.monitor.config.set('alerts.rules', rules);
+
+        res.json({
+          success: true,
+          data: req.body,
+          message: 'Alert rule saved successfully'
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.delete('/alert-rules/:name', (req, res) => {
+      try {
+        const rules = this.monitor.config.get('alerts.rules') || [];
+        const remaining = rules.filter(rule => rule.name !== req.params.name);
+        if (remaining.length === rules.length) {
+          return res.status(404).json({
+            success: false,
+            error: 'Configured alert rule not found'
+          });
+        }
+
+        this.monitor.config.set('alerts.rules', remaining);
+
+        res.json({
+          success: true,
+          message: 'Alert rule deleted successfully'
         });
       } catch (error) {
         res.status(500).json({
@@ -250,7 +1263,8 @@ class DashboardServer {
         // Calculate overview statistics
         const totalDevices = devices.length;
         const onlineDevices = devices.filter(d => d.status === 'online').length;
-        const offlineDevices = totalDevices - onlineDevices;
+        const degradedDevices = devices.filter(d => d.status === 'degraded').length;
+        const offlineDevices = totalDevices - onlineDevices - degradedDevices;
         const uptimePercentage = totalDevices > 0 ? (onlineDevices / totalDevices * 100).toFixed(2) : 0;
         
         // Group devices by location
@@ -260,6 +1274,7 @@ class DashboardServer {
             locationStats[device.location] = {
               total: 0,
               online: 0,
+              degraded: 0,
               offline: 0,
               priority: device.priority
             };
@@ -267,6 +1282,8 @@ class DashboardServer {
           locationStats[device.location].total++;
           if (device.status === 'online') {
             locationStats[device.location].online++;
+          } else if (device.status === 'degraded') {
+            locationStats[device.location].degraded++;
           } else {
             locationStats[device.location].offline++;
           }
@@ -278,6 +1295,7 @@ class DashboardServer {
             summary: {
               totalDevices,
               onlineDevices,
+              degradedDevices,
               offlineDevices,
               uptimePercentage,
               activeAlerts: activeAlerts.length
@@ -379,14 +1397,48 @@ class DashboardServer {
     });
 
     // Analytics endpoints
+    router.get('/analytics/baselines', async (req, res) => {
+      try {
+        const settings = this.monitor.config.get('baselines') || {};
+        const { days = settings.days || 14, minSamples = settings.minSamples || 20, percentile = settings.percentile || 95 } = req.query;
+        const devices = await this.monitor.db.getAllDevices();
+        const learned = await this.monitor.analyticsEngine.calculateAuthorizedBaselines(parseInt(days), parseInt(minSamples), parseFloat(percentile));
+
+        const data = devices.map(device => {
+          const deviceConfig = this.monitor.config.getDeviceConfig(device.url) || {};
+          return {
+            device: device.url,
+            location: device.location,
+            configured: deviceConfig.expectedAuthorized ?? null,
+            learned: learned[device.id] || null
+          };
+        });
+
+        res.json({
+          success: true,
+          data,
+          count: data.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     router.get('/analytics/uptime', async (req, res) => {
       try {
         const { days = 7 } = req.query;
+        // ?excludeMaintenance=false counts checks taken during maintenance windows
+        const excludeMaintenance = req.query.excludeMaintenance !== undefined
+          ? req.query.excludeMaintenance !== 'false'
+          : this.excludesMaintenance();
         const devices = await this.monitor.db.getAllDevices();
         const uptimeData = [];
         
         for (const device of devices) {
-          const stats = await this.monitor.db.getUptimeStats(device.id, parseInt(days));
+          const stats = await this.monitor.db.getUptimeStats(device.id, parseInt(days), excludeMaintenance);
           uptimeData.push({
             device: device.url,
             location: device.location,
@@ -510,7 +1562,7 @@ class DashboardServer {
         }
 
         const history = await this.monitor.db.getDeviceHistory(device.id, parseInt(limit));
-        const stats = await this.monitor.db.getUptimeStats(device.id, 30);
+        const stats = await this.monitor.db.getUptimeStats(device.id, 30, this.excludesMaintenance());
 
         res.json({
           success: true,
@@ -528,6 +1580,38 @@ class DashboardServer {
       }
     });
 
+    // Phonebank IP transitions, optionally for one device (?device=<url>)
+    router.get('/history/ip-changes', async (req, res) => {
+      try {
+        const { device: deviceUrl, limit = 100 } = req.query;
+        let deviceId = null;
+
+        if (deviceUrl) {
+          const device = await this.monitor.db.getDevice(deviceUrl);
+          if (!device) {
+            return res.status(404).json({
+              success: false,
+              error: 'Device not found'
+            });
+          }
+          deviceId = device.id;
+        }
+
+        const changes = await this.monitor.db.getAttributeHistory(deviceId, 'phonebank_ip', parseInt(limit));
+
+        res.json({
+          success: true,
+          data: changes,
+          count: changes.length
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // Events timeline endpoint
     router.get('/history/timeline', async (req, res) => {
       try {
@@ -537,17 +1621,32 @@ class DashboardServer {
         const recentChecks = await this.monitor.db.getLatestChecks(parseInt(limit));
         
         // Convert checks to timeline events
-        const events = recentChecks.map(check => ({
-          id: check.id,
-          timestamp: check.check_timestamp,
-          type: check.status === 'up' || check.status === 'online' ? 'online' : 'offline',
-          device: check.url,
-          location: check.location,
-          message: check.status === 'up' || check.status === 'online' ? 
-                   'Device came online' : 'Device went offline',
-          responseTime: check.response_time,
-          error: check.error_message
-        }));
+        const events = recentChecks.map(check => {
+          if (check.status === 'degraded') {
+            return {
+              id: check.id,
+              timestamp: check.check_timestamp,
+              type: 'degraded',
+              device: check.url,
+              location: check.location,
+              message: 'Device page could not be parsed',
+              responseTime: check.response_time,
+              error: check.parse_error
+            };
+          }
+
+          return {
+            id: check.id,
+            timestamp: check.check_timestamp,
+            type: check.status === 'up' || check.status === 'online' ? 'online' : 'offline',
+            device: check.url,
+            location: check.location,
+            message: check.status === 'up' || check.status === 'online' ? 
+                     'Device came online' : 'Device went offline',
+            responseTime: check.response_time,
+            error: check.error_message
+          };
+        });
 
         // Filter by location if specified
         let filteredEvents = events;
@@ -578,12 +1677,41 @@ class DashboardServer {
       res.sendFile(path.join(__dirname, '../../public/history.html'));
     });
 
+    this.app.get('/evidence', (req, res) => {
+      res.sendFile(path.join(__dirname, '../../public/evidence.html'));
+    });
+
     // Serve the dashboard frontend for other routes
     this.app.get('/', (req, res) => {
       res.sendFile(path.join(__dirname, '../../public/index.html'));
     });
   }
 
+  // Queued payloads can hold webhook urls and auth headers, so they stay server-side
+  formatQueueItem(item) {
+    const view = { ...item };
+    delete view.payload;
+    return view;
+  }
+
+  // Whether uptime leaves out maintenance windows; start-dashboard.js has no analytics engine, so it counts every check
+  excludesMaintenance() {
+    return this.monitor.analyticsEngine ? this.monitor.analyticsEngine.excludesMaintenance() : false;
+  }
+
+  // Alert named by :id, or a 404 response and null
+  async findAlert(req, res) {
+    const alert = await this.monitor.db.getAlert(parseInt(req.params.id));
+    if (!alert) {
+      res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+      return null;
+    }
+    return alert;
+  }
+
   setupWebSocket() {
     this.io.on('connection', (socket) => {
       console.log(`📱 Client connected: ${socket.id}`);
@@ -628,6 +1756,7 @@ class DashboardServer {
         // Send active alerts
         const activeAlerts = await this.monitor.db.getActiveAlerts();
         this.io.emit('active-alerts', activeAlerts);
+        this.io.emit('pending-alerts', this.monitor.alertManager ? this.monitor.alertManager.getPendingAlerts() : []);
         
         // Send overview data
         const overview = await this.getOverviewData();
@@ -2,6 +2,43 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
+// Columns added after the original schema; applied to existing databases on startup
+const COLUMN_MIGRATIONS = [
+  { table: 'device_checks', column: 'reachability_status', definition: 'TEXT' },
+  { table: 'device_checks', column: 'reachability_data', definition: 'TEXT' },
+  { table: 'device_checks', column: 'raw_values', definition: 'TEXT' },
+  { table: 'device_checks', column: 'parse_error', definition: 'TEXT' },
+  { table: 'device_checks', column: 'evidence_id', definition: 'INTEGER' },
+  { table: 'device_checks', column: 'expected_authorized', definition: 'INTEGER' },
+  { table: 'alerts', column: 'scope_key', definition: 'TEXT' },
+  { table: 'device_checks', column: 'flapping', definition: 'INTEGER DEFAULT 0' },
+  { table: 'device_checks', column: 'maintenance_window_id', definition: 'INTEGER' },
+  { table: 'maintenance_windows', column: 'recurrence', definition: 'TEXT' },
+  { table: 'maintenance_windows', column: 'recurrence_until', definition: 'DATETIME' },
+  { table: 'maintenance_windows', column: 'updated_at', definition: 'DATETIME' },
+  { table: 'alerts', column: 'escalation_policy', definition: 'TEXT' },
+  { table: 'alerts', column: 'escalation_step', definition: 'INTEGER' },
+  { table: 'alerts', column: 'escalated_at', definition: 'DATETIME' },
+  { table: 'alerts', column: 'assigned_to', definition: 'TEXT' },
+  { table: 'alerts', column: 'assigned_at', definition: 'DATETIME' },
+  { table: 'alerts', column: 'resolved_by', definition: 'TEXT' },
+  { table: 'alert_notifications', column: 'attempts', definition: 'INTEGER DEFAULT 0' },
+  { table: 'alert_notifications', column: 'latency_ms', definition: 'INTEGER' },
+  { table: 'alert_notifications', column: 'created_at', definition: 'DATETIME' },
+  { table: 'alert_notifications', column: 'last_attempt_at', definition: 'DATETIME' }
+];
+
+// Optional device_checks fields accepted by addDeviceCheck
+const CHECK_EXTRA_COLUMNS = {
+  reachabilityStatus: 'reachability_status',
+  reachabilityData: 'reachability_data',
+  rawValues: 'raw_values',
+  parseError: 'parse_error',
+  expectedAuthorized: 'expected_authorized',
+  flapping: 'flapping',
+  maintenanceWindowId: 'maintenance_window_id'
+};
+
 class DatabaseManager {
   constructor(dbPath = './phonebank_monitor.db') {
     this.dbPath = dbPath;
@@ -35,6 +72,7 @@ class DatabaseManager {
       this.db.run('PRAGMA foreign_keys=ON');
 
       await this.createTables();
+      await this.migrateTables();
       await this.createIndexes();
       console.log('Database initialized successfully');
     } catch (error) {
@@ -100,6 +138,37 @@ class DatabaseManager {
           FOREIGN KEY (alert_id) REFERENCES alerts (id) ON DELETE CASCADE
         )`,
 
+        // Who did what to an alert: created, escalated, acknowledged, assigned, note, resolved, reopened
+        `CREATE TABLE IF NOT EXISTS alert_activity (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          actor TEXT DEFAULT 'system',
+          note TEXT,
+          details TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (alert_id) REFERENCES alerts (id) ON DELETE CASCADE
+        )`,
+
+        // Durable notification queue; sent rows are kept for the retention period,
+        // dead rows (attempts used up or interrupted mid-send) until retried or discarded
+        `CREATE TABLE IF NOT EXISTS notification_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          notification_type TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          alert_id INTEGER,
+          delivery_id INTEGER,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 3,
+          next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (alert_id) REFERENCES alerts (id) ON DELETE CASCADE,
+          FOREIGN KEY (delivery_id) REFERENCES alert_notifications (id) ON DELETE SET NULL
+        )`,
+
         // System events/logs
         `CREATE TABLE IF NOT EXISTS system_events (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -145,6 +214,57 @@ class DatabaseManager {
           created_by TEXT DEFAULT 'system',
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE SET NULL
+        )`,
+
+        // Transitions of device attributes reported by the device (e.g. phonebank IP)
+        `CREATE TABLE IF NOT EXISTS device_attribute_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          device_id INTEGER NOT NULL,
+          attribute TEXT NOT NULL,
+          old_value TEXT,
+          new_value TEXT,
+          changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+        )`,
+
+        // Screenshots and page snapshots captured on failed checks
+        `CREATE TABLE IF NOT EXISTS check_evidence (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          device_id INTEGER NOT NULL,
+          check_id INTEGER,
+          reason TEXT,
+          page_url TEXT,
+          endpoint_url TEXT,
+          screenshot_file TEXT,
+          html_file TEXT,
+          endpoint_file TEXT,
+          size_bytes INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+        )`,
+
+        // Scheduled alert digests that were sent, one row per digest and period
+        `CREATE TABLE IF NOT EXISTS alert_digests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          period_start DATETIME NOT NULL,
+          period_end DATETIME NOT NULL,
+          new_count INTEGER DEFAULT 0,
+          open_count INTEGER DEFAULT 0,
+          resolved_count INTEGER DEFAULT 0,
+          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Notification routing groups waiting to be sent or repeated, so a restart
+        // keeps them; alerts is JSON [{ alert, deviceData, pending }], times are epoch ms
+        `CREATE TABLE IF NOT EXISTS notification_groups (
+          group_key TEXT PRIMARY KEY,
+          route_id TEXT NOT NULL,
+          labels TEXT NOT NULL,
+          alerts TEXT NOT NULL,
+          last_sent_at INTEGER,
+          next_flush_at INTEGER,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`
       ];
 
@@ -166,6 +286,31 @@ class DatabaseManager {
     });
   }
 
+  async migrateTables() {
+    for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+      const columns = await new Promise((resolve, reject) => {
+        this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => row.name));
+        });
+      });
+
+      if (columns.includes(column)) continue;
+
+      await new Promise((resolve, reject) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+          if (err) {
+            console.error(`Failed to add column ${table}.${column}:`, err.message);
+            reject(err);
+          } else {
+            console.log(`Added column ${table}.${column}`);
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
   createIndexes() {
     return new Promise((resolve, reject) => {
       const indexes = [
@@ -177,12 +322,21 @@ class DatabaseManager {
         'CREATE INDEX IF NOT EXISTS idx_alerts_device_id ON alerts(device_id)',
         'CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status)',
         'CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_alerts_resolved_at ON alerts(resolved_at)',
+        'CREATE INDEX IF NOT EXISTS idx_alert_digests_name ON alert_digests(name, period_end)',
+        'CREATE INDEX IF NOT EXISTS idx_alert_activity_alert_id ON alert_activity(alert_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_alert_notifications_alert_id ON alert_notifications(alert_id)',
+        'CREATE INDEX IF NOT EXISTS idx_alert_notifications_status ON alert_notifications(status)',
+        'CREATE INDEX IF NOT EXISTS idx_notification_queue_due ON notification_queue(status, next_attempt_at)',
+        'CREATE INDEX IF NOT EXISTS idx_notification_queue_delivery ON notification_queue(delivery_id)',
         'CREATE INDEX IF NOT EXISTS idx_system_events_timestamp ON system_events(timestamp)',
         'CREATE INDEX IF NOT EXISTS idx_system_events_type ON system_events(event_type)',
         'CREATE INDEX IF NOT EXISTS idx_performance_metrics_timestamp ON performance_metrics(timestamp)',
         'CREATE INDEX IF NOT EXISTS idx_performance_metrics_device_id ON performance_metrics(device_id)',
         'CREATE INDEX IF NOT EXISTS idx_maintenance_windows_device_id ON maintenance_windows(device_id)',
-        'CREATE INDEX IF NOT EXISTS idx_maintenance_windows_time ON maintenance_windows(start_time, end_time)'
+        'CREATE INDEX IF NOT EXISTS idx_maintenance_windows_time ON maintenance_windows(start_time, end_time)',
+        'CREATE INDEX IF NOT EXISTS idx_check_evidence_device_id ON check_evidence(device_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_device_attribute_history_device ON device_attribute_history(device_id, attribute, changed_at)'
       ];
 
       let completed = 0;
@@ -243,9 +397,10 @@ class DatabaseManager {
     });
   }
 
+  // A null ipAddress keeps the last known IP instead of clearing it
   async updateDeviceStatus(url, status, ipAddress = null) {
     return new Promise((resolve, reject) => {
-      const sql = `UPDATE devices SET status = ?, ip_address = ?, updated_at = CURRENT_TIMESTAMP WHERE url = ?`;
+      const sql = `UPDATE devices SET status = ?, ip_address = COALESCE(?, ip_address), updated_at = CURRENT_TIMESTAMP WHERE url = ?`;
       this.db.run(sql, [status, ipAddress, url], (err) => {
         if (err) {
           reject(err);
@@ -257,13 +412,23 @@ class DatabaseManager {
   }
 
   // Device checks/monitoring methods
-  async addDeviceCheck(deviceId, responseTime, status, authorizedCount, unauthorizedCount, phonebankIp, errorMessage = null, rawData = null) {
+  async addDeviceCheck(deviceId, responseTime, status, authorizedCount, unauthorizedCount, phonebankIp, errorMessage = null, rawData = null, extra = {}) {
     return new Promise((resolve, reject) => {
+      const columns = ['device_id', 'response_time', 'status', 'authorized_count', 'unauthorized_count', 'phonebank_ip', 'error_message', 'raw_data'];
+      const values = [deviceId, responseTime, status, authorizedCount, unauthorizedCount, phonebankIp, errorMessage, rawData];
+
+      Object.entries(CHECK_EXTRA_COLUMNS).forEach(([key, column]) => {
+        if (extra[key] !== undefined) {
+          columns.push(column);
+          values.push(extra[key]);
+        }
+      });
+
       const sql = `INSERT INTO device_checks 
-        (device_id, response_time, status, authorized_count, unauthorized_count, phonebank_ip, error_message, raw_data) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+        (${columns.join(', ')}) 
+        VALUES (${columns.map(() => '?').join(', ')})`;
       
-      this.db.run(sql, [deviceId, responseTime, status, authorizedCount, unauthorizedCount, phonebankIp, errorMessage, rawData], function(err) {
+      this.db.run(sql, values, function(err) {
         if (err) {
           reject(err);
         } else {
@@ -306,18 +471,20 @@ class DatabaseManager {
   }
 
   // Analytics methods
-  async getUptimeStats(deviceId, days = 7) {
+  // excludeMaintenance leaves out checks taken during a maintenance window
+  async getUptimeStats(deviceId, days = 7, excludeMaintenance = false) {
     return new Promise((resolve, reject) => {
       const sql = `
         SELECT 
           COUNT(*) as total_checks,
-          SUM(CASE WHEN status = 'online' THEN 1 ELSE 0 END) as successful_checks,
+          SUM(CASE WHEN status IN ('online', 'degraded') THEN 1 ELSE 0 END) as successful_checks,
           AVG(response_time) as avg_response_time,
           MIN(response_time) as min_response_time,
           MAX(response_time) as max_response_time
         FROM device_checks 
         WHERE device_id = ? 
-        AND check_timestamp >= datetime('now', '-${days} days')`;
+        AND check_timestamp >= datetime('now', '-${days} days')
+        ${excludeMaintenance ? 'AND maintenance_window_id IS NULL' : ''}`;
       
       this.db.get(sql, [deviceId], (err, row) => {
         if (err) {
@@ -339,7 +506,7 @@ class DatabaseManager {
         SELECT 
           d.location,
           COUNT(dc.id) as total_checks,
-          SUM(CASE WHEN dc.status = 'online' THEN 1 ELSE 0 END) as successful_checks,
+          SUM(CASE WHEN dc.status IN ('online', 'degraded') THEN 1 ELSE 0 END) as successful_checks,
           AVG(dc.response_time) as avg_response_time,
           COUNT(DISTINCT d.id) as device_count
         FROM devices d
@@ -363,10 +530,11 @@ class DatabaseManager {
   }
 
   // Alert methods
-  async createAlert(deviceId, alertType, severity, title, message) {
+  // scopeKey identifies what the alert is about: a device url, location:<name> or global
+  async createAlert(deviceId, alertType, severity, title, message, scopeKey = null) {
     return new Promise((resolve, reject) => {
-      const sql = `INSERT INTO alerts (device_id, alert_type, severity, title, message) VALUES (?, ?, ?, ?, ?)`;
-      this.db.run(sql, [deviceId, alertType, severity, title, message], function(err) {
+      const sql = `INSERT INTO alerts (device_id, alert_type, severity, title, message, scope_key) VALUES (?, ?, ?, ?, ?, ?)`;
+      this.db.run(sql, [deviceId, alertType, severity, title, message, scopeKey], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -395,9 +563,145 @@ class DatabaseManager {
     });
   }
 
+  async getAlert(alertId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT a.*, d.url, d.location 
+        FROM alerts a 
+        LEFT JOIN devices d ON a.device_id = d.id 
+        WHERE a.id = ?`;
+      
+      this.db.get(sql, [alertId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getResolvedAlerts(limit = 20) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT a.*, d.url, d.location 
+        FROM alerts a 
+        LEFT JOIN devices d ON a.device_id = d.id 
+        WHERE a.status = 'resolved' 
+        ORDER BY a.resolved_at DESC 
+        LIMIT ?`;
+      
+      this.db.all(sql, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Alerts created or resolved in [since, until), plus every active one (digests)
+  async getAlertsForDigest(since, until) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT a.*, d.url, d.location 
+        FROM alerts a 
+        LEFT JOIN devices d ON a.device_id = d.id 
+        WHERE (a.created_at >= ? AND a.created_at < ?) 
+          OR (a.resolved_at >= ? AND a.resolved_at < ?) 
+          OR a.status = 'active' 
+        ORDER BY a.created_at ASC`;
+      
+      this.db.all(sql, [since, until, since, until], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async recordDigest(name, periodStart, periodEnd, counts) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO alert_digests (name, period_start, period_end, new_count, open_count, resolved_count) 
+        VALUES (?, ?, ?, ?, ?, ?)`;
+      this.db.run(sql, [name, periodStart, periodEnd, counts.new, counts.open, counts.resolved], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async getLastDigest(name) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM alert_digests WHERE name = ? ORDER BY period_end DESC LIMIT 1`;
+      this.db.get(sql, [name], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getDigests(name = null, limit = 50) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM alert_digests 
+        ${name ? 'WHERE name = ?' : ''} 
+        ORDER BY sent_at DESC, id DESC 
+        LIMIT ?`;
+      this.db.all(sql, name ? [name, limit] : [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
   async resolveAlert(alertId, resolvedBy = 'system') {
     return new Promise((resolve, reject) => {
-      const sql = `UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE id = ?`;
+      const sql = `UPDATE alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by = ? WHERE id = ?`;
+      this.db.run(sql, [resolvedBy, alertId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // assignee null clears the assignment
+  async assignAlert(alertId, assignee) {
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE alerts SET assigned_to = ?, assigned_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END WHERE id = ?`;
+      this.db.run(sql, [assignee, assignee, alertId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Back to active and unacknowledged; the assignment is kept
+  async reopenAlert(alertId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE alerts 
+        SET status = 'active', resolved_at = NULL, resolved_by = NULL, acknowledged_at = NULL, acknowledged_by = NULL 
+        WHERE id = ?`;
       this.db.run(sql, [alertId], (err) => {
         if (err) {
           reject(err);
@@ -408,13 +712,141 @@ class DatabaseManager {
     });
   }
 
-  // System events
-  async logEvent(eventType, severity, message, metadata = null) {
+  async addAlertActivity(alertId, action, actor = 'system', note = null, details = null) {
     return new Promise((resolve, reject) => {
-      const sql = `INSERT INTO system_events (event_type, severity, message, metadata) VALUES (?, ?, ?, ?)`;
-      const metadataStr = metadata ? JSON.stringify(metadata) : null;
+      const sql = `INSERT INTO alert_activity (alert_id, action, actor, note, details) VALUES (?, ?, ?, ?, ?)`;
+      const detailsStr = details ? JSON.stringify(details) : null;
+
+      this.db.run(sql, [alertId, action, actor, note, detailsStr], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async getAlertActivity(alertId) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM alert_activity WHERE alert_id = ? ORDER BY created_at ASC, id ASC`;
       
-      this.db.run(sql, [eventType, severity, message, metadataStr], function(err) {
+      this.db.all(sql, [alertId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            ...row,
+            details: row.details ? JSON.parse(row.details) : null
+          })));
+        }
+      });
+    });
+  }
+
+  // Notification deliveries (alert_notifications): one row per notification,
+  // updated on every send attempt. What is sent lives in notification_queue.
+  async createNotificationDelivery(alertId, type, recipient) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO alert_notifications (alert_id, notification_type, recipient, status, created_at) 
+        VALUES (?, ?, ?, 'pending', CURRENT_TIMESTAMP)`;
+      this.db.run(sql, [alertId, type, recipient], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Record one send attempt: status is sent, retrying or failed
+  async recordNotificationAttempt(deliveryId, status, latencyMs, errorMessage = null) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE alert_notifications 
+        SET status = ?, attempts = COALESCE(attempts, 0) + 1, latency_ms = ?, error_message = ?, 
+            last_attempt_at = CURRENT_TIMESTAMP, 
+            sent_at = CASE WHEN ? = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END 
+        WHERE id = ?`;
+      this.db.run(sql, [status, latencyMs, errorMessage, status, deliveryId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async updateNotificationStatus(deliveryId, status) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`UPDATE alert_notifications SET status = ? WHERE id = ?`, [status, deliveryId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async getNotificationDelivery(deliveryId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT * FROM alert_notifications WHERE id = ?`, [deliveryId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getNotificationDeliveries(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+      if (filters.alertId) {
+        conditions.push('n.alert_id = ?');
+        params.push(filters.alertId);
+      }
+      if (filters.statuses && filters.statuses.length > 0) {
+        conditions.push(`n.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+        params.push(...filters.statuses);
+      }
+      if (filters.type) {
+        conditions.push('n.notification_type = ?');
+        params.push(filters.type);
+      }
+
+      const sql = `
+        SELECT n.*, a.title AS alert_title, a.severity 
+        FROM alert_notifications n 
+        LEFT JOIN alerts a ON n.alert_id = a.id 
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''} 
+        ORDER BY n.id DESC 
+        LIMIT ?`;
+      params.push(filters.limit || 100);
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Notification queue
+  async enqueueNotification(type, payload, alertId = null, deliveryId = null, maxAttempts = 3) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO notification_queue (notification_type, payload, alert_id, delivery_id, max_attempts) 
+        VALUES (?, ?, ?, ?, ?)`;
+      this.db.run(sql, [type, JSON.stringify(payload), alertId, deliveryId, maxAttempts], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -424,6 +856,522 @@ class DatabaseManager {
     });
   }
 
+  parseQueueItem(row) {
+    return row ? { ...row, payload: JSON.parse(row.payload) } : row;
+  }
+
+  async getDueNotifications(limit = 20) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM notification_queue 
+        WHERE status IN ('pending', 'retrying') AND next_attempt_at <= datetime('now') 
+        ORDER BY next_attempt_at ASC, id ASC 
+        LIMIT ?`;
+      this.db.all(sql, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseQueueItem(row)));
+        }
+      });
+    });
+  }
+
+  // Mark an item as being sent; false if another pass already took it
+  async claimNotification(itemId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notification_queue SET status = 'sending', updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ? AND status IN ('pending', 'retrying')`;
+      this.db.run(sql, [itemId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes === 1);
+        }
+      });
+    });
+  }
+
+  // After a send attempt: sent, retrying (in retryDelaySeconds) or dead
+  async finishNotificationAttempt(itemId, status, errorMessage = null, retryDelaySeconds = 0) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notification_queue 
+        SET status = ?, attempts = attempts + 1, last_error = ?, 
+            next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?`;
+      this.db.run(sql, [status, errorMessage, `+${Math.round(retryDelaySeconds)} seconds`, itemId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Items left 'sending' by a crash may or may not have gone out; dead-letter them instead of resending
+  async deadLetterInterruptedNotifications() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notification_queue 
+        SET status = 'dead', last_error = 'Interrupted while sending; it may already have been delivered', 
+            updated_at = CURRENT_TIMESTAMP 
+        WHERE status = 'sending'`;
+      this.db.run(sql, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async getQueueItem(itemId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT * FROM notification_queue WHERE id = ?`, [itemId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.parseQueueItem(row));
+        }
+      });
+    });
+  }
+
+  async getQueuedNotifications(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+      if (filters.statuses && filters.statuses.length > 0) {
+        conditions.push(`q.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+        params.push(...filters.statuses);
+      }
+      if (filters.alertId) {
+        conditions.push('q.alert_id = ?');
+        params.push(filters.alertId);
+      }
+      if (filters.deliveryId) {
+        conditions.push('q.delivery_id = ?');
+        params.push(filters.deliveryId);
+      }
+      if (filters.type) {
+        conditions.push('q.notification_type = ?');
+        params.push(filters.type);
+      }
+
+      const sql = `
+        SELECT q.*, a.title AS alert_title 
+        FROM notification_queue q 
+        LEFT JOIN alerts a ON q.alert_id = a.id 
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''} 
+        ORDER BY q.id DESC 
+        LIMIT ?`;
+      params.push(filters.limit || 100);
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseQueueItem(row)));
+        }
+      });
+    });
+  }
+
+  // Dead item back in the queue with its attempts reset, or discarded
+  async updateQueueItemStatus(itemId, status) {
+    return new Promise((resolve, reject) => {
+      const sql = status === 'pending'
+        ? `UPDATE notification_queue SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
+        : `UPDATE notification_queue SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+      this.db.run(sql, status === 'pending' ? [itemId] : [status, itemId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async getQueueStats() {
+    return new Promise((resolve, reject) => {
+      this.db.all(`SELECT status, COUNT(*) AS count FROM notification_queue GROUP BY status`, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          const stats = {};
+          rows.forEach(row => { stats[row.status] = row.count; });
+          resolve(stats);
+        }
+      });
+    });
+  }
+
+  // step is the index of the last escalation step notified (-1 before the first)
+  async updateAlertEscalation(alertId, policy, step) {
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE alerts SET escalation_policy = ?, escalation_step = ?, escalated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+      this.db.run(sql, [policy, step, alertId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Notification routing groups
+  async saveNotificationGroup(group) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR REPLACE INTO notification_groups 
+        (group_key, route_id, labels, alerts, last_sent_at, next_flush_at, updated_at) 
+        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+      const params = [
+        group.key,
+        group.routeId,
+        JSON.stringify(group.labels),
+        JSON.stringify(group.alerts),
+        group.lastSentAt,
+        group.nextFlushAt
+      ];
+      this.db.run(sql, params, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async deleteNotificationGroup(groupKey) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM notification_groups WHERE group_key = ?`, [groupKey], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async getNotificationGroups() {
+    return new Promise((resolve, reject) => {
+      this.db.all(`SELECT * FROM notification_groups ORDER BY updated_at ASC`, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({ ...row, labels: JSON.parse(row.labels), alerts: JSON.parse(row.alerts) })));
+        }
+      });
+    });
+  }
+
+  // System events
+  async logEvent(eventType, severity, message, metadata = null) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO system_events (event_type, severity, message, metadata) VALUES (?, ?, ?, ?)`;
+      const metadataStr = metadata ? JSON.stringify(metadata) : null;
+      
+      this.db.run(sql, [eventType, severity, message, metadataStr], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Device attribute history
+  async addAttributeChange(deviceId, attribute, oldValue, newValue) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO device_attribute_history (device_id, attribute, old_value, new_value) VALUES (?, ?, ?, ?)`;
+      this.db.run(sql, [deviceId, attribute, oldValue, newValue], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async getAttributeHistory(deviceId = null, attribute = null, limit = 100) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+      if (deviceId) {
+        conditions.push('h.device_id = ?');
+        params.push(deviceId);
+      }
+      if (attribute) {
+        conditions.push('h.attribute = ?');
+        params.push(attribute);
+      }
+      params.push(limit);
+
+      const sql = `
+        SELECT h.*, d.url, d.location 
+        FROM device_attribute_history h 
+        JOIN devices d ON h.device_id = d.id 
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''} 
+        ORDER BY h.changed_at DESC, h.id DESC 
+        LIMIT ?`;
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Check evidence
+  async addEvidence(deviceId, checkId, evidence) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO check_evidence 
+        (device_id, check_id, reason, page_url, endpoint_url, screenshot_file, html_file, endpoint_file, size_bytes) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+      const values = [
+        deviceId,
+        checkId,
+        evidence.reason || null,
+        evidence.pageUrl || null,
+        evidence.endpointUrl || null,
+        evidence.screenshotFile || null,
+        evidence.htmlFile || null,
+        evidence.endpointFile || null,
+        evidence.sizeBytes || 0
+      ];
+
+      const db = this.db;
+      db.run(sql, values, function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const evidenceId = this.lastID;
+        if (!checkId) {
+          resolve(evidenceId);
+          return;
+        }
+
+        // Link the evidence from its check record
+        db.run('UPDATE device_checks SET evidence_id = ? WHERE id = ?', [evidenceId, checkId], (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(evidenceId);
+          }
+        });
+      });
+    });
+  }
+
+  async getEvidence(evidenceId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT ce.*, d.url, d.location, dc.status, dc.error_message, dc.parse_error, dc.raw_values
+        FROM check_evidence ce 
+        JOIN devices d ON ce.device_id = d.id 
+        LEFT JOIN device_checks dc ON ce.check_id = dc.id 
+        WHERE ce.id = ?`;
+      this.db.get(sql, [evidenceId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getEvidenceList(deviceId = null, limit = 50) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT ce.*, d.url, d.location, dc.status 
+        FROM check_evidence ce 
+        JOIN devices d ON ce.device_id = d.id 
+        LEFT JOIN device_checks dc ON ce.check_id = dc.id 
+        ${deviceId ? 'WHERE ce.device_id = ?' : ''} 
+        ORDER BY ce.created_at DESC, ce.id DESC 
+        LIMIT ?`;
+      const params = deviceId ? [deviceId, limit] : [limit];
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Evidence past its retention period or beyond the newest maxPerDevice captures of a device
+  async getExpiredEvidence(retentionDays, maxPerDevice) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM (
+          SELECT ce.*, ROW_NUMBER() OVER (PARTITION BY ce.device_id ORDER BY ce.created_at DESC, ce.id DESC) AS device_rank 
+          FROM check_evidence ce
+        ) 
+        WHERE created_at < datetime('now', '-${retentionDays} days') OR device_rank > ?`;
+      this.db.all(sql, [maxPerDevice], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async deleteEvidence(evidenceIds) {
+    if (evidenceIds.length === 0) return;
+
+    const placeholders = evidenceIds.map(() => '?').join(', ');
+    const queries = [
+      `UPDATE device_checks SET evidence_id = NULL WHERE evidence_id IN (${placeholders})`,
+      `DELETE FROM check_evidence WHERE id IN (${placeholders})`
+    ];
+
+    for (const sql of queries) {
+      await new Promise((resolve, reject) => {
+        this.db.run(sql, evidenceIds, (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  // Maintenance windows
+  // Times are ISO strings; a window with neither device nor location covers every device
+  async createMaintenanceWindow(window) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO maintenance_windows 
+          (title, description, location, device_id, start_time, end_time, recurrence, recurrence_until, status, created_by) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+      const params = [
+        window.title,
+        window.description || null,
+        window.location || null,
+        window.deviceId || null,
+        window.startTime,
+        window.endTime,
+        window.recurrence || null,
+        window.recurrenceUntil || null,
+        window.status || 'scheduled',
+        window.createdBy || 'system'
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async getMaintenanceWindow(windowId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT mw.*, d.url 
+        FROM maintenance_windows mw 
+        LEFT JOIN devices d ON mw.device_id = d.id 
+        WHERE mw.id = ?`;
+      this.db.get(sql, [windowId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getMaintenanceWindows(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+      if (filters.statuses && filters.statuses.length > 0) {
+        conditions.push(`mw.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+        params.push(...filters.statuses);
+      }
+      if (filters.deviceId) {
+        conditions.push('mw.device_id = ?');
+        params.push(filters.deviceId);
+      }
+      if (filters.location) {
+        conditions.push('mw.location = ?');
+        params.push(filters.location);
+      }
+
+      const sql = `
+        SELECT mw.*, d.url 
+        FROM maintenance_windows mw 
+        LEFT JOIN devices d ON mw.device_id = d.id 
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''} 
+        ORDER BY mw.start_time DESC, mw.id DESC`;
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async updateMaintenanceWindow(windowId, window) {
+    const columns = {
+      title: 'title',
+      description: 'description',
+      location: 'location',
+      deviceId: 'device_id',
+      startTime: 'start_time',
+      endTime: 'end_time',
+      recurrence: 'recurrence',
+      recurrenceUntil: 'recurrence_until',
+      status: 'status'
+    };
+    const updates = Object.keys(columns).filter(key => window[key] !== undefined);
+    if (updates.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE maintenance_windows 
+        SET ${updates.map(key => `${columns[key]} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?`;
+      this.db.run(sql, [...updates.map(key => window[key]), windowId], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
   // Data cleanup
   async cleanupOldData(retentionDays = 30) {
     return new Promise((resolve, reject) => {
@@ -431,7 +1379,9 @@ class DatabaseManager {
         `DELETE FROM device_checks WHERE check_timestamp < datetime('now', '-${retentionDays} days')`,
         `DELETE FROM system_events WHERE timestamp < datetime('now', '-${retentionDays} days')`,
         `DELETE FROM performance_metrics WHERE timestamp < datetime('now', '-${retentionDays} days')`,
-        `DELETE FROM alerts WHERE status = 'resolved' AND resolved_at < datetime('now', '-${retentionDays} days')`
+        `DELETE FROM alerts WHERE status = 'resolved' AND resolved_at < datetime('now', '-${retentionDays} days')`,
+        `DELETE FROM notification_queue WHERE status IN ('sent', 'discarded') AND updated_at < datetime('now', '-${retentionDays} days')`,
+        `DELETE FROM alert_digests WHERE sent_at < datetime('now', '-${retentionDays} days')`
       ];
 
       let completed = 0;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+const EVIDENCE_FILES = {
+  screenshot: { column: 'screenshot_file', extension: 'png', contentType: 'image/png' },
+  html: { column: 'html_file', extension: 'html', contentType: 'text/plain; charset=utf-8' },
+  endpoint: { column: 'endpoint_file', extension: 'endpoint.txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Keeps what a device actually showed on failed or unparseable checks: a
+// screenshot, the page HTML and the endpoint (cek.php) body, one folder per device
+class EvidenceStore {
+  constructor(config, db) {
+    const settings = config.evidence || {};
+    this.db = db;
+    this.enabled = settings.enabled !== false;
+    this.directory = path.resolve(settings.directory || './evidence');
+    this.retentionDays = settings.retentionDays || 7;
+    this.maxPerDevice = settings.maxPerDevice || 50;
+    this.screenshots = settings.screenshots !== false;
+
+    this.cleanupInterval = null;
+    if (this.enabled) {
+      this.cleanupInterval = setInterval(() => {
+        this.cleanup().catch(error => console.error('Evidence cleanup failed:', error.message));
+      }, (settings.cleanupIntervalMinutes || 60) * 60 * 1000);
+    }
+  }
+
+  // Empty collector handed to probes through deviceConfig.evidence
+  createCapture(url) {
+    if (!this.enabled) return null;
+    return { pageUrl: url, screenshots: this.screenshots };
+  }
+
+  hasContent(capture) {
+    return !!capture && (!!capture.screenshot || capture.html != null || capture.endpointBody != null);
+  }
+
+  async save(deviceId, checkId, capture, reason = null) {
+    if (!this.enabled || !this.hasContent(capture)) return null;
+
+    const deviceDir = path.join(this.directory, String(deviceId));
+    await fs.promises.mkdir(deviceDir, { recursive: true });
+
+    const baseName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${checkId || 'manual'}`;
+    const contents = {
+      screenshot: capture.screenshot || null,
+      html: capture.html ?? null,
+      endpoint: capture.endpointBody ?? null
+    };
+
+    const files = {};
+    let sizeBytes = 0;
+    for (const [kind, content] of Object.entries(contents)) {
+      if (content === null) continue;
+
+      const fileName = `${baseName}.${EVIDENCE_FILES[kind].extension}`;
+      await fs.promises.writeFile(path.join(deviceDir, fileName), content);
+      files[kind] = path.join(String(deviceId), fileName);
+      sizeBytes += Buffer.byteLength(content);
+    }
+
+    const evidenceId = await this.db.addEvidence(deviceId, checkId, {
+      reason,
+      pageUrl: capture.pageUrl,
+      endpointUrl: capture.endpointUrl,
+      screenshotFile: files.screenshot,
+      htmlFile: files.html,
+      endpointFile: files.endpoint,
+      sizeBytes
+    });
+
+    console.log(`📸 Saved evidence #${evidenceId} for ${capture.pageUrl} (${Object.keys(files).join(', ')})`);
+    return evidenceId;
+  }
+
+  // Absolute path and content type of one stored file, or null when it wasn't captured
+  getFile(evidence, kind) {
+    const file = EVIDENCE_FILES[kind];
+    if (!file || !evidence[file.column]) return null;
+
+    const filePath = path.resolve(this.directory, evidence[file.column]);
+    if (!filePath.startsWith(this.directory + path.sep)) return null;
+
+    return { path: filePath, contentType: file.contentType };
+  }
+
+  async cleanup() {
+    const expired = await this.db.getExpiredEvidence(this.retentionDays, this.maxPerDevice);
+    if (expired.length === 0) return 0;
+
+    for (const evidence of expired) {
+      for (const kind of Object.keys(EVIDENCE_FILES)) {
+        const file = this.getFile(evidence, kind);
+        if (!file) continue;
+
+        await fs.promises.unlink(file.path).catch((error) => {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not remove evidence file ${file.path}: ${error.message}`);
+          }
+        });
+      }
+    }
+
+    await this.db.deleteEvidence(expired.map(evidence => evidence.id));
+    console.log(`🧹 Removed ${expired.length} expired evidence captures`);
+    return expired.length;
+  }
+
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+}
+
+module.exports = EvidenceStore;
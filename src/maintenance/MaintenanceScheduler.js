@@ -0,0 +1,155 @@
+// Maintenance windows for a device, a location or everything. A window may
+// repeat daily or weekly from its first occurrence until recurrenceUntil.
+// Checks taken inside an active window are tagged with its id so alerts stay
+// quiet and uptime/SLA figures can leave them out.
+
+const RECURRENCE_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Windows that can still start or are running
+const OPEN_STATUSES = ['scheduled', 'active'];
+
+function parseTime(value, name) {
+  const time = new Date(value);
+  if (isNaN(time.getTime())) {
+    throw new Error(`${name} must be a date/time`);
+  }
+  return time.toISOString();
+}
+
+class MaintenanceScheduler {
+  constructor(db) {
+    this.db = db;
+    this.windows = [];
+  }
+
+  // Start/end of the occurrence running at `at`, or null
+  getOccurrence(window, at = Date.now()) {
+    const start = new Date(window.start_time).getTime();
+    const end = new Date(window.end_time).getTime();
+    if (at < start) return null;
+
+    const period = RECURRENCE_PERIODS[window.recurrence];
+    if (!period) {
+      return at < end ? { start, end } : null;
+    }
+
+    if (window.recurrence_until && at > new Date(window.recurrence_until).getTime()) {
+      return null;
+    }
+    const occurrenceStart = start + Math.floor((at - start) / period) * period;
+    const occurrenceEnd = occurrenceStart + (end - start);
+    return at < occurrenceEnd ? { start: occurrenceStart, end: occurrenceEnd } : null;
+  }
+
+  getStatus(window, at = Date.now()) {
+    if (window.status === 'cancelled') return 'cancelled';
+    if (this.getOccurrence(window, at)) return 'active';
+
+    const finished = window.recurrence && RECURRENCE_PERIODS[window.recurrence]
+      ? window.recurrence_until && at > new Date(window.recurrence_until).getTime()
+      : at >= new Date(window.end_time).getTime();
+    return finished ? 'completed' : 'scheduled';
+  }
+
+  // Reload open windows and move them between scheduled, active and completed
+  async refresh() {
+    const windows = await this.db.getMaintenanceWindows({ statuses: OPEN_STATUSES });
+    const now = Date.now();
+
+    for (const window of windows) {
+      const status = this.getStatus(window, now);
+      if (status === window.status) continue;
+
+      await this.db.updateMaintenanceWindow(window.id, { status });
+      if (status === 'active') {
+        console.log(`🔧 Maintenance window #${window.id} started: ${window.title}`);
+      } else if (window.status === 'active') {
+        console.log(`✅ Maintenance window #${window.id} ended: ${window.title}`);
+      }
+      window.status = status;
+    }
+
+    this.windows = windows.filter(window => OPEN_STATUSES.includes(window.status));
+    return this.windows;
+  }
+
+  // The window covering a device right now, if any (device row from the devices table)
+  getActiveWindow(device, at = Date.now()) {
+    return this.windows.find(window => {
+      const covers = window.device_id
+        ? window.device_id === device.id
+        : !window.location || window.location === device.location;
+      return covers && this.getOccurrence(window, at) !== null;
+    }) || null;
+  }
+
+  // Validated columns for a create (existing = null) or update request body
+  async prepareWindow(input, existing = null) {
+    const window = {};
+
+    if (!existing || input.title !== undefined) {
+      if (typeof input.title !== 'string' || !input.title.trim()) {
+        throw new Error('title is required');
+      }
+      window.title = input.title.trim();
+    }
+    if (input.description !== undefined) window.description = input.description;
+    if (input.createdBy !== undefined) window.createdBy = input.createdBy;
+
+    if (input.device !== undefined) {
+      const device = input.device ? await this.db.getDevice(input.device) : null;
+      if (input.device && !device) {
+        throw new Error(`Unknown device: ${input.device}`);
+      }
+      window.deviceId = device ? device.id : null;
+    }
+    if (input.location !== undefined) window.location = input.location || null;
+
+    ['startTime', 'endTime'].forEach(key => {
+      if (input[key] !== undefined) window[key] = parseTime(input[key], key);
+    });
+    if (input.recurrenceUntil !== undefined) {
+      window.recurrenceUntil = input.recurrenceUntil ? parseTime(input.recurrenceUntil, 'recurrenceUntil') : null;
+    }
+
+    if (input.recurrence !== undefined) {
+      if (input.recurrence && !RECURRENCE_PERIODS[input.recurrence]) {
+        throw new Error(`recurrence must be one of ${Object.keys(RECURRENCE_PERIODS).join(', ')}`);
+      }
+      window.recurrence = input.recurrence || null;
+    }
+
+    const startTime = window.startTime || (existing && existing.start_time);
+    const endTime = window.endTime || (existing && existing.end_time);
+    if (!startTime || !endTime) {
+      throw new Error('startTime and endTime are required');
+    }
+    const duration = new Date(endTime).getTime() - new Date(startTime).getTime();
+    if (duration <= 0) {
+      throw new Error('endTime must be after startTime');
+    }
+
+    const recurrence = window.recurrence !== undefined ? window.recurrence : existing && existing.recurrence;
+    if (recurrence && duration >= RECURRENCE_PERIODS[recurrence]) {
+      throw new Error(`A ${recurrence} window must be shorter than its repeat period`);
+    }
+
+    return window;
+  }
+
+  // API view of a window with its current occurrence
+  describe(window, at = Date.now()) {
+    const occurrence = window.status === 'cancelled' ? null : this.getOccurrence(window, at);
+    return {
+      ...window,
+      active: occurrence !== null,
+      current_start: occurrence ? new Date(occurrence.start).toISOString() : null,
+      current_end: occurrence ? new Date(occurrence.end).toISOString() : null
+    };
+  }
+}
+
+module.exports = MaintenanceScheduler;
@@ -0,0 +1,275 @@
+// On-call schedules (oncall.schedules). Each schedule covers some locations
+// (or all of them) in one timezone and rotates through its members:
+//
+//   "oncall": {
+//     "people": { "budi": { "name": "Budi", "email": "budi@example.com", "slack": "<@U012AB3CD>" } },
+//     "schedules": [{
+//       "name": "stin_team", "locations": ["STIN"], "timezone": "Asia/Jakarta",
+//       "rotation": { "period": "weekly", "start": "2026-01-05 08:00", "members": ["budi", "sari"] },
+//       "shifts": [{ "days": ["mon", "tue", "wed", "thu", "fri"], "start": "08:00", "end": "20:00" }],
+//       "overrides": [{ "person": "sari", "start": "2026-10-20 08:00", "end": "2026-10-21 08:00" }]
+//     }]
+//   }
+//
+// Times without an offset are wall-clock times in the schedule's timezone.
+// Internally everything is compared as "wall" milliseconds: the local time
+// read as if it were UTC, so handoffs stay at 08:00 across DST changes.
+
+const ROTATION_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// UTC timestamp -> wall milliseconds in the timezone
+function toWall(timestamp, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall + (timestamp % 1000 + 1000) % 1000;
+}
+
+// Wall milliseconds -> UTC timestamp (the later one when a wall time repeats)
+function fromWall(wall, timezone) {
+  let timestamp = wall - (toWall(wall, timezone) - wall);
+  timestamp = wall - (toWall(timestamp, timezone) - timestamp);
+  return timestamp;
+}
+
+// "2026-10-20 08:00" (wall time) or an ISO string with offset -> wall milliseconds
+function parseWallTime(value, timezone, name) {
+  const text = String(value).trim();
+  if (/[zZ]$|[+-]\d\d:?\d\d$/.test(text)) {
+    const timestamp = new Date(text).getTime();
+    if (!isNaN(timestamp)) return toWall(timestamp, timezone);
+  } else {
+    const wall = new Date(`${text.replace(' ', 'T')}Z`).getTime();
+    if (!isNaN(wall)) return wall;
+  }
+  throw new Error(`${name} must be a date/time like "2026-10-20 08:00"`);
+}
+
+// "08:00" -> minutes after midnight
+function parseClock(value, name) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2], 10) > 59) {
+    throw new Error(`${name} must be a time like "08:00"`);
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+function compileSchedule(definition, people = {}) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('On-call schedule must be an object');
+  }
+
+  const { name } = definition;
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new Error('On-call schedule name must be lowercase letters, digits and underscores');
+  }
+  const where = `On-call schedule ${name}`;
+
+  const timezone = definition.timezone || 'UTC';
+  try {
+    getFormatter(timezone);
+  } catch (error) {
+    throw new Error(`${where}: unknown timezone ${timezone}`);
+  }
+
+  const checkPerson = (person) => {
+    if (!people[person]) {
+      throw new Error(`${where}: unknown person ${person}`);
+    }
+    return person;
+  };
+
+  const rotation = definition.rotation || {};
+  const period = rotation.period || 'weekly';
+  if (!ROTATION_PERIODS[period]) {
+    throw new Error(`${where}: rotation period must be one of ${Object.keys(ROTATION_PERIODS).join(', ')}`);
+  }
+  if (!Array.isArray(rotation.members) || rotation.members.length === 0) {
+    throw new Error(`${where}: rotation needs at least one member`);
+  }
+
+  const shifts = (definition.shifts || []).map((shift, index) => {
+    const days = shift.days || DAY_NAMES;
+    if (!Array.isArray(days) || days.some(day => !DAY_NAMES.includes(String(day).toLowerCase()))) {
+      throw new Error(`${where}: shift ${index + 1} days must be ${DAY_NAMES.join(', ')}`);
+    }
+    return {
+      days: days.map(day => DAY_NAMES.indexOf(String(day).toLowerCase())),
+      start: parseClock(shift.start ?? '00:00', `${where}: shift ${index + 1} start`),
+      end: parseClock(shift.end ?? '24:00', `${where}: shift ${index + 1} end`)
+    };
+  });
+
+  const overrides = (definition.overrides || []).map((override, index) => {
+    const start = parseWallTime(override.start, timezone, `${where}: override ${index + 1} start`);
+    const end = parseWallTime(override.end, timezone, `${where}: override ${index + 1} end`);
+    if (end <= start) {
+      throw new Error(`${where}: override ${index + 1} must end after it starts`);
+    }
+    return { person: checkPerson(override.person), start, end };
+  });
+
+  return {
+    name,
+    locations: Array.isArray(definition.locations) ? definition.locations : null,
+    timezone,
+    period: ROTATION_PERIODS[period],
+    start: parseWallTime(rotation.start || '2026-01-05 00:00', timezone, `${where}: rotation start`),
+    members: rotation.members.map(checkPerson),
+    shifts,
+    overrides,
+    definition
+  };
+}
+
+class OnCallScheduler {
+  constructor(config) {
+    this.configure(config);
+  }
+
+  configure(config) {
+    const settings = config.oncall || {};
+    this.people = settings.people || {};
+    this.schedules = [];
+
+    (settings.schedules || []).forEach(definition => {
+      try {
+        this.schedules.push(compileSchedule(definition, this.people));
+      } catch (error) {
+        console.error(`❌ Skipping on-call schedule: ${error.message}`);
+      }
+    });
+  }
+
+  // Schedule for a location: the first listing it, else the first without locations
+  findSchedule(location) {
+    return this.schedules.find(schedule => schedule.locations && schedule.locations.includes(location)) ||
+      this.schedules.find(schedule => !schedule.locations) ||
+      null;
+  }
+
+  inShift(schedule, wall) {
+    if (schedule.shifts.length === 0) return true;
+
+    const day = new Date(wall).getUTCDay();
+    const minute = Math.floor((wall % DAY_MS) / 60000);
+    return schedule.shifts.some(shift => {
+      if (shift.start < shift.end) {
+        return shift.days.includes(day) && minute >= shift.start && minute < shift.end;
+      }
+      // Overnight shift: the part before midnight, or the part after it on the next day
+      return (shift.days.includes(day) && minute >= shift.start) ||
+        (shift.days.includes((day + 6) % 7) && minute < shift.end);
+    });
+  }
+
+  // Person id on call at a wall time and why, or null outside the shifts
+  resolveAt(schedule, wall) {
+    const override = schedule.overrides.find(item => wall >= item.start && wall < item.end);
+    if (override) {
+      return { person: override.person, source: 'override' };
+    }
+    if (!this.inShift(schedule, wall)) {
+      return null;
+    }
+
+    const turns = Math.floor((wall - schedule.start) / schedule.period);
+    const index = ((turns % schedule.members.length) + schedule.members.length) % schedule.members.length;
+    return { person: schedule.members[index], source: 'rotation' };
+  }
+
+  // Wall times after `wall` where the person on call may change, in order
+  getBoundaries(schedule, wall) {
+    const boundaries = [];
+    const turns = Math.floor((wall - schedule.start) / schedule.period);
+    for (let turn = 1; turn <= schedule.members.length + 1; turn++) {
+      boundaries.push(schedule.start + (turns + turn) * schedule.period);
+    }
+
+    schedule.overrides.forEach(override => boundaries.push(override.start, override.end));
+
+    const today = wall - (wall % DAY_MS);
+    for (let day = 0; day <= 8; day++) {
+      schedule.shifts.forEach(shift => {
+        boundaries.push(today + day * DAY_MS + shift.start * 60000, today + day * DAY_MS + shift.end * 60000);
+      });
+    }
+
+    return Array.from(new Set(boundaries.filter(boundary => boundary > wall))).sort((a, b) => a - b);
+  }
+
+  describePerson(id) {
+    return id ? { id, ...this.people[id] } : null;
+  }
+
+  // Who is on call for a schedule now and who takes over next
+  getOnCall(schedule, at = Date.now()) {
+    const wall = toWall(at, schedule.timezone);
+    const current = this.resolveAt(schedule, wall);
+
+    let next = null;
+    for (const boundary of this.getBoundaries(schedule, wall)) {
+      const candidate = this.resolveAt(schedule, boundary);
+      if ((candidate && candidate.person) !== (current && current.person)) {
+        next = { ...candidate, at: boundary };
+        break;
+      }
+    }
+
+    const asTime = (value) => new Date(fromWall(value, schedule.timezone)).toISOString();
+    return {
+      schedule: schedule.name,
+      locations: schedule.locations,
+      timezone: schedule.timezone,
+      current: current ? { ...this.describePerson(current.person), source: current.source } : null,
+      next: next && next.person ? { ...this.describePerson(next.person), source: next.source, from: asTime(next.at) } : null,
+      nobodyFrom: next && !next.person ? asTime(next.at) : null
+    };
+  }
+
+  // Person on call for an alert's location right now, or null
+  getOnCallPerson(location, at = Date.now()) {
+    const schedule = this.findSchedule(location);
+    if (!schedule) return null;
+
+    const current = this.resolveAt(schedule, toWall(at, schedule.timezone));
+    return current ? this.describePerson(current.person) : null;
+  }
+
+  getOverview(at = Date.now()) {
+    return this.schedules.map(schedule => this.getOnCall(schedule, at));
+  }
+}
+
+module.exports = {
+  OnCallScheduler,
+  compileSchedule,
+  toWall,
+  fromWall
+};
@@ -0,0 +1,103 @@
+const {
+  resolveProfile,
+  getEndpointUrl,
+  parseEndpointBody,
+  extractFromHtml,
+  buildResult
+} = require('./profiles');
+const { recordResponse } = require('./fixtures');
+
+// Reads the device root page and cek.php over plain HTTP, without a browser
+class HttpProbe {
+  constructor(config) {
+    this.config = config;
+    this.timeout = config.monitoring?.timeout || 10000;
+  }
+
+  // deviceConfig.recording, when set, receives every response for a fixture
+  async fetchText(url, deviceConfig = {}) {
+    const fetch = (await import('node-fetch')).default;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(url, {
+        signal: controller.signal,
+        headers: { 'User-Agent': 'Phonebank-Monitor/2.0' }
+      });
+      const body = await response.text();
+
+      recordResponse(deviceConfig.recording, url, {
+        status: response.status,
+        statusText: response.statusText,
+        body,
+        time: Date.now() - startTime
+      });
+
+      if (!response.ok) {
+        const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        // Keep the error page itself, it usually says more than the status
+        httpError.body = body;
+        throw httpError;
+      }
+
+      return body;
+    } catch (error) {
+      const failure = error.name === 'AbortError'
+        ? new Error(`Request to ${url} timed out after ${this.timeout}ms`)
+        : error;
+
+      if (failure.body === undefined) {
+        recordResponse(deviceConfig.recording, url, { error: failure.message, time: Date.now() - startTime });
+      }
+      throw failure;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async check(url, deviceConfig = {}) {
+    const profile = deviceConfig.scrapeProfile || resolveProfile(this.config.profiles, deviceConfig.profile);
+    const endpointUrl = getEndpointUrl(url, profile);
+    const evidence = deviceConfig.evidence || null;
+
+    console.log(`🔍 Checking (http, ${profile.name}): ${url}`);
+
+    // Let both requests settle so a failed page still leaves the endpoint body as evidence
+    const [page, endpoint] = await Promise.all([
+      this.fetchText(url, deviceConfig).then(html => ({ html }), error => ({ error })),
+      endpointUrl
+        ? this.fetchText(endpointUrl, deviceConfig).then(body => ({ body }), error => ({ error }))
+        : {}
+    ]);
+
+    // No browser here, so the evidence is the raw HTML and endpoint body
+    if (evidence) {
+      evidence.pageUrl = url;
+      evidence.html = page.error ? (page.error.body ?? null) : page.html;
+      evidence.endpointUrl = endpointUrl;
+      evidence.endpointBody = endpoint.error ? (endpoint.error.body ?? null) : (endpoint.body ?? null);
+    }
+
+    if (page.error) {
+      throw page.error;
+    }
+    if (endpoint.error) {
+      console.log(`⚠️ Could not fetch from ${profile.endpoint.path}: ${endpoint.error.message}`);
+    }
+
+    const html = page.html;
+    const endpointBody = endpoint.body ?? null;
+
+    // Prefer the fresher counts from the endpoint when it answered
+    const freshData = parseEndpointBody(endpointBody, profile);
+    if (freshData) {
+      console.log(`📊 Got fresh data from ${profile.endpoint.path}: ${endpointBody.trim()}`);
+    }
+
+    return buildResult(extractFromHtml(html, profile), freshData, profile);
+  }
+}
+
+module.exports = HttpProbe;
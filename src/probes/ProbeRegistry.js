@@ -0,0 +1,54 @@
+// Named probe drivers used by PhonebankMonitor to check a device.
+//
+// A driver is any object with `async check(url, deviceConfig)` that resolves to
+// `{ authorized, unauthorized, phonebankIp, ...extras }` or throws when the
+// device cannot be checked. Extras are kept alongside the check as probe data.
+class ProbeRegistry {
+  constructor() {
+    this.drivers = new Map();
+  }
+
+  register(name, driver) {
+    if (!driver || typeof driver.check !== 'function') {
+      throw new Error(`Probe driver ${name} must implement check(url, deviceConfig)`);
+    }
+
+    this.drivers.set(name, driver);
+    return this;
+  }
+
+  unregister(name) {
+    return this.drivers.delete(name);
+  }
+
+  has(name) {
+    return this.drivers.has(name);
+  }
+
+  get(name) {
+    const driver = this.drivers.get(name);
+    if (!driver) {
+      throw new Error(`Unknown probe driver: ${name}`);
+    }
+    return driver;
+  }
+
+  getNames() {
+    return Array.from(this.drivers.keys());
+  }
+
+  async run(name, url, deviceConfig = {}) {
+    const driver = this.get(name);
+    const { authorized, unauthorized, phonebankIp, ...extras } = await driver.check(url, deviceConfig);
+
+    return {
+      probe: name,
+      authorized,
+      unauthorized,
+      phonebankIp,
+      extras
+    };
+  }
+}
+
+module.exports = ProbeRegistry;
@@ -0,0 +1,151 @@
+const {
+  resolveProfile,
+  getEndpointUrl,
+  parseEndpointBody,
+  buildResult
+} = require('./profiles');
+const { recordResponse } = require('./fixtures');
+
+// Scrapes the device UI in a headless Chromium page from the shared browser pool
+class PuppeteerProbe {
+  constructor(config, browserManager) {
+    this.config = config;
+    this.browserManager = browserManager;
+    this.timeout = config.monitoring?.timeout || 10000;
+  }
+
+  // Record what the page shows right now into the evidence collector
+  async captureEvidence(page, evidence) {
+    if (!evidence || !page) return;
+
+    try {
+      evidence.pageUrl = page.url();
+      evidence.html = await page.content();
+      if (evidence.screenshots) {
+        evidence.screenshot = await page.screenshot({ type: 'png', fullPage: true });
+      }
+    } catch (captureError) {
+      console.log(`⚠️ Could not capture evidence for ${evidence.pageUrl}: ${captureError.message}`);
+    }
+  }
+
+  // Navigate and, when recording fixtures, keep the raw server response
+  async gotoAndRecord(page, url, recording) {
+    const startTime = Date.now();
+
+    try {
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded' });
+      if (recording && response) {
+        recordResponse(recording, url, {
+          status: response.status(),
+          statusText: response.statusText(),
+          body: await response.text().catch(() => null),
+          time: Date.now() - startTime
+        });
+      }
+      return response;
+    } catch (error) {
+      recordResponse(recording, url, { error: error.message, time: Date.now() - startTime });
+      throw error;
+    }
+  }
+
+  async check(url, deviceConfig = {}) {
+    const profile = deviceConfig.scrapeProfile || resolveProfile(this.config.profiles, deviceConfig.profile);
+    const evidence = deviceConfig.evidence || null;
+    const { browser, id: browserId } = await this.browserManager.getBrowser();
+    let page = null;
+    
+    try {
+      page = await browser.newPage();
+      
+      // Set page timeout and viewport
+      await page.setDefaultTimeout(this.timeout);
+      await page.setViewport({ width: 1920, height: 1080 });
+      
+      // Block unnecessary resources for faster loading
+      await page.setRequestInterception(true);
+      page.on('request', (req) => {
+        const resourceType = req.resourceType();
+        if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
+          req.abort();
+        } else {
+          req.continue();
+        }
+      });
+
+      console.log(`🔍 Checking (${profile.name}): ${url}`);
+      await this.gotoAndRecord(page, url, deviceConfig.recording);
+
+      // Wait for the JavaScript to load and potentially update the values
+      await page.waitForTimeout(2000);
+
+      // Try to get fresh data from the profile endpoint (cek.php by default) first
+      let freshData = null;
+      const endpointUrl = getEndpointUrl(url, profile);
+      if (endpointUrl) {
+        try {
+          const response = await this.gotoAndRecord(page, endpointUrl, deviceConfig.recording);
+          if (evidence) {
+            evidence.endpointUrl = endpointUrl;
+            evidence.endpointBody = response ? await response.text() : null;
+          }
+          if (response && response.ok()) {
+            const bodyText = await page.$eval('body', el => el.textContent.trim());
+            
+            freshData = parseEndpointBody(bodyText, profile);
+            if (freshData) {
+              console.log(`📊 Got fresh data from ${profile.endpoint.path}: ${bodyText}`);
+            }
+          }
+        } catch (endpointError) {
+          console.log(`⚠️ Could not fetch from ${profile.endpoint.path}: ${endpointError.message}`);
+        }
+
+        // Go back to main page to get IP and other data
+        await page.goto(url, { waitUntil: 'domcontentloaded' });
+        await page.waitForTimeout(1000);
+      }
+
+      // Extract the profile fields with error handling
+      const pageValues = await page.evaluate((fields) => {
+        try {
+          const values = {};
+          Object.entries(fields).forEach(([field, settings]) => {
+            const element = document.querySelector(settings.selector);
+            if (!element) return;
+
+            if (!settings.attribute) {
+              values[field] = element.textContent.trim();
+            } else if (settings.attribute === 'value' && 'value' in element) {
+              values[field] = String(element.value).trim();
+            } else {
+              values[field] = element.getAttribute(settings.attribute);
+            }
+          });
+          return values;
+        } catch (error) {
+          throw new Error(`Failed to extract data: ${error.message}`);
+        }
+      }, profile.fields);
+
+      // Endpoint values win over scraped ones; counts are parsed with the profile regexes
+      const result = buildResult(pageValues, freshData, profile);
+      if (result.unmatched.length > 0) {
+        await this.captureEvidence(page, evidence);
+      }
+
+      return result;
+    } catch (error) {
+      await this.captureEvidence(page, evidence);
+      throw error;
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      await this.browserManager.releaseBrowser(browserId);
+    }
+  }
+}
+
+module.exports = PuppeteerProbe;
@@ -0,0 +1,191 @@
+const net = require('net');
+const { execFile } = require('child_process');
+
+// TCP port and ping checks for a phonebank host and the server behind it.
+// Replaces the interactive check_ssh_status.sh loop (nc on 22/3389 plus ping).
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+// Hosts come from config and from what device pages report (the phonebank IP),
+// so anything but an IP address or hostname is refused before it reaches ping
+function isValidHost(host) {
+  if (typeof host !== 'string') return false;
+  const bare = host.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(bare) !== 0 || HOSTNAME_PATTERN.test(bare);
+}
+
+class ReachabilityProbe {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.pingMethod = options.pingMethod || 'icmp';
+    this.timeout = config.monitoring?.reachability?.timeout || 3000;
+  }
+
+  tcpConnect(host, port, timeout = this.timeout) {
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      const socket = new net.Socket();
+
+      const finish = (open, error = null) => {
+        // A refused connection still proves the host answered
+        const hostUp = open || (!!error && error.code === 'ECONNREFUSED');
+
+        socket.destroy();
+        resolve({
+          port,
+          open,
+          hostUp,
+          latency: hostUp ? Date.now() - startTime : null,
+          error: error ? (error.code || error.message) : null
+        });
+      };
+
+      socket.setTimeout(timeout);
+      socket.once('connect', () => finish(true));
+      socket.once('timeout', () => finish(false, new Error('timeout')));
+      socket.once('error', (error) => finish(false, error));
+      socket.connect(port, host);
+    });
+  }
+
+  icmpPing(host, timeout = this.timeout) {
+    if (!isValidHost(host)) {
+      return Promise.resolve({ method: 'icmp', alive: false, latency: null, error: 'invalid host' });
+    }
+    host = host.replace(/^\[(.*)\]$/, '$1');
+
+    const seconds = String(Math.max(1, Math.ceil(timeout / 1000)));
+    const args = {
+      win32: ['-n', '1', '-w', String(timeout), host],
+      darwin: ['-c', '1', '-t', seconds, host]
+    }[process.platform] || ['-c', '1', '-W', seconds, host];
+
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      execFile('ping', args, { timeout: timeout + 1000 }, (error, stdout) => {
+        if (error && error.code === 'ENOENT') {
+          reject(error);
+          return;
+        }
+
+        const rtt = stdout && stdout.match(/time[=<]\s*([\d.]+)\s*ms/i);
+        resolve({
+          method: 'icmp',
+          alive: !error,
+          latency: !error ? (rtt ? parseFloat(rtt[1]) : Date.now() - startTime) : null
+        });
+      });
+    });
+  }
+
+  async tcpPing(host, ports) {
+    const results = await Promise.all(ports.map(port => this.tcpConnect(host, port)));
+    const answered = results.filter(result => result.hostUp);
+
+    return {
+      method: 'tcp',
+      alive: answered.length > 0,
+      latency: answered.length > 0 ? Math.min(...answered.map(result => result.latency)) : null
+    };
+  }
+
+  async ping(host, fallbackPorts, method = this.pingMethod) {
+    if (method === 'icmp') {
+      try {
+        return await this.icmpPing(host);
+      } catch (error) {
+        // No ping binary available, fall through to TCP
+        console.warn(`⚠️ ICMP ping unavailable (${error.message}), using TCP ping for ${host}`);
+      }
+    }
+
+    return await this.tcpPing(host, fallbackPorts.length > 0 ? fallbackPorts : [80]);
+  }
+
+  async checkHost(host, ports = {}, method = this.pingMethod) {
+    const entries = Object.entries(ports);
+
+    if (!isValidHost(host)) {
+      console.warn(`⚠️ Not checking invalid host ${JSON.stringify(host)}`);
+      const portStatus = {};
+      entries.forEach(([name, port]) => {
+        portStatus[name] = { port, open: false, latency: null, error: 'invalid host' };
+      });
+      // The rejected value itself stays out of the result, which ends up in alerts and the dashboard
+      return { host: null, status: 'down', ping: { method, alive: false, latency: null, error: 'invalid host' }, ports: portStatus };
+    }
+
+    const [ping, portResults] = await Promise.all([
+      this.ping(host, entries.map(([, port]) => port), method),
+      Promise.all(entries.map(([, port]) => this.tcpConnect(host, port)))
+    ]);
+
+    const portStatus = {};
+    entries.forEach(([name], index) => {
+      const { port, open, latency, error } = portResults[index];
+      portStatus[name] = { port, open, latency, error };
+    });
+
+    const openCount = portResults.filter(result => result.open).length;
+    let status = 'ok';
+    if (!ping.alive && openCount === 0) {
+      status = 'down';
+    } else if (!ping.alive || openCount < entries.length) {
+      status = 'degraded';
+    }
+
+    return { host, status, ping, ports: portStatus };
+  }
+
+  // Reachability of the device host and, when known, its phonebank server
+  async checkDevice(url, deviceConfig = {}, phonebankIp = null) {
+    const settings = deviceConfig.reachability || {};
+    const method = settings.ping || this.pingMethod;
+    const deviceHost = new URL(url).hostname;
+    const serverHost = deviceConfig.server || (phonebankIp && phonebankIp !== 'N/A' ? phonebankIp : null);
+
+    const checks = [this.checkHost(deviceHost, settings.device?.ports || {}, method)];
+    if (serverHost && settings.checkServer !== false) {
+      checks.push(this.checkHost(serverHost, settings.server?.ports || {}, method));
+    }
+
+    const [device, server = null] = await Promise.all(checks);
+    const targets = [device, server].filter(Boolean);
+
+    let status = 'degraded';
+    if (targets.every(target => target.status === 'ok')) {
+      status = 'ok';
+    } else if (targets.every(target => target.status === 'down')) {
+      status = 'down';
+    }
+
+    return {
+      status,
+      device,
+      server,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Probe driver entry point: the device counts as online when its host answers
+  async check(url, deviceConfig = {}) {
+    const settings = deviceConfig.reachability || {};
+    const devicePort = parseInt(new URL(url).port) || 80;
+    const ports = settings.device?.ports || { web: devicePort };
+
+    const host = new URL(url).hostname;
+    const result = await this.checkHost(host, ports, this.pingMethod);
+    if (result.status === 'down') {
+      throw new Error(`Host ${host} is unreachable (${this.pingMethod} ping and ports failed)`);
+    }
+
+    return {
+      authorized: null,
+      unauthorized: null,
+      phonebankIp: null,
+      reachability: { status: result.status, device: result, server: null, timestamp: new Date().toISOString() }
+    };
+  }
+}
+
+module.exports = ReachabilityProbe;
@@ -0,0 +1,48 @@
+const HttpProbe = require('./HttpProbe');
+const { FixtureStore, responseKey, loadFixture } = require('./fixtures');
+
+// Runs the HTTP probe's parsing against recorded responses instead of the network.
+// deviceConfig.fixture picks a recording, otherwise the newest one for the device is used.
+class ReplayProbe extends HttpProbe {
+  constructor(config, fixtureStore = new FixtureStore(config)) {
+    super(config);
+    this.fixtureStore = fixtureStore;
+  }
+
+  async fetchText(url, deviceConfig = {}) {
+    const fixture = deviceConfig.replayFixture;
+    const entry = fixture && fixture.responses[responseKey(url)];
+    if (!entry) {
+      throw new Error(`No recorded response for ${responseKey(url)}`);
+    }
+
+    if (this.fixtureStore.replayTimings && entry.time) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(entry.time, this.timeout)));
+    }
+
+    if (entry.error) {
+      throw new Error(entry.error);
+    }
+
+    if (entry.status >= 400) {
+      const httpError = new Error(`HTTP ${entry.status}: ${entry.statusText || ''}`.trim());
+      httpError.body = entry.body;
+      throw httpError;
+    }
+
+    return entry.body;
+  }
+
+  async check(url, deviceConfig = {}) {
+    const fixturePath = this.fixtureStore.resolveFixturePath(url, deviceConfig.fixture);
+    console.log(`📼 Replaying ${url} from ${fixturePath}`);
+
+    return await super.check(url, {
+      ...deviceConfig,
+      recording: null,
+      replayFixture: loadFixture(fixturePath)
+    });
+  }
+}
+
+module.exports = ReplayProbe;
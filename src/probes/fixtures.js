@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+// Recorded device responses (root HTML, endpoint body, status and timing) for
+// replaying scraping problems from the field without the device network
+
+// Responses are keyed by path so a fixture replays against any host
+function responseKey(requestUrl) {
+  const { pathname, search } = new URL(requestUrl);
+  return pathname + search;
+}
+
+// Add one response to a recording started by FixtureStore.createRecording
+function recordResponse(recording, requestUrl, entry) {
+  if (!recording) return;
+  recording.responses[responseKey(requestUrl)] = entry;
+}
+
+function loadFixture(filePath) {
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!fixture.responses || typeof fixture.responses !== 'object') {
+    throw new Error(`Invalid fixture ${filePath}: missing responses`);
+  }
+  return fixture;
+}
+
+class FixtureStore {
+  constructor(config) {
+    const settings = config.fixtures || {};
+    this.record = settings.record === true;
+    this.replay = settings.replay === true;
+    this.directory = path.resolve(settings.directory || './fixtures');
+    this.maxPerDevice = settings.maxPerDevice || 20;
+    this.replayTimings = settings.replayTimings === true;
+  }
+
+  // One folder per device, e.g. fixtures/192.168.98.13_5555
+  getDeviceDirectory(url) {
+    const { hostname, port } = new URL(url);
+    return path.join(this.directory, `${hostname}_${port || 80}`.replace(/[^\w.-]/g, '_'));
+  }
+
+  createRecording(url, probe) {
+    if (!this.record) return null;
+    return {
+      url,
+      probe,
+      recordedAt: new Date().toISOString(),
+      responses: {}
+    };
+  }
+
+  async save(recording, result = null, error = null) {
+    if (!recording || Object.keys(recording.responses).length === 0) return null;
+
+    try {
+      const deviceDir = this.getDeviceDirectory(recording.url);
+      await fs.promises.mkdir(deviceDir, { recursive: true });
+
+      const fixture = {
+        ...recording,
+        // What the monitor extracted at record time, to compare against on replay
+        result: result
+          ? { authorized: result.authorized, unauthorized: result.unauthorized, phonebankIp: result.phonebankIp }
+          : null,
+        error: error ? error.message : null
+      };
+
+      const filePath = path.join(deviceDir, `${recording.recordedAt.replace(/[:.]/g, '-')}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify(fixture, null, 2));
+      await this.prune(deviceDir);
+      return filePath;
+    } catch (saveError) {
+      console.error(`Failed to save fixture for ${recording.url}:`, saveError.message);
+      return null;
+    }
+  }
+
+  async prune(deviceDir) {
+    const files = (await fs.promises.readdir(deviceDir)).filter(file => file.endsWith('.json')).sort();
+    const excess = files.slice(0, Math.max(0, files.length - this.maxPerDevice));
+
+    for (const file of excess) {
+      await fs.promises.unlink(path.join(deviceDir, file)).catch(() => {});
+    }
+  }
+
+  // Fixture file for a device: an explicit path (relative to the fixtures
+  // directory) or the newest recording in the device's folder
+  resolveFixturePath(url, fixture = null) {
+    if (fixture) {
+      return path.isAbsolute(fixture) ? fixture : path.join(this.directory, fixture);
+    }
+
+    const deviceDir = this.getDeviceDirectory(url);
+    const files = fs.existsSync(deviceDir)
+      ? fs.readdirSync(deviceDir).filter(file => file.endsWith('.json')).sort()
+      : [];
+
+    if (files.length === 0) {
+      throw new Error(`No fixtures recorded for ${url} in ${deviceDir}`);
+    }
+    return path.join(deviceDir, files[files.length - 1]);
+  }
+}
+
+module.exports = {
+  FixtureStore,
+  recordResponse,
+  responseKey,
+  loadFixture
+};
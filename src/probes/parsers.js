@@ -0,0 +1,118 @@
+// Helpers for extracting phonebank values from raw device HTML and endpoint bodies
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr'];
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => HTML_ENTITIES[entity]);
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).trim();
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+
+  return attributes;
+}
+
+// Supports the simple selectors scrape profiles use: tag, #id, .class, [attr] / [attr=value] and combinations
+function parseSelector(selector) {
+  const match = selector.trim().match(/^([a-z][a-z0-9]*)?(?:#([\w-]+))?(?:\.([\w-]+))?(?:\[([\w-]+)(?:=["']?([^"'\]]*)["']?)?\])?$/i);
+  if (!match || !match[0]) {
+    throw new Error(`Unsupported selector: ${selector}`);
+  }
+
+  return {
+    tag: match[1] ? match[1].toLowerCase() : null,
+    id: match[2] || null,
+    className: match[3] || null,
+    attribute: match[4] ? match[4].toLowerCase() : null,
+    attributeValue: match[5] ?? null
+  };
+}
+
+function matchesSelector(tag, attributes, selector) {
+  if (selector.tag && selector.tag !== tag) return false;
+  if (selector.id && attributes.id !== selector.id) return false;
+  if (selector.className && !(attributes.class || '').split(/\s+/).includes(selector.className)) return false;
+  if (selector.attribute) {
+    if (!(selector.attribute in attributes)) return false;
+    if (selector.attributeValue !== null && attributes[selector.attribute] !== selector.attributeValue) return false;
+  }
+  return true;
+}
+
+// First element matching the selector as { tag, attributes, text }, or null if missing
+function querySelector(html, selector) {
+  if (!html) return null;
+
+  const wanted = parseSelector(selector);
+  const openTag = /<([a-z][a-z0-9]*)\b([^>]*)>/gi;
+  let match;
+
+  while ((match = openTag.exec(html)) !== null) {
+    const tag = match[1].toLowerCase();
+    const attributes = parseAttributes(match[2]);
+    if (!matchesSelector(tag, attributes, wanted)) continue;
+
+    if (VOID_ELEMENTS.includes(tag) || match[0].endsWith('/>')) {
+      return { tag, attributes, text: '' };
+    }
+
+    // Walk forward to the matching close tag, allowing nested elements of the same name
+    const nested = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+    nested.lastIndex = openTag.lastIndex;
+    let depth = 1;
+    let inner;
+
+    while (depth > 0 && (inner = nested.exec(html)) !== null) {
+      depth += inner[1] ? -1 : 1;
+    }
+
+    const end = inner ? inner.index : html.length;
+    return { tag, attributes, text: stripTags(html.slice(openTag.lastIndex, end)) };
+  }
+
+  return null;
+}
+
+// Pull the wanted piece out of extracted text; the first capture group wins over the whole match
+function applyRegex(text, pattern) {
+  if (text === null || text === undefined) return null;
+  if (!pattern) return String(text).trim();
+
+  const match = String(text).match(new RegExp(pattern));
+  if (!match) return null;
+  return (match[1] ?? match[0]).trim();
+}
+
+// Parse the authorized/unauthorized values to extract numbers; null when the text holds none
+function parseCount(text, pattern = '\\d+') {
+  if (!text || text === 'N/A') return null;
+  const value = applyRegex(text, pattern);
+  const number = value !== null ? parseInt(value) : NaN;
+  return isNaN(number) ? null : number;
+}
+
+module.exports = {
+  stripTags,
+  querySelector,
+  applyRegex,
+  parseCount
+};
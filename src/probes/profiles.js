@@ -0,0 +1,155 @@
+const { querySelector, stripTags, applyRegex, parseCount } = require('./parsers');
+
+// Scrape profile describing the stock phonebank web UI. Profiles from the
+// `profiles` config section are merged over it, so they only list differences.
+const DEFAULT_PROFILE = {
+  endpoint: {
+    path: '/cek.php',
+    format: 'comma', // comma | json | regex | none
+    delimiter: ',',
+    fields: ['authorized', 'unauthorized']
+  },
+  fields: {
+    authorized: { selector: '#auth', regex: '\\d+' },
+    unauthorized: { selector: '#unauth', regex: '\\d+' },
+    phonebankIp: { selector: '#ip', attribute: 'value' }
+  }
+};
+
+const COUNT_FIELDS = ['authorized', 'unauthorized'];
+
+function resolveProfile(profiles = {}, name = 'default') {
+  const custom = profiles ? profiles[name] : null;
+  if (!custom && name !== 'default') {
+    throw new Error(`Unknown scrape profile: ${name}`);
+  }
+
+  const override = custom || {};
+  const fields = { ...DEFAULT_PROFILE.fields };
+  Object.entries(override.fields || {}).forEach(([field, settings]) => {
+    // false drops a field the firmware doesn't show at all
+    if (settings === false || settings === null) {
+      delete fields[field];
+      return;
+    }
+    fields[field] = { ...(DEFAULT_PROFILE.fields[field] || {}), ...settings };
+  });
+
+  return {
+    name,
+    endpoint: override.endpoint === null
+      ? { ...DEFAULT_PROFILE.endpoint, format: 'none' }
+      : { ...DEFAULT_PROFILE.endpoint, ...(override.endpoint || {}) },
+    fields
+  };
+}
+
+function getEndpointUrl(url, profile) {
+  const { path, format } = profile.endpoint;
+  if (!path || format === 'none') return null;
+  return new URL(path, url).toString();
+}
+
+// Raw field values from the endpoint body, or null when the body doesn't fit the format
+function parseEndpointBody(body, profile) {
+  const endpoint = profile.endpoint;
+  const text = body ? stripTags(body) : '';
+  if (!text) return null;
+
+  switch (endpoint.format) {
+    case 'comma': {
+      const delimiter = endpoint.delimiter || ',';
+      if (!text.includes(delimiter)) return null;
+
+      const parts = text.split(delimiter);
+      const values = {};
+      endpoint.fields.forEach((field, index) => {
+        if (parts[index] !== undefined) values[field] = parts[index].trim();
+      });
+      return values;
+    }
+
+    case 'json': {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+
+      // fields maps our field name to a (dotted) key in the response
+      const values = {};
+      Object.entries(endpoint.fields || {}).forEach(([field, key]) => {
+        const value = String(key).split('.').reduce((obj, prop) => (obj == null ? undefined : obj[prop]), data);
+        if (value !== undefined && value !== null) values[field] = String(value);
+      });
+      return Object.keys(values).length > 0 ? values : null;
+    }
+
+    case 'regex': {
+      const match = text.match(new RegExp(endpoint.pattern));
+      if (!match || !match.groups) return null;
+
+      const values = {};
+      Object.entries(match.groups).forEach(([field, value]) => {
+        if (value !== undefined) values[field] = value.trim();
+      });
+      return values;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Raw field values from the device page HTML; missing elements are left out
+function extractFromHtml(html, profile) {
+  const values = {};
+
+  Object.entries(profile.fields).forEach(([field, settings]) => {
+    const element = querySelector(html, settings.selector);
+    if (!element) return;
+
+    values[field] = settings.attribute
+      ? (element.attributes[settings.attribute] ?? null)
+      : element.text;
+  });
+
+  return values;
+}
+
+// Combine page and endpoint values into the probe result shape
+function buildResult(pageValues, endpointValues, profile) {
+  const raw = { ...pageValues, ...(endpointValues || {}) };
+  const result = { profile: profile.name, raw, unmatched: [] };
+
+  Object.entries(profile.fields).forEach(([field, settings]) => {
+    const text = raw[field];
+
+    // Unparseable counts stay null so they can't be mistaken for zero lines
+    if (COUNT_FIELDS.includes(field)) {
+      result[field] = parseCount(text, settings.regex);
+      if (result[field] === null) result.unmatched.push(field);
+      return;
+    }
+
+    const value = applyRegex(text, settings.regex);
+    if (value === null || value === '') {
+      result.unmatched.push(field);
+      result[field] = 'N/A';
+    } else {
+      result[field] = value;
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  resolveProfile,
+  getEndpointUrl,
+  parseEndpointBody,
+  extractFromHtml,
+  buildResult
+};
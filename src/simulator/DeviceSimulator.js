@@ -0,0 +1,345 @@
+const http = require('http');
+
+// Behaviors a virtual device can be scripted with. Each may carry `from` /
+// `until` (seconds since the simulator started) to only apply in that window.
+const BEHAVIOR_TYPES = ['offline', 'slow', 'rising_unauthorized', 'ip_change', 'malformed'];
+
+function renderDevicePage({ authorized, unauthorized, ip }) {
+  // Mirrors the real device UI: counters refreshed from cek.php every few seconds
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Phonebank</title>
+</head>
+<body>
+  <h2>Phonebank Status</h2>
+  <form>
+    <label>Phonebank IP</label>
+    <input type="text" id="ip" name="ip" value="${ip}" readonly>
+  </form>
+  <table>
+    <tr><td>Authorized</td><td><span id="auth">${authorized}</span></td></tr>
+    <tr><td>Unauthorized</td><td><span id="unauth">${unauthorized}</span></td></tr>
+  </table>
+  <script>
+    setInterval(function () {
+      fetch('/cek.php').then(function (r) { return r.text(); }).then(function (text) {
+        var parts = text.split(',');
+        document.getElementById('auth').textContent = parts[0];
+        document.getElementById('unauth').textContent = parts[1];
+      });
+    }, 5000);
+  </script>
+</body>
+</html>`;
+}
+
+// Broken pages seen in the field: a login redirect, an empty DOM, or a page without counters
+const MALFORMED_PAGES = {
+  login: '<!DOCTYPE html><html><body><form action="/login.php"><input name="user"><input type="password" name="pass"></form></body></html>',
+  empty: '<!DOCTYPE html><html><head></head><body></body></html>',
+  missing: '<!DOCTYPE html><html><body><h2>Phonebank Status</h2><p>Service starting...</p></body></html>'
+};
+
+class VirtualDevice {
+  constructor(index, options = {}) {
+    this.index = index;
+    this.port = options.port;
+    this.location = options.location || 'SIMULATOR';
+    this.authorized = options.authorized ?? 10;
+    this.unauthorized = options.unauthorized ?? 0;
+    this.ip = options.ip || `10.99.0.${index}`;
+    this.behaviors = [];
+    this.requests = 0;
+    this.server = null;
+  }
+
+  // Behaviors active at `elapsed` seconds since start
+  activeBehaviors(elapsed) {
+    return this.behaviors.filter(behavior =>
+      (behavior.from === undefined || elapsed >= behavior.from) &&
+      (behavior.until === undefined || elapsed < behavior.until)
+    );
+  }
+
+  // Counters and IP as the device would report them at `elapsed` seconds
+  getState(elapsed) {
+    const state = {
+      authorized: this.authorized,
+      unauthorized: this.unauthorized,
+      ip: this.ip,
+      offline: null,
+      delay: 0,
+      malformed: null
+    };
+
+    this.activeBehaviors(elapsed).forEach(behavior => {
+      const since = elapsed - (behavior.from || 0);
+
+      switch (behavior.type) {
+        case 'offline':
+          state.offline = behavior.mode || 'reset';
+          break;
+        case 'slow':
+          state.delay = Math.max(state.delay, behavior.delay || 15000);
+          break;
+        case 'rising_unauthorized':
+          state.unauthorized += (behavior.step || 1) * Math.floor(since / (behavior.every || 60));
+          break;
+        case 'ip_change': {
+          const ips = behavior.ips && behavior.ips.length > 0 ? behavior.ips : [this.ip, `10.98.0.${this.index}`];
+          state.ip = ips[Math.floor(since / (behavior.every || 300)) % ips.length];
+          break;
+        }
+        case 'malformed':
+          state.malformed = behavior.variant || 'missing';
+          break;
+      }
+    });
+
+    return state;
+  }
+}
+
+// Serves N virtual phonebank devices, each on its own port like the real
+// devices on :5555, so the monitor can run end-to-end without the device network
+class DeviceSimulator {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.basePort = options.basePort || 5600;
+    this.controlPort = options.controlPort === undefined ? this.basePort - 1 : options.controlPort;
+    this.startedAt = null;
+    this.controlServer = null;
+    this.devices = [];
+
+    const count = options.devices || 6;
+    const locations = options.locations && options.locations.length > 0 ? options.locations : ['SIMULATOR'];
+    const defaults = options.defaults || {};
+
+    for (let i = 1; i <= count; i++) {
+      this.devices.push(new VirtualDevice(i, {
+        port: this.basePort + i - 1,
+        location: locations[(i - 1) % locations.length],
+        authorized: defaults.authorized,
+        unauthorized: defaults.unauthorized,
+        ip: defaults.ip ? defaults.ip.replace('{n}', i) : undefined
+      }));
+    }
+
+    (options.behaviors || []).forEach(behavior => this.addBehavior(behavior.device, behavior));
+  }
+
+  get elapsed() {
+    return this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0;
+  }
+
+  getDevice(index) {
+    const device = this.devices[index - 1];
+    if (!device) {
+      throw new Error(`Unknown simulated device: ${index}`);
+    }
+    return device;
+  }
+
+  addBehavior(index, behavior) {
+    if (!BEHAVIOR_TYPES.includes(behavior.type)) {
+      throw new Error(`Unknown simulator behavior: ${behavior.type}`);
+    }
+
+    const { device, ...settings } = behavior;
+    this.getDevice(index).behaviors.push(settings);
+  }
+
+  clearBehaviors(index) {
+    this.getDevice(index).behaviors = [];
+  }
+
+  getUrl(device) {
+    return `http://${this.host}:${device.port}/`;
+  }
+
+  async start() {
+    this.startedAt = Date.now();
+
+    await Promise.all(this.devices.map(device => this.listen(device)));
+    if (this.controlPort) {
+      this.controlServer = http.createServer((req, res) => this.handleControl(req, res));
+      await new Promise((resolve, reject) => {
+        this.controlServer.once('error', reject);
+        this.controlServer.listen(this.controlPort, this.host, resolve);
+      });
+    }
+
+    console.log(`🧪 Simulating ${this.devices.length} devices on ${this.host}:${this.basePort}-${this.basePort + this.devices.length - 1}`);
+    if (this.controlServer) {
+      console.log(`🎛️ Simulator control API on http://${this.host}:${this.controlPort}/devices`);
+    }
+  }
+
+  listen(device) {
+    device.server = http.createServer((req, res) => this.handleDevice(device, req, res));
+
+    return new Promise((resolve, reject) => {
+      device.server.once('error', reject);
+      device.server.listen(device.port, this.host, resolve);
+    });
+  }
+
+  async handleDevice(device, req, res) {
+    device.requests++;
+    const state = device.getState(this.elapsed);
+
+    if (state.offline === 'reset') {
+      req.socket.destroy();
+      return;
+    }
+    if (state.offline === 'hang') {
+      // Accept the connection but never answer, like a wedged web server
+      return;
+    }
+
+    if (state.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, state.delay));
+    }
+
+    if (state.offline === 'error') {
+      res.writeHead(500, { 'Content-Type': 'text/html' });
+      res.end('<html><body><h1>500 Internal Server Error</h1></body></html>');
+      return;
+    }
+
+    const path = req.url.split('?')[0];
+    if (path === '/cek.php') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(state.malformed ? 'N/A' : `${state.authorized},${state.unauthorized}`);
+    } else if (path === '/' || path === '/index.php') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(state.malformed ? (MALFORMED_PAGES[state.malformed] || MALFORMED_PAGES.missing) : renderDevicePage(state));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<html><body><h1>404 Not Found</h1></body></html>');
+    }
+  }
+
+  // Small JSON API to script devices while the simulator runs:
+  //   GET    /devices                   current state of every device
+  //   POST   /devices/:n/behaviors      add a behavior ({ "type": "offline", ... })
+  //   DELETE /devices/:n/behaviors      clear a device's behaviors
+  handleControl(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    const match = req.url.match(/^\/devices(?:\/(\d+)\/behaviors)?\/?$/);
+    if (!match) {
+      send(404, { success: false, error: 'Not found' });
+      return;
+    }
+
+    if (req.method === 'GET' && !match[1]) {
+      send(200, { success: true, data: this.getStatus() });
+      return;
+    }
+
+    const index = parseInt(match[1]);
+    if (req.method === 'DELETE' && match[1]) {
+      try {
+        this.clearBehaviors(index);
+        send(200, { success: true });
+      } catch (error) {
+        send(404, { success: false, error: error.message });
+      }
+      return;
+    }
+
+    if (req.method === 'POST' && match[1]) {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const behavior = JSON.parse(body || '{}');
+          // Windows given over the API are relative to now
+          const elapsed = this.elapsed;
+          if (behavior.from !== undefined) behavior.from += elapsed;
+          if (behavior.until !== undefined) behavior.until += elapsed;
+          if (behavior.from === undefined) behavior.from = elapsed;
+
+          this.addBehavior(index, behavior);
+          send(200, { success: true, data: this.getStatus()[index - 1] });
+        } catch (error) {
+          send(400, { success: false, error: error.message });
+        }
+      });
+      return;
+    }
+
+    send(405, { success: false, error: 'Method not allowed' });
+  }
+
+  getStatus() {
+    const elapsed = this.elapsed;
+    return this.devices.map(device => ({
+      device: device.index,
+      url: this.getUrl(device),
+      location: device.location,
+      requests: device.requests,
+      behaviors: device.behaviors,
+      state: device.getState(elapsed)
+    }));
+  }
+
+  // Monitor config with the locations pointed at the simulated devices
+  buildConfig(baseConfig = {}, overrides = {}) {
+    const locations = {};
+    this.devices.forEach(device => {
+      if (!locations[device.location]) {
+        locations[device.location] = { priority: 'high', enabled: true, urls: [] };
+      }
+      locations[device.location].urls.push(this.getUrl(device));
+    });
+
+    return {
+      ...baseConfig,
+      environment: 'development',
+      monitoring: {
+        ...(baseConfig.monitoring || {}),
+        intervalMinutes: 1,
+        enableCache: false
+      },
+      locations,
+      database: {
+        ...(baseConfig.database || {}),
+        path: overrides.databasePath || './simulator_monitor.db'
+      },
+      evidence: {
+        ...(baseConfig.evidence || {}),
+        directory: overrides.evidenceDirectory || './evidence-simulator'
+      },
+      dashboard: {
+        ...(baseConfig.dashboard || {}),
+        port: overrides.dashboardPort || (baseConfig.dashboard && baseConfig.dashboard.port) || 3000
+      }
+    };
+  }
+
+  async stop() {
+    const servers = this.devices.map(device => device.server).concat(this.controlServer).filter(Boolean);
+
+    await Promise.all(servers.map(server => new Promise(resolve => {
+      server.close(() => resolve());
+      // Drop idle keep-alive and hung connections so close() can finish
+      if (server.closeAllConnections) server.closeAllConnections();
+    })));
+
+    this.devices.forEach(device => { device.server = null; });
+    this.controlServer = null;
+  }
+}
+
+module.exports = {
+  DeviceSimulator,
+  VirtualDevice,
+  BEHAVIOR_TYPES
+};
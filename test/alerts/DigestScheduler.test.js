@@ -0,0 +1,165 @@
+const { DigestScheduler, compileDigest } = require('../../src/alerts/DigestScheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+// Stand-in for the alert and alert_digests queries of DatabaseManager
+function fakeDb(alerts = [], lastDigest = null) {
+  return {
+    recorded: [],
+    getLastDigest: async () => lastDigest,
+    getAlertsForDigest: async () => alerts,
+    recordDigest: async function (name, periodStart, periodEnd, counts) {
+      this.recorded.push({ name, periodStart, periodEnd, ...counts });
+    }
+  };
+}
+
+function alertRow(overrides = {}) {
+  return {
+    id: 1,
+    severity: 'high',
+    title: 'DEVICE OFFLINE Alert',
+    message: 'Device is offline',
+    status: 'active',
+    url: 'http://192.168.98.13:5555/',
+    location: 'STIN',
+    scope_key: null,
+    created_at: '2026-10-18 03:00:00',
+    resolved_at: null,
+    ...overrides
+  };
+}
+
+describe('compileDigest', () => {
+  test('reads the send time as an offset into the period', () => {
+    expect(compileDigest({ name: 'daily_ops', at: '08:30', timezone: 'Asia/Jakarta' })).toMatchObject({
+      schedule: 'daily',
+      period: 24 * HOUR,
+      offset: 8.5 * HOUR,
+      timezone: 'Asia/Jakarta',
+      recipients: null,
+      sendEmpty: true
+    });
+    expect(compileDigest({ name: 'stin_hourly', schedule: 'hourly', at: '00:05' }).offset).toBe(5 * 60 * 1000);
+  });
+
+  test('rejects invalid digests', () => {
+    expect(() => compileDigest({ name: 'Daily Ops' })).toThrow('Digest name must be lowercase letters, digits and underscores');
+    expect(() => compileDigest({ name: 'ops', schedule: 'weekly' })).toThrow('Digest ops: schedule must be one of hourly, daily');
+    expect(() => compileDigest({ name: 'ops', at: '25:00' })).toThrow('Digest ops: at must be a time like "08:00"');
+    expect(() => compileDigest({ name: 'ops', timezone: 'Mars/Olympus' })).toThrow('Digest ops: unknown timezone Mars/Olympus');
+    expect(() => compileDigest({ name: 'ops', recipients: 'ops@example.com' })).toThrow('Digest ops: recipients must be an array');
+  });
+});
+
+describe('DigestScheduler', () => {
+  let notificationManager;
+  let scheduler;
+
+  function create(db, digests, recipients = ['ops@example.com']) {
+    scheduler = new DigestScheduler({
+      environment: 'test',
+      alerts: { digests, notifications: { email: { recipients } } }
+    }, db, notificationManager);
+    return scheduler;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    notificationManager = { queueNotification: jest.fn().mockResolvedValue() };
+  });
+
+  afterEach(() => {
+    scheduler.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('finds the last send time in the digest timezone', () => {
+    create(fakeDb(), [{ name: 'daily_ops', at: '08:00', timezone: 'Asia/Jakarta' }]);
+    const digest = scheduler.getDigest('daily_ops');
+
+    // 08:00 in Jakarta is 01:00Z
+    expect(scheduler.getLastBoundary(digest, Date.parse('2026-10-19T02:00:00Z'))).toBe(Date.parse('2026-10-19T01:00:00Z'));
+    expect(scheduler.getLastBoundary(digest, Date.parse('2026-10-19T00:59:00Z'))).toBe(Date.parse('2026-10-18T01:00:00Z'));
+  });
+
+  test('sends once per period, covering everything since the last digest', async () => {
+    const db = fakeDb([
+      alertRow({ id: 1, created_at: '2026-10-18 03:00:00' }),
+      alertRow({ id: 2, status: 'resolved', created_at: '2026-10-17 20:00:00', resolved_at: '2026-10-18 05:00:00' }),
+      alertRow({ id: 3, created_at: '2026-10-16 10:00:00' })
+    ], { period_end: '2026-10-18 01:00:00' });
+    create(db, [{ name: 'daily_ops', at: '08:00', timezone: 'Asia/Jakarta' }]);
+
+    await scheduler.process(Date.parse('2026-10-19T01:30:00Z'));
+    await scheduler.process(Date.parse('2026-10-19T02:30:00Z'));
+
+    expect(notificationManager.queueNotification).toHaveBeenCalledTimes(1);
+    const [type, email] = notificationManager.queueNotification.mock.calls[0];
+    expect(type).toBe('email');
+    expect(email.recipients).toEqual(['ops@example.com']);
+    expect(email.subject).toBe('📋 Daily alert digest: 1 new, 2 open, 1 resolved');
+    expect(email.message).toContain('Period: 2026-10-18 08:00 to 2026-10-19 08:00 (Asia/Jakarta)');
+    expect(email.message).toContain('[HIGH] #1 DEVICE OFFLINE Alert - STIN http://192.168.98.13:5555/: Device is offline (2026-10-18 10:00)');
+    expect(db.recorded).toEqual([{
+      name: 'daily_ops',
+      periodStart: '2026-10-18 01:00:00',
+      periodEnd: '2026-10-19 01:00:00',
+      new: 1,
+      open: 2,
+      resolved: 1
+    }]);
+  });
+
+  test('starts counting at the last boundary when it was never sent', async () => {
+    const db = fakeDb([alertRow()]);
+    create(db, [{ name: 'stin_hourly', schedule: 'hourly', at: '00:05' }]);
+
+    await scheduler.process(Date.parse('2026-10-19T08:10:00Z'));
+    expect(notificationManager.queueNotification).not.toHaveBeenCalled();
+
+    await scheduler.process(Date.parse('2026-10-19T09:05:00Z'));
+    expect(db.recorded.map(row => [row.periodStart, row.periodEnd])).toEqual([['2026-10-19 08:05:00', '2026-10-19 09:05:00']]);
+  });
+
+  test('filters by location, including location-scope alerts', async () => {
+    const db = fakeDb([
+      alertRow({ id: 1, location: 'DEIMOS' }),
+      alertRow({ id: 2, url: null, location: null, scope_key: 'location:STIN' })
+    ]);
+    create(db, [{ name: 'stin', locations: ['STIN'] }]);
+
+    const sections = await scheduler.collect(scheduler.getDigest('stin'), Date.parse('2026-10-18T00:00:00Z'), Date.parse('2026-10-19T00:00:00Z'));
+
+    expect(sections.new.map(row => [row.id, row.location])).toEqual([[2, 'STIN']]);
+  });
+
+  test('skips empty periods with sendEmpty false but still records them', async () => {
+    const db = fakeDb([]);
+    create(db, [{ name: 'quiet', schedule: 'hourly', sendEmpty: false }]);
+
+    const counts = await scheduler.send(scheduler.getDigest('quiet'), Date.parse('2026-10-19T08:00:00Z'), Date.parse('2026-10-19T09:00:00Z'));
+
+    expect(counts).toEqual({ new: 0, open: 0, resolved: 0 });
+    expect(notificationManager.queueNotification).not.toHaveBeenCalled();
+    expect(db.recorded).toHaveLength(1);
+  });
+
+  test('sends on demand and rejects unknown digests', async () => {
+    create(fakeDb([]), [{ name: 'quiet', sendEmpty: false }]);
+
+    await scheduler.sendNow('quiet', Date.parse('2026-10-19T09:00:00Z'));
+    expect(notificationManager.queueNotification).toHaveBeenCalledTimes(1);
+    await expect(scheduler.sendNow('missing')).rejects.toThrow('Unknown digest missing');
+  });
+
+  test('warns instead of sending without recipients', async () => {
+    create(fakeDb([alertRow()]), [{ name: 'daily_ops' }], []);
+
+    await scheduler.sendNow('daily_ops', Date.parse('2026-10-19T09:00:00Z'));
+
+    expect(notificationManager.queueNotification).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith('⚠️ No recipients for digest daily_ops');
+  });
+});
@@ -0,0 +1,161 @@
+const { EscalationManager, compilePolicy, parseDbTime } = require('../../src/alerts/EscalationManager');
+
+const MINUTE = 60 * 1000;
+const RAISED = Date.parse('2026-10-19T08:00:00.000Z');
+
+const POLICY = {
+  name: 'stin',
+  locations: ['STIN'],
+  severities: ['high', 'critical'],
+  steps: [
+    { after: '0m', notify: [{ type: 'slack', channel: '#stin-team' }] },
+    { after: '15m', notify: [{ type: 'email', recipients: 'supervisor@example.com' }] },
+    { after: '30m', notify: ['webhook'] }
+  ]
+};
+
+// Stand-in for DatabaseManager keeping the escalation columns of alert rows
+function fakeDb(rows = []) {
+  return {
+    rows,
+    getActiveAlerts: async () => rows,
+    updateAlertEscalation: async (alertId, policy, step) => {
+      const row = rows.find(candidate => candidate.id === alertId);
+      if (row) Object.assign(row, { escalation_policy: policy, escalation_step: step });
+    }
+  };
+}
+
+function alertRow(overrides = {}) {
+  return {
+    id: 1,
+    alert_type: 'device_offline',
+    device_id: 7,
+    severity: 'high',
+    title: 'DEVICE OFFLINE Alert',
+    message: 'Device is offline',
+    created_at: '2026-10-19 08:00:00',
+    url: 'http://192.168.98.13:5555/',
+    location: 'STIN',
+    acknowledged_at: null,
+    escalation_policy: 'stin',
+    escalation_step: 0,
+    ...overrides
+  };
+}
+
+describe('compilePolicy', () => {
+  test('reads step delays and targets', () => {
+    const policy = compilePolicy(POLICY);
+
+    expect(policy.steps.map(step => step.after)).toEqual([0, 15 * MINUTE, 30 * MINUTE]);
+    expect(policy.steps[1].notify).toEqual([{ type: 'email', recipients: ['supervisor@example.com'] }]);
+    expect(policy.steps[2].notify).toEqual([{ type: 'webhook' }]);
+    expect(policy.rules).toBeNull();
+  });
+
+  test('rejects invalid policies', () => {
+    expect(() => compilePolicy({ steps: [] })).toThrow('Escalation policy name is required');
+    expect(() => compilePolicy({ name: 'p', steps: [] })).toThrow('Escalation policy p needs at least one step');
+    expect(() => compilePolicy({ name: 'p', steps: [{ after: 'soon', notify: 'slack' }] }))
+      .toThrow('Escalation policy p step 1: after must be milliseconds or a duration like "15m"');
+    expect(() => compilePolicy({ name: 'p', steps: [{ after: '15m', notify: 'slack' }, { after: '5m', notify: 'email' }] }))
+      .toThrow('Escalation policy p step 2: steps must be in order of their delay');
+    expect(() => compilePolicy({ name: 'p', steps: [{ notify: 'pager' }] }))
+      .toThrow('Escalation policy p step 1: notify type must be one of email, slack, webhook');
+    expect(() => compilePolicy({ name: 'p', steps: [{ after: '0m' }] })).toThrow('Escalation policy p step 1: notify is required');
+  });
+});
+
+describe('parseDbTime', () => {
+  test('reads SQLite timestamps as UTC', () => {
+    expect(parseDbTime('2026-10-19 08:00:00')).toBe(RAISED);
+    expect(parseDbTime('2026-10-19T08:00:00.000Z')).toBe(RAISED);
+    expect(parseDbTime(null)).toBeNull();
+  });
+});
+
+describe('EscalationManager', () => {
+  let db;
+  let alertManager;
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = fakeDb();
+    alertManager = { notifyTarget: jest.fn().mockResolvedValue(), recordActivity: jest.fn().mockResolvedValue() };
+    manager = new EscalationManager({ alerts: { escalation: { policies: [POLICY] } } }, db, alertManager);
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('finds the first policy covering the alert', () => {
+    expect(manager.findPolicy({ severity: 'high', ruleId: 'device_offline' }, 'STIN').name).toBe('stin');
+    expect(manager.findPolicy({ severity: 'low', ruleId: 'device_offline' }, 'STIN')).toBeNull();
+    expect(manager.findPolicy({ severity: 'high', ruleId: 'device_offline' }, 'DEIMOS')).toBeNull();
+  });
+
+  test('skips invalid policies and stays off when disabled', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    manager.configure({ alerts: { escalation: { policies: [{ name: 'broken', steps: [] }, POLICY] } } });
+    expect(manager.getPolicies().map(policy => policy.name)).toEqual(['stin']);
+
+    manager.configure({ alerts: { escalation: { enabled: false, policies: [POLICY] } } });
+    expect(manager.findPolicy({ severity: 'high' }, 'STIN')).toBeNull();
+  });
+
+  test('sends the first step when the alert is raised', async () => {
+    const alert = { id: 1, severity: 'high', ruleId: 'device_offline', timestamp: new Date().toISOString() };
+    db.rows.push(alertRow({ escalation_policy: null, escalation_step: null }));
+
+    expect(await manager.start(alert, { url: 'http://192.168.98.13:5555/', location: 'STIN' })).toBe(true);
+    expect(alertManager.notifyTarget).toHaveBeenCalledTimes(1);
+    expect(alertManager.notifyTarget.mock.calls[0][0]).toEqual({ type: 'slack', channel: '#stin-team' });
+    expect(db.rows[0]).toMatchObject({ escalation_policy: 'stin', escalation_step: 0 });
+  });
+
+  test('returns false for alerts no policy covers', async () => {
+    expect(await manager.start({ id: 2, severity: 'low' }, { location: 'STIN' })).toBe(false);
+    expect(alertManager.notifyTarget).not.toHaveBeenCalled();
+  });
+
+  test('sends every step that came due since the last pass', async () => {
+    db.rows.push(alertRow());
+
+    await manager.process(RAISED + 10 * MINUTE);
+    expect(alertManager.notifyTarget).not.toHaveBeenCalled();
+
+    await manager.process(RAISED + 31 * MINUTE);
+    expect(alertManager.notifyTarget.mock.calls.map(call => call[0].type)).toEqual(['email', 'webhook']);
+    expect(db.rows[0].escalation_step).toBe(2);
+    expect(alertManager.recordActivity).toHaveBeenLastCalledWith(1, 'escalated', 'system', null, {
+      policy: 'stin',
+      step: 3,
+      notify: ['webhook']
+    });
+
+    await manager.process(RAISED + 60 * MINUTE);
+    expect(alertManager.notifyTarget).toHaveBeenCalledTimes(2);
+  });
+
+  test('rebuilds the alert from its row after a restart', async () => {
+    db.rows.push(alertRow());
+
+    await manager.process(RAISED + 15 * MINUTE);
+
+    const [, alert, deviceData] = alertManager.notifyTarget.mock.calls[0];
+    expect(alert).toMatchObject({ id: 1, ruleId: 'device_offline', severity: 'high', timestamp: '2026-10-19T08:00:00.000Z' });
+    expect(deviceData).toEqual({ url: 'http://192.168.98.13:5555/', location: 'STIN' });
+  });
+
+  test('stops at acknowledgement and for unknown policies', async () => {
+    db.rows.push(alertRow({ acknowledged_at: '2026-10-19 08:05:00' }), alertRow({ id: 2, escalation_policy: 'removed' }));
+
+    await manager.process(RAISED + 60 * MINUTE);
+
+    expect(alertManager.notifyTarget).not.toHaveBeenCalled();
+  });
+});
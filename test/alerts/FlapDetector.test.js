@@ -0,0 +1,65 @@
+const FlapDetector = require('../../src/alerts/FlapDetector');
+
+const URL = 'http://192.168.98.13:5555/';
+const MINUTE = 60 * 1000;
+
+// Alternate offline/online every minute starting at `start`; returns the last result
+function bounce(detector, changes, start = 0) {
+  let result;
+  for (let i = 0; i <= changes; i++) {
+    result = detector.record(URL, i % 2 === 0 ? 'online' : 'offline', start + i * MINUTE);
+  }
+  return result;
+}
+
+describe('FlapDetector', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('starts flapping at the threshold of state changes', () => {
+    const detector = new FlapDetector({ alerts: { flapping: { threshold: 4 } } });
+
+    expect(bounce(detector, 3)).toEqual({ flapping: false, stateChanges: 3 });
+    expect(detector.record(URL, 'online', 4 * MINUTE)).toEqual({ flapping: true, stateChanges: 4 });
+    expect(detector.isFlapping(URL)).toBe(true);
+    expect(detector.getFlappingDevices()).toEqual([{ url: URL, stateChanges: 4 }]);
+  });
+
+  test('does not count degraded as down', () => {
+    const detector = new FlapDetector({ alerts: { flapping: { threshold: 2 } } });
+
+    ['online', 'degraded', 'online', 'degraded'].forEach((status, i) => detector.record(URL, status, i * MINUTE));
+
+    expect(detector.isFlapping(URL)).toBe(false);
+  });
+
+  test('stops flapping once old changes leave the window and it is down to clearThreshold', () => {
+    const detector = new FlapDetector({ alerts: { flapping: { threshold: 4, window: '30m' } } });
+    bounce(detector, 4);
+
+    // Four changes at minutes 1-4; by minute 33 the first three are older than 30 minutes
+    expect(detector.record(URL, 'online', 32 * MINUTE)).toEqual({ flapping: true, stateChanges: 3 });
+    expect(detector.record(URL, 'online', 33 * MINUTE)).toEqual({ flapping: false, stateChanges: 2 });
+    expect(detector.getFlappingDevices()).toEqual([]);
+  });
+
+  test('keeps flapping between clearThreshold and threshold', () => {
+    const detector = new FlapDetector({ alerts: { flapping: { threshold: 4, clearThreshold: 1, window: '30m' } } });
+    bounce(detector, 4);
+
+    expect(detector.record(URL, 'online', 33 * MINUTE)).toEqual({ flapping: true, stateChanges: 2 });
+  });
+
+  test('reports nothing when disabled', () => {
+    const detector = new FlapDetector({ alerts: { flapping: { enabled: false, threshold: 2 } } });
+
+    expect(bounce(detector, 4)).toEqual({ flapping: false, stateChanges: 0 });
+    expect(detector.isFlapping(URL)).toBe(false);
+  });
+});
@@ -0,0 +1,309 @@
+const { NotificationRouter, compileRoute, compileReceivers } = require('../../src/alerts/NotificationRouter');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const ROUTING = {
+  enabled: true,
+  receivers: {
+    ops: { notify: ['email', 'slack'] },
+    stin_team: { notify: [{ type: 'slack', channel: '#stin' }] },
+    audit: { notify: 'webhook' }
+  },
+  route: {
+    receiver: 'ops',
+    groupBy: ['location'],
+    groupWait: '30s',
+    groupInterval: '5m',
+    repeatInterval: '4h',
+    routes: [
+      { name: 'audit', match: { alertType: 'ip_changed' }, receiver: 'audit', continue: true },
+      { name: 'stin', match: { location: 'STIN', severity: ['high', 'critical'] }, receiver: 'stin_team', groupWait: '0s' },
+      { name: 'core', match: { tags: ['core'] }, receiver: 'stin_team' }
+    ]
+  }
+};
+
+// Stand-in for the alert rows the router reads back and the notification_groups it saves
+function fakeDb() {
+  const rows = new Map();
+  const groups = new Map();
+  return {
+    rows,
+    groups,
+    getAlert: async alertId => rows.get(alertId) || null,
+    getNotificationGroups: async () => Array.from(groups.values()).map(group => ({
+      group_key: group.key,
+      route_id: group.routeId,
+      labels: group.labels,
+      alerts: group.alerts,
+      last_sent_at: group.lastSentAt,
+      next_flush_at: group.nextFlushAt
+    })),
+    saveNotificationGroup: async group => {
+      groups.set(group.key, group);
+    },
+    deleteNotificationGroup: async key => {
+      groups.delete(key);
+    }
+  };
+}
+
+function fakeAlertManager() {
+  return {
+    notifyTarget: jest.fn().mockResolvedValue(),
+    notifyGroup: jest.fn().mockResolvedValue(),
+    recordActivity: jest.fn().mockResolvedValue(),
+    getBroadcastTargets: () => [{ type: 'email' }, { type: 'telegram' }]
+  };
+}
+
+describe('compileRoute', () => {
+  const receivers = compileReceivers(ROUTING.receivers);
+
+  test('lets children inherit the settings they leave out', () => {
+    const root = compileRoute(ROUTING.route, receivers);
+    const stin = root.routes[1];
+
+    expect(root).toMatchObject({ id: 'root', groupWait: 30 * SECOND, groupInterval: 5 * MINUTE, repeatInterval: 4 * HOUR });
+    expect(stin).toMatchObject({
+      id: 'root.2',
+      name: 'stin',
+      match: { location: ['STIN'], severity: ['high', 'critical'] },
+      receiver: 'stin_team',
+      groupBy: ['location'],
+      groupWait: 0,
+      groupInterval: 5 * MINUTE
+    });
+  });
+
+  test('rejects unknown receivers, matchers, labels and durations', () => {
+    expect(() => compileRoute({ receiver: 'nobody' }, receivers)).toThrow('Route root: unknown receiver nobody');
+    expect(() => compileRoute({ receiver: 'ops', routes: [{ match: { rack: 'A' } }] }, receivers))
+      .toThrow('Route root.1: unknown matcher rack, expected one of location, severity, alertType, tags');
+    expect(() => compileRoute({ receiver: 'ops', routes: [{ match: { severity: 3 } }] }, receivers))
+      .toThrow('Route root.1: matcher severity must be a string or an array of strings');
+    expect(() => compileRoute({ receiver: 'ops', groupBy: ['rack'] }, receivers))
+      .toThrow('Route root: groupBy must list labels from location, severity, alertType, device');
+    expect(() => compileRoute({ receiver: 'ops', groupWait: 'later' }, receivers))
+      .toThrow('Route root: groupWait must be milliseconds or a duration like "5m"');
+  });
+
+  test('needs receivers with targets', () => {
+    expect(() => compileReceivers([])).toThrow('Routing receivers must be an object keyed by name');
+    expect(() => compileReceivers({ ops: {} })).toThrow('Receiver ops: notify is required');
+  });
+});
+
+describe('NotificationRouter', () => {
+  let db;
+  let alertManager;
+  let router;
+  let nextId;
+
+  // Raise an alert: the row the router reads back and the alert it is given
+  function raise(location, severity = 'high', ruleId = 'device_offline', url = `http://${location.toLowerCase()}-${nextId}/`) {
+    const alert = { id: nextId++, ruleId, severity, title: `${ruleId} Alert`, message: `${url} at ${location}` };
+    db.rows.set(alert.id, { id: alert.id, status: 'active', acknowledged_at: null });
+    return [alert, { url, location }];
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = fakeDb();
+    alertManager = fakeAlertManager();
+    router = new NotificationRouter({
+      alerts: { routing: ROUTING },
+      locations: { DEIMOS: { tags: ['core'] } }
+    }, db, alertManager);
+    nextId = 1;
+  });
+
+  afterEach(() => {
+    router.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('walks down to the first matching child', () => {
+    expect(router.test({ location: 'STIN', severity: 'critical' }).map(match => match.route)).toEqual(['stin']);
+    expect(router.test({ location: 'STIN', severity: 'low' }).map(match => match.route)).toEqual(['root']);
+    expect(router.test({ location: 'DEIMOS', severity: 'low' }).map(match => match.route)).toEqual(['core']);
+  });
+
+  test('keeps matching siblings after a route with continue', () => {
+    expect(router.test({ location: 'STIN', severity: 'high', alertType: 'ip_changed' }).map(match => match.receiver))
+      .toEqual(['audit', 'stin_team']);
+  });
+
+  test('is off unless enabled', () => {
+    router.configure({ alerts: { routing: { ...ROUTING, enabled: false } } });
+
+    expect(router.enabled).toBe(false);
+    expect(router.test({ location: 'STIN' })).toEqual([]);
+  });
+
+  test('sends a lone alert on its own after groupWait', async () => {
+    const now = Date.now();
+    const [alert, deviceData] = raise('Posko0', 'low');
+
+    await router.route(alert, deviceData, now);
+    expect(alertManager.notifyTarget).not.toHaveBeenCalled();
+
+    await router.process(now + 30 * SECOND);
+    expect(alertManager.notifyTarget.mock.calls.map(call => call[0].type)).toEqual(['email', 'slack']);
+    expect(alertManager.notifyTarget.mock.calls[0][1]).toBe(alert);
+    expect(alertManager.recordActivity).toHaveBeenCalledWith(alert.id, 'routed', 'system', null, {
+      route: 'root',
+      receiver: 'ops',
+      alerts: 1,
+      repeat: false
+    });
+  });
+
+  test('sends alerts of one location together', async () => {
+    const now = Date.now();
+    await router.route(...raise('Posko0', 'low'), now);
+    await router.route(...raise('Posko0', 'medium'), now + 10 * SECOND);
+    await router.route(...raise('Posko1', 'low'), now + 10 * SECOND);
+
+    await router.process(now + 30 * SECOND);
+
+    expect(alertManager.notifyGroup).toHaveBeenCalledTimes(2);
+    const [, items, group] = alertManager.notifyGroup.mock.calls[0];
+    expect(items.map(item => item.alert.id)).toEqual([1, 2]);
+    expect(group.labels).toEqual({ location: 'Posko0' });
+    expect(alertManager.notifyTarget).not.toHaveBeenCalled();
+  });
+
+  test('sends right away on a route with no groupWait', async () => {
+    await router.route(...raise('STIN'), Date.now());
+
+    expect(alertManager.notifyTarget).toHaveBeenCalledWith({ type: 'slack', channel: '#stin' }, expect.objectContaining({ id: 1 }), expect.anything());
+  });
+
+  test('holds alerts joining a sent group until groupInterval', async () => {
+    const now = Date.now();
+    await router.route(...raise('Posko0', 'low'), now);
+    await router.process(now + 30 * SECOND);
+    alertManager.notifyTarget.mockClear();
+
+    await router.route(...raise('Posko0', 'low'), now + MINUTE);
+    await router.process(now + 2 * MINUTE);
+    expect(alertManager.notifyGroup).not.toHaveBeenCalled();
+
+    await router.process(now + 30 * SECOND + 5 * MINUTE);
+    expect(alertManager.notifyGroup).toHaveBeenCalledTimes(2);
+    expect(alertManager.notifyGroup.mock.calls[0][1].map(item => item.alert.id)).toEqual([1, 2]);
+  });
+
+  test('repeats unacknowledged alerts every repeatInterval and drops resolved ones', async () => {
+    const now = Date.now();
+    await router.route(...raise('Posko0', 'low'), now);
+    await router.route(...raise('Posko0', 'low'), now);
+    await router.process(now + 30 * SECOND);
+    alertManager.notifyGroup.mockClear();
+
+    db.rows.get(1).acknowledged_at = '2026-10-19 08:05:00';
+    await router.process(now + 30 * SECOND + 4 * HOUR);
+    expect(alertManager.notifyTarget.mock.calls.map(call => call[1].id)).toEqual([2, 2]);
+    expect(alertManager.recordActivity).toHaveBeenLastCalledWith(2, 'routed', 'system', null, expect.objectContaining({ repeat: true }));
+
+    db.rows.get(1).status = 'resolved';
+    db.rows.get(2).status = 'resolved';
+    await router.process(now + 30 * SECOND + 8 * HOUR);
+    expect(alertManager.notifyTarget).toHaveBeenCalledTimes(2);
+    expect(router.getGroups()).toEqual([]);
+  });
+
+  test('keeps groups of routes that survive a reload and drops the others', async () => {
+    const now = Date.now();
+    await router.route(...raise('Posko0', 'low'), now);
+    await router.route(...raise('DEIMOS', 'low'), now);
+
+    router.configure({ alerts: { routing: { ...ROUTING, route: { ...ROUTING.route, routes: [] } } } });
+
+    expect(router.getGroups().map(group => group.route)).toEqual(['root']);
+  });
+
+  test('picks up saved groups after a restart', async () => {
+    const now = Date.now();
+    const [alert, deviceData] = raise('Posko0', 'low');
+    await router.route(alert, deviceData, now);
+    router.destroy();
+
+    router = new NotificationRouter({ alerts: { routing: ROUTING } }, db, alertManager);
+    await router.process(now + 30 * SECOND);
+
+    expect(alertManager.notifyTarget).toHaveBeenCalledWith({ type: 'email' }, alert, deviceData);
+    expect(db.groups.size).toBe(1);
+  });
+
+  test('reports alerts resolved before sending on sendResolved routes only', async () => {
+    const now = Date.now();
+    await router.route(...raise('Posko0', 'low'), now);
+    db.rows.get(1).status = 'resolved';
+    await router.process(now + 30 * SECOND);
+    expect(alertManager.notifyGroup).not.toHaveBeenCalled();
+    expect(db.groups.size).toBe(0);
+
+    router.configure({ alerts: { routing: { ...ROUTING, route: { ...ROUTING.route, sendResolved: true } } } });
+    await router.route(...raise('Posko0', 'low'), now);
+    db.rows.get(2).status = 'resolved';
+    await router.process(now + 30 * SECOND);
+
+    const [, items] = alertManager.notifyGroup.mock.calls[0];
+    expect(items.map(item => [item.alert.id, item.status])).toEqual([[2, 'resolved']]);
+    expect(router.getGroups()).toEqual([]);
+  });
+});
+
+describe('NotificationRouter with alerts.grouping', () => {
+  let db;
+  let alertManager;
+  let router;
+
+  function raise(id, location) {
+    db.rows.set(id, { id, status: 'active', acknowledged_at: null });
+    return [{ id, ruleId: 'device_offline', severity: 'high' }, { url: `http://device-${id}/`, location }];
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = fakeDb();
+    alertManager = fakeAlertManager();
+    router = new NotificationRouter({ alerts: { grouping: { enabled: true, by: ['location'], wait: '30s', interval: '5m' } } }, db, alertManager);
+  });
+
+  afterEach(() => {
+    router.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('groups by location and sends to every enabled channel', async () => {
+    const now = Date.now();
+    await router.route(...raise(1, 'STIN'), now);
+    await router.route(...raise(2, 'STIN'), now + 5 * SECOND);
+
+    await router.process(now + 30 * SECOND);
+
+    expect(alertManager.notifyGroup.mock.calls.map(call => call[0].type)).toEqual(['email', 'telegram']);
+    expect(router.getRouting().route).toMatchObject({ name: 'grouping', groupBy: ['location'], repeatInterval: 0 });
+  });
+
+  test('sends no reminders without a repeatInterval', async () => {
+    const now = Date.now();
+    await router.route(...raise(1, 'STIN'), now);
+    await router.process(now + 30 * SECOND);
+
+    await router.process(now + 30 * SECOND + 24 * HOUR);
+
+    expect(alertManager.notifyTarget).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives way to the routing tree when both are enabled', () => {
+    router.configure({ alerts: { routing: ROUTING, grouping: { enabled: true } } });
+
+    expect(router.getRouting().route.name).toBe('root');
+  });
+});
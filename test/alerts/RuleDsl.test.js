@@ -0,0 +1,193 @@
+const { tokenize, parseExpression, parseSustain, renderTemplate, compileRule } = require('../../src/alerts/RuleDsl');
+const { evaluateCondition } = require('../../src/alerts/RuleEngine');
+
+// Parse an expression and evaluate it against already normalized fields
+function evaluate(text, fields, thresholds = {}) {
+  return evaluateCondition(parseExpression(text).condition, fields, thresholds);
+}
+
+describe('tokenize', () => {
+  test('splits numbers with units, strings, operators and keywords', () => {
+    expect(tokenize('responseTime >= 1500ms and location == "STIN 2"').map(token => [token.type, token.value]))
+      .toEqual([
+        ['identifier', 'responseTime'],
+        ['operator', '>='],
+        ['number', 1500],
+        ['keyword', 'and'],
+        ['identifier', 'location'],
+        ['operator', '=='],
+        ['string', 'STIN 2']
+      ]);
+  });
+
+  test('reports the position of characters it cannot read', () => {
+    expect(() => tokenize('unauthorized > 3 & status')).toThrow('Unexpected character at position 17: "& status"');
+  });
+});
+
+describe('parseExpression', () => {
+  test('compiles comparisons into RuleEngine conditions', () => {
+    expect(parseExpression('unauthorized > 3')).toEqual({
+      condition: { field: 'unauthorized', op: 'gt', value: 3 },
+      for: null
+    });
+    expect(parseExpression('status = offline').condition).toEqual({ field: 'status', op: 'eq', value: 'offline' });
+  });
+
+  test('binds and tighter than or, and not tighter than and', () => {
+    expect(parseExpression('status == offline or degraded == true and not unauthorized > 0').condition).toEqual({
+      any: [
+        { field: 'status', op: 'eq', value: 'offline' },
+        {
+          all: [
+            { field: 'degraded', op: 'eq', value: true },
+            { not: { field: 'unauthorized', op: 'gt', value: 0 } }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('groups with parentheses', () => {
+    expect(parseExpression('(status == offline or degraded == true) and location == STIN').condition).toEqual({
+      all: [
+        { any: [{ field: 'status', op: 'eq', value: 'offline' }, { field: 'degraded', op: 'eq', value: true }] },
+        { field: 'location', op: 'eq', value: 'STIN' }
+      ]
+    });
+  });
+
+  test('reads lists, existence checks, durations and thresholds', () => {
+    expect(parseExpression('location in [STIN, "DEIMOS"]').condition).toEqual({ field: 'location', op: 'in', value: ['STIN', 'DEIMOS'] });
+    expect(parseExpression('authorized missing').condition).toEqual({ field: 'authorized', exists: false });
+    expect(parseExpression('authorized is not missing').condition).toEqual({ field: 'authorized', exists: true });
+    expect(parseExpression('responseTime > 5s').condition.value).toBe('5s');
+    expect(parseExpression('unauthorized > thresholds.unauthorizedMax').condition.value).toEqual({ threshold: 'unauthorizedMax' });
+  });
+
+  test('reads sustain clauses as checks or durations', () => {
+    expect(parseExpression('unauthorized > 3 for 3 checks').for).toEqual({ checks: 3 });
+    expect(parseExpression('status == offline for 10m').for).toEqual({ duration: 600000 });
+    expect(parseExpression('status == offline for 2 hours').for).toEqual({ duration: 7200000 });
+  });
+
+  test('explains what is wrong', () => {
+    expect(() => parseExpression('')).toThrow('Condition expression must be a non-empty string');
+    expect(() => parseExpression('lines > 3')).toThrow('Unknown field "lines" in "lines > 3"');
+    expect(() => parseExpression('unauthorized >')).toThrow('Unexpected end of expression "unauthorized >"');
+    expect(() => parseExpression('(status == offline')).toThrow('Expected ) but found end of expression in "(status == offline"');
+    expect(() => parseExpression('status == offline degraded')).toThrow('Unexpected "degraded" in "status == offline degraded"');
+    expect(() => parseExpression('status == offline for 1.5 checks')).toThrow('Check count must be a positive whole number');
+    expect(() => parseExpression('status == offline for 3 days')).toThrow('Expected "checks" or a duration after "for"');
+  });
+});
+
+describe('evaluating expressions', () => {
+  const fields = { status: 'online', location: 'STIN', unauthorized: 4, authorized: 30, responseTime: 2000, degraded: false };
+
+  test('compares typed fields', () => {
+    expect(evaluate('unauthorized > 3', fields)).toBe(true);
+    expect(evaluate('unauthorized > 3 and status == offline', fields)).toBe(false);
+    expect(evaluate('unauthorized > 10 or location in [STIN, DEIMOS]', fields)).toBe(true);
+    expect(evaluate('responseTime > 1500ms', fields)).toBe(true);
+    expect(evaluate('not degraded == true', fields)).toBe(true);
+  });
+
+  test('reads thresholds at evaluation time', () => {
+    expect(evaluate('unauthorized > thresholds.unauthorizedMax', fields, { unauthorizedMax: 5 })).toBe(false);
+    expect(evaluate('unauthorized > thresholds.unauthorizedMax', fields, { unauthorizedMax: 2 })).toBe(true);
+  });
+
+  test('never fires a comparison on a missing field', () => {
+    const missing = { ...fields, authorized: null };
+
+    expect(evaluate('authorized < 10', missing)).toBe(false);
+    expect(evaluate('authorized != 30', missing)).toBe(false);
+    expect(evaluate('authorized missing', missing)).toBe(true);
+  });
+
+  test('does not fire a negated comparison on a missing field', () => {
+    const missing = { ...fields, authorized: null };
+
+    expect(evaluate('not authorized >= 10', missing)).toBe(false);
+    expect(evaluate('not (authorized >= 10 and status == online)', missing)).toBe(false);
+    expect(evaluate('not authorized >= 10 or status == online', missing)).toBe(true);
+    expect(evaluate('not authorized exists', missing)).toBe(true);
+  });
+});
+
+describe('parseSustain', () => {
+  test('reads bare numbers as checks', () => {
+    expect(parseSustain(2)).toEqual({ checks: 2 });
+    expect(parseSustain('10 minutes')).toEqual({ duration: 600000 });
+    expect(parseSustain(null)).toBeNull();
+  });
+
+  test('rejects trailing input', () => {
+    expect(() => parseSustain('3 checks please')).toThrow('Unexpected "please" in "3 checks please"');
+  });
+});
+
+describe('renderTemplate', () => {
+  test('fills placeholders and marks missing values', () => {
+    expect(renderTemplate('{{url}} has {{ unauthorized }} lines ({{baseline.expected}})', {
+      url: 'http://192.168.98.13:5555/',
+      unauthorized: 4,
+      baseline: null
+    })).toBe('http://192.168.98.13:5555/ has 4 lines (N/A)');
+  });
+});
+
+describe('compileRule', () => {
+  test('builds a rule in the alertRules format', () => {
+    const rule = compileRule({
+      name: 'stin_unauthorized',
+      severity: 'high',
+      when: 'unauthorized > 3 for 3 checks',
+      resolveWhen: 'unauthorized == 0',
+      cooldown: '5m',
+      locations: ['STIN'],
+      message: '{{target}} has {{unauthorized}} unauthorized lines'
+    });
+
+    expect(rule).toMatchObject({
+      name: 'stin_unauthorized',
+      source: 'config',
+      scope: 'device',
+      severity: 'high',
+      cooldown: 300000,
+      for: { checks: 3 },
+      when: { field: 'unauthorized', op: 'gt', value: 3 },
+      resolveWhen: { field: 'unauthorized', op: 'eq', value: 0 },
+      locations: ['STIN'],
+      devices: null
+    });
+    expect(rule.message({ url: 'http://192.168.98.13:5555/', unauthorized: 4 }))
+      .toBe('http://192.168.98.13:5555/ has 4 unauthorized lines');
+  });
+
+  test('defaults the message and cooldown', () => {
+    const rule = compileRule({ name: 'site_down', scope: 'location', when: 'offlineRatio >= 0.5' });
+
+    expect(rule.cooldown).toBe(600000);
+    expect(rule.message({ location: 'STIN' })).toBe('site_down triggered for STIN');
+  });
+
+  test('rejects invalid definitions with the rule name', () => {
+    expect(() => compileRule({ name: 'Bad Name', when: 'unauthorized > 3' })).toThrow('Alert rule name must be lowercase letters, digits and underscores');
+    expect(() => compileRule({ name: 'r', scope: 'rack', when: 'unauthorized > 3' })).toThrow('Alert rule r scope must be one of device, location, global');
+    expect(() => compileRule({ name: 'r', severity: 'urgent', when: 'unauthorized > 3' })).toThrow('Alert rule r severity must be one of');
+    expect(() => compileRule({ name: 'r', cooldown: 'later', when: 'unauthorized > 3' })).toThrow('Alert rule r cooldown must be milliseconds');
+    expect(() => compileRule({ name: 'r', when: 'lines > 3' })).toThrow('Alert rule r: Unknown field "lines"');
+    expect(() => compileRule({ name: 'r', when: 'unauthorized > 3', recoverAfter: '2 days' }))
+      .toThrow('Alert rule r: Expected "checks" or a duration after "for"');
+  });
+
+  test('reads recovery from resolveWhen or recoverAfter', () => {
+    expect(compileRule({ name: 'r', when: 'unauthorized > 3', resolveWhen: 'unauthorized == 0 for 2 checks' }).recoverAfter)
+      .toEqual({ checks: 2 });
+    expect(compileRule({ name: 'r', when: 'unauthorized > 3', recoverAfter: 3 }).recoverAfter).toEqual({ checks: 3 });
+    expect(compileRule({ name: 'r', when: 'unauthorized > 3', recoverAfter: '5m' }).recoverAfter).toEqual({ duration: 300000 });
+    expect(compileRule({ name: 'r', when: 'unauthorized > 3' }).recoverAfter).toBeNull();
+  });
+});
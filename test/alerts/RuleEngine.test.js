@@ -0,0 +1,188 @@
+const {
+  parseDuration,
+  coerceValue,
+  normalizeCheckResult,
+  summarizeChecks,
+  evaluateCondition
+} = require('../../src/alerts/RuleEngine');
+
+describe('parseDuration', () => {
+  test('reads plain numbers as milliseconds and unit suffixes', () => {
+    expect(parseDuration(1500)).toBe(1500);
+    expect(parseDuration('1500')).toBe(1500);
+    expect(parseDuration('1500ms')).toBe(1500);
+    expect(parseDuration('30s')).toBe(30000);
+    expect(parseDuration('5m')).toBe(300000);
+    expect(parseDuration('2h')).toBe(7200000);
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseDuration('soon')).toBeNull();
+    expect(parseDuration(null)).toBeNull();
+    expect(parseDuration(Infinity)).toBeNull();
+  });
+});
+
+describe('coerceValue', () => {
+  test('pulls numbers out of text', () => {
+    expect(coerceValue('Authorized : 30', 'number')).toBe(30);
+    expect(coerceValue('N/A', 'number')).toBeNull();
+    expect(coerceValue(true, 'number')).toBeNull();
+  });
+
+  test('reads booleans strictly', () => {
+    expect(coerceValue('true', 'boolean')).toBe(true);
+    expect(coerceValue(0, 'boolean')).toBe(false);
+    expect(coerceValue('yes', 'boolean')).toBeNull();
+  });
+});
+
+describe('normalizeCheckResult', () => {
+  test('types the fields of an online check', () => {
+    const fields = normalizeCheckResult({
+      url: 'http://192.168.98.13:5555/',
+      location: 'STIN',
+      status: 'online',
+      authorized: '30',
+      unauthorized: 2,
+      responseTime: 850,
+      baseline: { expected: 40, source: 'configured' }
+    });
+
+    expect(fields).toMatchObject({
+      url: 'http://192.168.98.13:5555/',
+      location: 'STIN',
+      status: 'online',
+      online: true,
+      degraded: false,
+      authorized: 30,
+      unauthorized: 2,
+      responseTime: 850,
+      expectedAuthorized: 40,
+      authorizedRatio: 0.75,
+      ipChanged: false,
+      ipChangeExpected: null,
+      inMaintenance: false
+    });
+  });
+
+  test('keeps unreadable counts null instead of zero', () => {
+    const fields = normalizeCheckResult({ status: 'degraded', authorized: null, unauthorized: 'N/A' });
+
+    expect(fields.degraded).toBe(true);
+    expect(fields.online).toBe(false);
+    expect(fields.authorized).toBeNull();
+    expect(fields.unauthorized).toBeNull();
+    expect(fields.authorizedRatio).toBeNull();
+  });
+
+  test('derives IP change, reachability and maintenance fields', () => {
+    const fields = normalizeCheckResult({
+      status: 'online',
+      ipChange: { from: '10.10.1.5', to: '10.10.1.9', expected: false },
+      reachability: { status: 'degraded' },
+      maintenance: { id: 3 }
+    });
+
+    expect(fields.ipChanged).toBe(true);
+    expect(fields.ipChangeExpected).toBe(false);
+    expect(fields.reachabilityStatus).toBe('degraded');
+    expect(fields.inMaintenance).toBe(true);
+  });
+
+  test('leaves status fields null without a status', () => {
+    const fields = normalizeCheckResult({ memoryUsage: '91.5' });
+
+    expect(fields.online).toBeNull();
+    expect(fields.ipChanged).toBeNull();
+    expect(fields.memoryUsage).toBe(91.5);
+  });
+});
+
+describe('summarizeChecks', () => {
+  test('counts statuses and sums readable counts', () => {
+    const summary = summarizeChecks([
+      { status: 'online', authorized: 30, unauthorized: 1 },
+      { status: 'offline', authorized: null, unauthorized: null },
+      { status: 'degraded', authorized: 'N/A', unauthorized: '2' },
+      { status: 'offline' }
+    ]);
+
+    expect(summary).toEqual({
+      totalDevices: 4,
+      onlineDevices: 1,
+      offlineDevices: 2,
+      degradedDevices: 1,
+      offlineRatio: 0.5,
+      totalAuthorized: 30,
+      totalUnauthorized: 3
+    });
+  });
+
+  test('has no offline ratio without checks', () => {
+    expect(summarizeChecks([]).offlineRatio).toBeNull();
+  });
+});
+
+describe('evaluateCondition', () => {
+  const fields = normalizeCheckResult({ status: 'online', authorized: 30, unauthorized: 6, responseTime: 1200 });
+
+  test('compares with every operator', () => {
+    expect(evaluateCondition({ field: 'status', op: 'eq', value: 'online' }, fields)).toBe(true);
+    expect(evaluateCondition({ field: 'status', op: 'ne', value: 'online' }, fields)).toBe(false);
+    expect(evaluateCondition({ field: 'unauthorized', op: 'gt', value: 5 }, fields)).toBe(true);
+    expect(evaluateCondition({ field: 'unauthorized', op: 'gte', value: 6 }, fields)).toBe(true);
+    expect(evaluateCondition({ field: 'authorized', op: 'lt', value: 30 }, fields)).toBe(false);
+    expect(evaluateCondition({ field: 'authorized', op: 'lte', value: 30 }, fields)).toBe(true);
+    expect(evaluateCondition({ field: 'status', op: 'in', value: ['online', 'degraded'] }, fields)).toBe(true);
+  });
+
+  test('coerces the expected value to the field type', () => {
+    expect(evaluateCondition({ field: 'unauthorized', op: 'gt', value: '5' }, fields)).toBe(true);
+    expect(evaluateCondition({ field: 'responseTime', op: 'gt', value: '1s' }, fields)).toBe(true);
+    expect(evaluateCondition({ field: 'responseTime', op: 'gt', value: '2s' }, fields)).toBe(false);
+  });
+
+  test('reads thresholds with their default', () => {
+    const condition = { field: 'unauthorized', op: 'gt', value: { threshold: 'unauthorizedMax', default: 5 } };
+
+    expect(evaluateCondition(condition, fields)).toBe(true);
+    expect(evaluateCondition(condition, fields, { unauthorizedMax: 10 })).toBe(false);
+  });
+
+  test('never matches a missing field, except with exists', () => {
+    const empty = normalizeCheckResult({ status: 'degraded', unauthorized: null });
+
+    expect(evaluateCondition({ field: 'unauthorized', op: 'gt', value: 5 }, empty)).toBe(false);
+    expect(evaluateCondition({ field: 'unauthorized', op: 'lte', value: 5 }, empty)).toBe(false);
+    expect(evaluateCondition({ field: 'unauthorized', exists: false }, empty)).toBe(true);
+    expect(evaluateCondition({ field: 'unauthorized', exists: true }, fields)).toBe(true);
+  });
+
+  test('combines conditions with all, any and not', () => {
+    const high = { field: 'unauthorized', op: 'gt', value: 5 };
+    const slow = { field: 'responseTime', op: 'gt', value: 5000 };
+
+    expect(evaluateCondition({ all: [high, slow] }, fields)).toBe(false);
+    expect(evaluateCondition({ any: [high, slow] }, fields)).toBe(true);
+    expect(evaluateCondition({ not: slow }, fields)).toBe(true);
+  });
+
+  test('keeps a missing field unknown through not, all and any', () => {
+    const empty = normalizeCheckResult({ status: 'degraded', unauthorized: null });
+    const high = { field: 'unauthorized', op: 'gt', value: 5 };
+    const degraded = { field: 'status', op: 'eq', value: 'degraded' };
+
+    expect(evaluateCondition({ not: high }, empty)).toBe(false);
+    expect(evaluateCondition({ not: { not: high } }, empty)).toBe(false);
+    expect(evaluateCondition({ not: { all: [high, degraded] } }, empty)).toBe(false);
+    expect(evaluateCondition({ not: { all: [high, { not: degraded }] } }, empty)).toBe(true);
+    expect(evaluateCondition({ any: [{ not: high }, degraded] }, empty)).toBe(true);
+    expect(evaluateCondition({ not: { field: 'unauthorized', exists: true } }, empty)).toBe(true);
+  });
+
+  test('rejects unknown fields and operators', () => {
+    expect(() => evaluateCondition({ field: 'lines', op: 'gt', value: 1 }, fields)).toThrow('Unknown rule field: lines');
+    expect(() => evaluateCondition({ field: 'authorized', op: 'between', value: 1 }, fields)).toThrow('Unknown rule operator: between');
+  });
+});
@@ -0,0 +1,131 @@
+const { compileTemplate, renderTemplate } = require('../../src/alerts/TemplateEngine');
+const { NotificationTemplates, parseTemplateName } = require('../../src/alerts/NotificationTemplates');
+
+function render(source, context, escape) {
+  return renderTemplate(compileTemplate(source), context, escape);
+}
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+describe('compileTemplate', () => {
+  test('rejects broken templates', () => {
+    expect(() => compileTemplate(42, 'en/email.body')).toThrow('Template en/email.body must be a string');
+    expect(() => compileTemplate('{{ }}', 'x')).toThrow('Template x: empty {{ }}');
+    expect(() => compileTemplate('{{shout alert.title "!"}}', 'x')).toThrow('Template x: unknown helper shout');
+    expect(() => compileTemplate('{{#with alert}}{{/with}}', 'x')).toThrow('Template x: unknown block {{#with}}');
+    expect(() => compileTemplate('{{else}}', 'x')).toThrow('Template x: {{else}} outside a block');
+    expect(() => compileTemplate('{{#if a}}{{/each}}', 'x')).toThrow('Template x: unexpected {{/each}}');
+    expect(() => compileTemplate('{{#if a}}', 'x')).toThrow('Template x: {{#if}} is never closed');
+    expect(() => compileTemplate('{{alert[0]}}', 'x')).toThrow('Template x: cannot read "alert[0]"');
+  });
+});
+
+describe('renderTemplate', () => {
+  const context = {
+    alert: { id: 7, title: 'DEVICE <OFFLINE>', severity: 'high', message: '<b>down</b>' },
+    history: [{ status: 'offline' }, { status: 'online' }],
+    tags: ['core', 'stin'],
+    empty: []
+  };
+
+  test('escapes {{ }} but not {{{ }}}', () => {
+    expect(render('{{alert.title}} {{{alert.message}}}', context, escapeHtml)).toBe('DEVICE &lt;OFFLINE&gt; <b>down</b>');
+  });
+
+  test('renders missing values as nothing', () => {
+    expect(render('[{{alert.device.name}}][{{nothing}}]', context)).toBe('[][]');
+  });
+
+  test('renders if, unless and else', () => {
+    expect(render('{{#if alert.id}}yes{{else}}no{{/if}}', context)).toBe('yes');
+    expect(render('{{#if empty}}yes{{else}}no{{/if}}', context)).toBe('no');
+    expect(render('{{#unless oncall}}nobody on call{{/unless}}', context)).toBe('nobody on call');
+  });
+
+  test('loops with @index, @first, @last and the outer context', () => {
+    const source = '{{#each history}}{{#if @first}}#{{alert.id}}: {{/if}}{{@index}}={{status}}{{#unless @last}}, {{/unless}}{{/each}}';
+
+    expect(render(source, context)).toBe('#7: 0=offline, 1=online');
+    expect(render('{{#each alert}}{{@key}} {{/each}}', { alert: { id: 1, title: 'x' } })).toBe('id title ');
+    expect(render('{{#each empty}}x{{else}}none{{/each}}', context)).toBe('none');
+  });
+
+  test('calls helpers', () => {
+    expect(render('{{upper alert.severity}} {{lower "OK"}}', context)).toBe('HIGH ok');
+    expect(render('{{default alert.location "unknown"}}', context)).toBe('unknown');
+    expect(render('{{join tags " / "}} {{join tags}}', context)).toBe('core / stin core, stin');
+    expect(render('{{truncate alert.title 6}}', context)).toBe('DEVIC…');
+    expect(render('{{{json history}}}', context)).toBe('[{"status":"offline"},{"status":"online"}]');
+  });
+
+  test('drops comments and the lines of standalone block tags', () => {
+    const source = 'Alert #{{alert.id}}\n{{! internal note }}\n{{#if alert.id}}\n  Severity: {{alert.severity}}\n{{/if}}\nEnd';
+
+    expect(render(source, context)).toBe('Alert #7\n  Severity: high\nEnd');
+  });
+});
+
+describe('NotificationTemplates', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('parses template names', () => {
+    expect(parseTemplateName('id/slack.body.device_offline')).toEqual({
+      language: 'id',
+      channel: 'slack',
+      part: 'body',
+      alertType: 'device_offline'
+    });
+    expect(() => parseTemplateName('en/slack.subject')).toThrow('Template name en/slack.subject must look like');
+  });
+
+  test('prefers custom templates for the alert type, then falls back to English built-ins', () => {
+    const templates = new NotificationTemplates({
+      alerts: {
+        templates: {
+          language: 'id',
+          custom: {
+            'id/slack.body.device_offline': 'Mati: {{alert.title}}',
+            'fr/slack.bogus': 'skipped'
+          }
+        }
+      }
+    });
+
+    expect(templates.find('slack', 'body', 'device_offline', 'id')).toMatchObject({ name: 'id/slack.body.device_offline', source: 'config' });
+    expect(templates.find('slack', 'body', 'ip_changed', 'id')).toMatchObject({ name: 'id/slack.body', source: 'builtin' });
+    expect(templates.find('teams', 'body', null, 'id')).toMatchObject({ name: 'en/teams.body', source: 'builtin' });
+    expect(templates.render('slack', 'body', { alert: { title: 'STIN' } }, 'device_offline', 'id')).toBe('Mati: STIN');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Skipping template fr/slack.bogus'));
+  });
+
+  test('picks the language from the target, the channel, the location and the default', () => {
+    const templates = new NotificationTemplates({
+      alerts: {
+        notifications: { telegram: { language: 'id' } },
+        templates: { language: 'en', locations: { STIN: 'id' } }
+      }
+    });
+
+    expect(templates.resolveLanguage({ type: 'email', language: 'id' })).toBe('id');
+    expect(templates.resolveLanguage({ type: 'telegram' })).toBe('id');
+    expect(templates.resolveLanguage({ type: 'email' }, 'STIN')).toBe('id');
+    expect(templates.resolveLanguage({ type: 'email' }, 'DEIMOS')).toBe('en');
+    expect(templates.severityLabel('critical', 'id')).toBe('KRITIS');
+  });
+
+  test('escapes HTML only for Telegram and email HTML', () => {
+    const templates = new NotificationTemplates({
+      alerts: { templates: { custom: { 'en/telegram.body': '{{alert.title}}', 'en/slack.body': '{{alert.title}}' } } }
+    });
+    const context = { alert: { title: 'a < b' } };
+
+    expect(templates.render('telegram', 'body', context)).toBe('a &lt; b');
+    expect(templates.render('slack', 'body', context)).toBe('a < b');
+  });
+});
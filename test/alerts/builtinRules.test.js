@@ -0,0 +1,208 @@
+const { AlertManager } = require('../../src/alerts/AlertManager');
+const { normalizeCheckResult } = require('../../src/alerts/RuleEngine');
+
+// The built-in rules of AlertManager.initializeAlertRules, evaluated on
+// normalized check results the way checkDeviceAlerts does
+describe('built-in alert rules', () => {
+  let alertManager;
+
+  const online = {
+    url: 'http://192.168.98.13:5555/',
+    location: 'STIN',
+    status: 'online',
+    authorized: 30,
+    unauthorized: 1,
+    phonebankIp: '10.10.1.5',
+    responseTime: 850,
+    reachability: { status: 'ok' },
+    baseline: null,
+    error: null,
+    parseError: null
+  };
+
+  function createAlertManager(alerts = {}) {
+    return new AlertManager({ alerts }, {}, {});
+  }
+
+  // [fires, resolves] for a rule on a check result
+  function evaluate(name, data, manager = alertManager) {
+    const rule = manager.alertRules.get(name);
+    const fields = normalizeCheckResult(data);
+    return [manager.evaluateRule(rule, fields, 'when'), manager.evaluateRule(rule, fields, 'resolveWhen')];
+  }
+
+  beforeEach(() => {
+    alertManager = createAlertManager();
+  });
+
+  afterEach(() => {
+    alertManager.destroy();
+  });
+
+  test('has every built-in rule', () => {
+    expect(Array.from(alertManager.alertRules.keys())).toEqual([
+      'device_offline',
+      'high_unauthorized',
+      'slow_response',
+      'authorized_drop',
+      'ip_changed',
+      'service_unreachable',
+      'parse_error',
+      'device_flapping',
+      'location_degradation',
+      'high_memory'
+    ]);
+  });
+
+  describe('device_offline', () => {
+    test('fires when the device is offline', () => {
+      const data = { ...online, status: 'offline', authorized: null, unauthorized: null, error: 'Request timed out' };
+
+      expect(evaluate('device_offline', data)).toEqual([true, false]);
+      expect(alertManager.alertRules.get('device_offline').message(data))
+        .toBe('Device http://192.168.98.13:5555/ at STIN is offline. Error: Request timed out');
+    });
+
+    test('resolves once the device answers, even degraded', () => {
+      expect(evaluate('device_offline', online)).toEqual([false, true]);
+      expect(evaluate('device_offline', { ...online, status: 'degraded' })).toEqual([false, true]);
+    });
+  });
+
+  describe('high_unauthorized', () => {
+    test('fires above the default threshold of 5', () => {
+      expect(evaluate('high_unauthorized', { ...online, unauthorized: 5 })).toEqual([false, true]);
+      expect(evaluate('high_unauthorized', { ...online, unauthorized: 6 })).toEqual([true, false]);
+    });
+
+    test('compares counts as numbers, not text', () => {
+      // "10" > "5" is false as strings
+      expect(evaluate('high_unauthorized', { ...online, unauthorized: '10' })).toEqual([true, false]);
+      expect(evaluate('high_unauthorized', { ...online, unauthorized: 'Unauthorized : 12' })).toEqual([true, false]);
+    });
+
+    test('uses alerts.thresholds.unauthorizedMax', () => {
+      const manager = createAlertManager({ thresholds: { unauthorizedMax: 10 } });
+
+      expect(evaluate('high_unauthorized', { ...online, unauthorized: 8 }, manager)).toEqual([false, true]);
+      expect(evaluate('high_unauthorized', { ...online, unauthorized: 11 }, manager)).toEqual([true, false]);
+      manager.destroy();
+    });
+
+    test('neither fires nor resolves on an unreadable count', () => {
+      expect(evaluate('high_unauthorized', { ...online, status: 'degraded', unauthorized: null })).toEqual([false, false]);
+    });
+  });
+
+  describe('slow_response', () => {
+    test('fires above the default 30 seconds', () => {
+      expect(evaluate('slow_response', { ...online, responseTime: 30000 })).toEqual([false, true]);
+      expect(evaluate('slow_response', { ...online, responseTime: 30001 })).toEqual([true, false]);
+    });
+
+    test('uses alerts.thresholds.responseTimeMax', () => {
+      alertManager.thresholds = { responseTimeMax: '5s' };
+
+      expect(evaluate('slow_response', { ...online, responseTime: 6000 })).toEqual([true, false]);
+    });
+  });
+
+  describe('authorized_drop', () => {
+    const baseline = { expected: 40, source: 'configured' };
+
+    test('fires below 80% of the baseline', () => {
+      const data = { ...online, authorized: 30, baseline };
+
+      expect(evaluate('authorized_drop', data)).toEqual([true, false]);
+      expect(alertManager.alertRules.get('authorized_drop').message(data))
+        .toBe('Authorized lines dropped on http://192.168.98.13:5555/ at STIN: 30 of expected 40 (configured baseline)');
+    });
+
+    test('resolves at the ratio or without a baseline', () => {
+      expect(evaluate('authorized_drop', { ...online, authorized: 32, baseline })).toEqual([false, true]);
+      expect(evaluate('authorized_drop', { ...online, authorized: 10 })).toEqual([false, true]);
+    });
+
+    test('ignores devices that are not online', () => {
+      expect(evaluate('authorized_drop', { ...online, status: 'degraded', authorized: null, baseline })).toEqual([false, false]);
+    });
+  });
+
+  describe('ip_changed', () => {
+    test('fires on an unexpected change only', () => {
+      const change = { from: '10.10.1.5', to: '10.10.1.9' };
+
+      expect(evaluate('ip_changed', { ...online, ipChange: { ...change, expected: false } })[0]).toBe(true);
+      expect(evaluate('ip_changed', { ...online, ipChange: { ...change, expected: true } })[0]).toBe(false);
+      expect(evaluate('ip_changed', online)[0]).toBe(false);
+    });
+
+    test('has no resolve condition', () => {
+      expect(evaluate('ip_changed', online)[1]).toBe(false);
+    });
+  });
+
+  describe('service_unreachable', () => {
+    test('fires unless every target is reachable', () => {
+      expect(evaluate('service_unreachable', { ...online, reachability: { status: 'degraded' } })).toEqual([true, false]);
+      expect(evaluate('service_unreachable', online)).toEqual([false, true]);
+    });
+
+    test('does nothing without reachability data', () => {
+      expect(evaluate('service_unreachable', { ...online, reachability: null })).toEqual([false, false]);
+    });
+  });
+
+  describe('parse_error', () => {
+    test('fires on a degraded check with a null count', () => {
+      const data = {
+        ...online,
+        status: 'degraded',
+        authorized: null,
+        parseError: 'No authorized found (profile default)',
+        probeData: { raw: { authorized: '<img src=x onerror=alert(1)>' } }
+      };
+
+      expect(evaluate('parse_error', data)).toEqual([true, false]);
+      // What the device sent stays out of the alert message
+      expect(alertManager.alertRules.get('parse_error').message(data))
+        .toBe('Could not parse device page http://192.168.98.13:5555/ at STIN: No authorized found (profile default)');
+    });
+
+    test('resolves once the counts are read again', () => {
+      expect(evaluate('parse_error', online)).toEqual([false, true]);
+    });
+
+    test('leaves offline devices to device_offline', () => {
+      expect(evaluate('parse_error', { ...online, status: 'offline', authorized: null })).toEqual([false, false]);
+    });
+  });
+
+  describe('device_flapping', () => {
+    test('fires and resolves on the flapping flag', () => {
+      expect(evaluate('device_flapping', { ...online, flapping: true, stateChanges: 6 })).toEqual([true, false]);
+      expect(evaluate('device_flapping', { ...online, flapping: false })).toEqual([false, true]);
+    });
+  });
+
+  describe('location_degradation', () => {
+    test('fires on critical degradation only', () => {
+      expect(evaluate('location_degradation', { location: 'STIN', degradationLevel: 'CRITICAL' })[0]).toBe(true);
+      expect(evaluate('location_degradation', { location: 'STIN', degradationLevel: 'WARNING' })[0]).toBe(false);
+    });
+  });
+
+  describe('high_memory', () => {
+    test('fires above 85%', () => {
+      expect(evaluate('high_memory', { memoryUsage: 85 })[0]).toBe(false);
+      expect(evaluate('high_memory', { memoryUsage: '91.2' })[0]).toBe(true);
+    });
+  });
+
+  test('alerts.rules can turn a built-in rule off', () => {
+    const manager = createAlertManager({ rules: [{ name: 'slow_response', enabled: false }] });
+
+    expect(manager.alertRules.has('slow_response')).toBe(false);
+    manager.destroy();
+  });
+});
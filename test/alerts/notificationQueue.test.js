@@ -0,0 +1,140 @@
+const DatabaseManager = require('../../src/database/DatabaseManager');
+const { NotificationManager } = require('../../src/alerts/AlertManager');
+
+const CONFIG = {
+  alerts: {
+    notificationQueue: {
+      maxAttempts: 3,
+      backoff: '10s',
+      maxBackoff: '15s',
+      channels: { webhook: { maxAttempts: 2, backoff: '1m' } }
+    }
+  }
+};
+
+// Move an item's next attempt into the past so the next pass picks it up
+function makeDue(db, itemId) {
+  return new Promise((resolve, reject) => {
+    db.db.run(`UPDATE notification_queue SET next_attempt_at = datetime('now', '-1 seconds') WHERE id = ?`, [itemId],
+      error => (error ? reject(error) : resolve()));
+  });
+}
+
+// Seconds until an item's next attempt
+function secondsUntilNextAttempt(db, itemId) {
+  return new Promise((resolve, reject) => {
+    db.db.get(`SELECT CAST(strftime('%s', next_attempt_at) - strftime('%s', 'now') AS INTEGER) AS delay FROM notification_queue WHERE id = ?`,
+      [itemId], (error, row) => (error ? reject(error) : resolve(row.delay)));
+  });
+}
+
+describe('NotificationManager queue', () => {
+  let db;
+  let manager;
+  let send;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // The periodic pass is driven by hand here
+    jest.spyOn(NotificationManager.prototype, 'startQueueProcessor').mockImplementation(() => {});
+
+    const init = jest.spyOn(DatabaseManager.prototype, 'init');
+    db = new DatabaseManager(':memory:');
+    await init.mock.results[0].value;
+
+    manager = new NotificationManager(CONFIG, db);
+    send = jest.spyOn(manager, 'processNotification').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => db.db.close(resolve));
+  });
+
+  // Queue without starting a pass; tests run processQueue themselves
+  async function queue(type, data) {
+    manager.isProcessingQueue = true;
+    await manager.queueNotification(type, data);
+    manager.isProcessingQueue = false;
+    const [item] = await db.getQueuedNotifications({ limit: 1 });
+    return item.id;
+  }
+
+  test('reads attempts and backoff per channel', () => {
+    expect(manager.getQueueSettings('email')).toEqual({ maxAttempts: 3, backoff: 10000, maxBackoff: 15000 });
+    expect(manager.getQueueSettings('webhook')).toEqual({ maxAttempts: 2, backoff: 60000, maxBackoff: 15000 });
+  });
+
+  test('sends queued notifications and records the delivery', async () => {
+    const deviceId = await db.addDevice('http://192.168.98.13:5555/', 'STIN');
+    const alertId = await db.createAlert(deviceId, 'device_offline', 'high', 'DEVICE OFFLINE Alert', 'Device is offline');
+    const itemId = await queue('slack', { alertId, channel: '#stin-team', text: 'Device is offline' });
+
+    await manager.processQueue();
+
+    expect(send).toHaveBeenCalledWith({ type: 'slack', data: { alertId, channel: '#stin-team', text: 'Device is offline' } });
+    expect(await db.getQueueItem(itemId)).toMatchObject({ status: 'sent', attempts: 1 });
+    const [delivery] = await db.getNotificationDeliveries({ alertId });
+    expect(delivery).toMatchObject({ recipient: '#stin-team', status: 'sent', attempts: 1 });
+  });
+
+  test('retries failed sends with growing backoff capped at maxBackoff', async () => {
+    send.mockRejectedValue(new Error('SMTP timeout'));
+    const itemId = await queue('email', { recipients: ['ops@example.com'] });
+
+    await manager.processQueue();
+    expect(await db.getQueueItem(itemId)).toMatchObject({ status: 'retrying', attempts: 1, last_error: 'SMTP timeout' });
+    expect(await secondsUntilNextAttempt(db, itemId)).toBeGreaterThanOrEqual(9);
+
+    await manager.processQueue();
+    expect(send).toHaveBeenCalledTimes(1);
+
+    await makeDue(db, itemId);
+    await manager.processQueue();
+    expect(await db.getQueueItem(itemId)).toMatchObject({ status: 'retrying', attempts: 2 });
+    // 20s doubled backoff, capped at 15s
+    expect(await secondsUntilNextAttempt(db, itemId)).toBeLessThanOrEqual(15);
+  });
+
+  test('dead-letters an item after its last attempt and can retry it', async () => {
+    send.mockRejectedValue(new Error('HTTP 502'));
+    const itemId = await queue('webhook', { url: 'https://pager.example.com/hook' });
+
+    await manager.processQueue();
+    await makeDue(db, itemId);
+    await manager.processQueue();
+    expect(await db.getQueueItem(itemId)).toMatchObject({ status: 'dead', attempts: 2, last_error: 'HTTP 502' });
+
+    send.mockResolvedValue();
+    manager.isProcessingQueue = true;
+    expect(await manager.retryDeadLetter(itemId)).toBe(true);
+    manager.isProcessingQueue = false;
+    await manager.processQueue();
+
+    expect(await db.getQueueItem(itemId)).toMatchObject({ status: 'sent', attempts: 1 });
+    expect(await manager.retryDeadLetter(itemId)).toBe(false);
+  });
+
+  test('discards only dead items', async () => {
+    const itemId = await queue('slack', { text: 'hello' });
+
+    expect(await manager.discardDeadLetter(itemId)).toBe(false);
+    await db.finishNotificationAttempt(itemId, 'dead', 'gave up');
+    expect(await manager.discardDeadLetter(itemId)).toBe(true);
+    expect((await db.getQueueItem(itemId)).status).toBe('discarded');
+  });
+
+  test('dead-letters items a crash left in sending instead of sending them twice', async () => {
+    const itemId = await queue('slack', { text: 'hello' });
+    expect(await db.claimNotification(itemId)).toBe(true);
+    expect(await db.claimNotification(itemId)).toBe(false);
+
+    await manager.processQueue();
+
+    expect(send).not.toHaveBeenCalled();
+    expect(await db.getQueueItem(itemId)).toMatchObject({ status: 'dead' });
+    expect((await db.getQueueItem(itemId)).last_error).toContain('Interrupted while sending');
+  });
+});
@@ -0,0 +1,166 @@
+const MaintenanceScheduler = require('../../src/maintenance/MaintenanceScheduler');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.parse('2026-10-01T22:00:00.000Z');
+
+function windowRow(overrides = {}) {
+  return {
+    id: 1,
+    title: 'Switch replacement',
+    device_id: null,
+    location: 'STIN',
+    start_time: new Date(START).toISOString(),
+    end_time: new Date(START + 2 * HOUR).toISOString(),
+    recurrence: null,
+    recurrence_until: null,
+    status: 'scheduled',
+    ...overrides
+  };
+}
+
+// Stand-in for the maintenance_windows queries of DatabaseManager
+function fakeDb(windows = [], devices = []) {
+  return {
+    updates: [],
+    getMaintenanceWindows: async () => windows,
+    updateMaintenanceWindow: async function (id, changes) {
+      this.updates.push({ id, ...changes });
+    },
+    getDevice: async url => devices.find(device => device.url === url) || null
+  };
+}
+
+describe('MaintenanceScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    scheduler = new MaintenanceScheduler(fakeDb());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('getOccurrence', () => {
+    test('covers a one-off window from start up to end', () => {
+      const window = windowRow();
+
+      expect(scheduler.getOccurrence(window, START - 1)).toBeNull();
+      expect(scheduler.getOccurrence(window, START)).toEqual({ start: START, end: START + 2 * HOUR });
+      expect(scheduler.getOccurrence(window, START + 2 * HOUR)).toBeNull();
+    });
+
+    test('repeats daily and weekly windows until recurrenceUntil', () => {
+      const daily = windowRow({ recurrence: 'daily', recurrence_until: new Date(START + 3 * DAY).toISOString() });
+      const weekly = windowRow({ recurrence: 'weekly' });
+
+      expect(scheduler.getOccurrence(daily, START + 2 * DAY + HOUR)).toEqual({ start: START + 2 * DAY, end: START + 2 * DAY + 2 * HOUR });
+      expect(scheduler.getOccurrence(daily, START + 2 * DAY + 3 * HOUR)).toBeNull();
+      expect(scheduler.getOccurrence(daily, START + 4 * DAY + HOUR)).toBeNull();
+      expect(scheduler.getOccurrence(weekly, START + DAY + HOUR)).toBeNull();
+      expect(scheduler.getOccurrence(weekly, START + 14 * DAY + HOUR)).not.toBeNull();
+    });
+  });
+
+  describe('getStatus', () => {
+    test('follows the window through its life', () => {
+      const window = windowRow();
+
+      expect(scheduler.getStatus(window, START - HOUR)).toBe('scheduled');
+      expect(scheduler.getStatus(window, START + HOUR)).toBe('active');
+      expect(scheduler.getStatus(window, START + 3 * HOUR)).toBe('completed');
+      expect(scheduler.getStatus({ ...window, status: 'cancelled' }, START + HOUR)).toBe('cancelled');
+    });
+
+    test('keeps a repeating window scheduled between occurrences', () => {
+      const window = windowRow({ recurrence: 'daily' });
+
+      expect(scheduler.getStatus(window, START + DAY - HOUR)).toBe('scheduled');
+      expect(scheduler.getStatus({ ...window, recurrence_until: new Date(START + DAY).toISOString() }, START + 2 * DAY)).toBe('completed');
+    });
+  });
+
+  describe('refresh', () => {
+    test('moves windows between states and keeps the open ones', async () => {
+      jest.useFakeTimers({ now: START + HOUR });
+      const starting = windowRow({ id: 1 });
+      const ended = windowRow({ id: 2, status: 'active', start_time: new Date(START - DAY).toISOString(), end_time: new Date(START - DAY + HOUR).toISOString() });
+      const db = fakeDb([starting, ended]);
+      scheduler = new MaintenanceScheduler(db);
+
+      const open = await scheduler.refresh();
+
+      expect(db.updates).toEqual([{ id: 1, status: 'active' }, { id: 2, status: 'completed' }]);
+      expect(open.map(window => window.id)).toEqual([1]);
+    });
+  });
+
+  describe('getActiveWindow', () => {
+    test('matches by device, by location or everything', () => {
+      const stin = { id: 7, url: 'http://192.168.98.13:5555/', location: 'STIN' };
+      const deimos = { id: 8, url: 'http://192.168.98.14:5555/', location: 'DEIMOS' };
+
+      scheduler.windows = [windowRow({ id: 1, location: null, device_id: 8 })];
+      expect(scheduler.getActiveWindow(stin, START + HOUR)).toBeNull();
+      expect(scheduler.getActiveWindow(deimos, START + HOUR).id).toBe(1);
+
+      scheduler.windows = [windowRow({ id: 2 })];
+      expect(scheduler.getActiveWindow(stin, START + HOUR).id).toBe(2);
+      expect(scheduler.getActiveWindow(deimos, START + HOUR)).toBeNull();
+      expect(scheduler.getActiveWindow(stin, START + 3 * HOUR)).toBeNull();
+
+      scheduler.windows = [windowRow({ id: 3, location: null })];
+      expect(scheduler.getActiveWindow(deimos, START + HOUR).id).toBe(3);
+    });
+  });
+
+  describe('prepareWindow', () => {
+    const input = { title: ' Switch replacement ', location: 'STIN', startTime: '2026-10-01T22:00:00Z', endTime: '2026-10-02T00:00:00Z' };
+
+    test('validates and normalizes a new window', async () => {
+      expect(await scheduler.prepareWindow(input)).toEqual({
+        title: 'Switch replacement',
+        location: 'STIN',
+        startTime: '2026-10-01T22:00:00.000Z',
+        endTime: '2026-10-02T00:00:00.000Z'
+      });
+    });
+
+    test('resolves the device to its id', async () => {
+      scheduler = new MaintenanceScheduler(fakeDb([], [{ id: 7, url: 'http://192.168.98.13:5555/' }]));
+
+      expect((await scheduler.prepareWindow({ ...input, device: 'http://192.168.98.13:5555/' })).deviceId).toBe(7);
+      await expect(scheduler.prepareWindow({ ...input, device: 'http://10.0.0.1/' })).rejects.toThrow('Unknown device: http://10.0.0.1/');
+    });
+
+    test('rejects bad input', async () => {
+      await expect(scheduler.prepareWindow({ ...input, title: '' })).rejects.toThrow('title is required');
+      await expect(scheduler.prepareWindow({ ...input, startTime: 'tonight' })).rejects.toThrow('startTime must be a date/time');
+      await expect(scheduler.prepareWindow({ ...input, endTime: input.startTime })).rejects.toThrow('endTime must be after startTime');
+      await expect(scheduler.prepareWindow({ ...input, recurrence: 'monthly' })).rejects.toThrow('recurrence must be one of daily, weekly');
+      await expect(scheduler.prepareWindow({ ...input, endTime: '2026-10-03T00:00:00Z', recurrence: 'daily' }))
+        .rejects.toThrow('A daily window must be shorter than its repeat period');
+    });
+
+    test('checks updates against the stored window', async () => {
+      const existing = windowRow();
+
+      expect(await scheduler.prepareWindow({ title: 'New title' }, existing)).toEqual({ title: 'New title' });
+      await expect(scheduler.prepareWindow({ endTime: '2026-10-01T21:00:00Z' }, existing)).rejects.toThrow('endTime must be after startTime');
+    });
+  });
+
+  describe('describe', () => {
+    test('adds the current occurrence', () => {
+      expect(scheduler.describe(windowRow(), START + HOUR)).toMatchObject({
+        active: true,
+        current_start: '2026-10-01T22:00:00.000Z',
+        current_end: '2026-10-02T00:00:00.000Z'
+      });
+      expect(scheduler.describe(windowRow({ status: 'cancelled' }), START + HOUR).active).toBe(false);
+    });
+  });
+});
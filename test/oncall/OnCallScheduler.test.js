@@ -0,0 +1,150 @@
+const { OnCallScheduler, compileSchedule, toWall, fromWall } = require('../../src/oncall/OnCallScheduler');
+
+const PEOPLE = {
+  budi: { name: 'Budi', email: 'budi@example.com' },
+  sari: { name: 'Sari', email: 'sari@example.com' },
+  dewi: { name: 'Dewi', email: 'dewi@example.com' }
+};
+
+const STIN_TEAM = {
+  name: 'stin_team',
+  locations: ['STIN'],
+  timezone: 'Asia/Jakarta',
+  rotation: { period: 'weekly', start: '2026-01-05 08:00', members: ['budi', 'sari'] },
+  shifts: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '20:00' }],
+  overrides: [{ person: 'dewi', start: '2026-10-21 08:00', end: '2026-10-22 08:00' }]
+};
+
+// Jakarta is UTC+7 all year
+function jakarta(text) {
+  return Date.parse(`${text.replace(' ', 'T')}:00+07:00`);
+}
+
+describe('toWall and fromWall', () => {
+  test('convert between UTC and wall-clock time', () => {
+    const at = Date.parse('2026-10-19T03:00:00.000Z');
+
+    expect(toWall(at, 'Asia/Jakarta')).toBe(Date.parse('2026-10-19T10:00:00.000Z'));
+    expect(fromWall(Date.parse('2026-10-19T10:00:00.000Z'), 'Asia/Jakarta')).toBe(at);
+  });
+
+  test('follow DST changes', () => {
+    // 08:00 in Amsterdam is 06:00Z in summer and 07:00Z in winter
+    expect(fromWall(Date.parse('2026-07-01T08:00:00.000Z'), 'Europe/Amsterdam')).toBe(Date.parse('2026-07-01T06:00:00.000Z'));
+    expect(fromWall(Date.parse('2026-12-01T08:00:00.000Z'), 'Europe/Amsterdam')).toBe(Date.parse('2026-12-01T07:00:00.000Z'));
+  });
+});
+
+describe('compileSchedule', () => {
+  test('compiles rotation, shifts and overrides', () => {
+    const schedule = compileSchedule(STIN_TEAM, PEOPLE);
+
+    expect(schedule).toMatchObject({
+      name: 'stin_team',
+      locations: ['STIN'],
+      timezone: 'Asia/Jakarta',
+      period: 7 * 24 * 60 * 60 * 1000,
+      start: Date.parse('2026-01-05T08:00:00.000Z'),
+      members: ['budi', 'sari'],
+      shifts: [{ days: [1, 2, 3, 4, 5], start: 480, end: 1200 }]
+    });
+  });
+
+  test('rejects invalid schedules', () => {
+    expect(() => compileSchedule({ ...STIN_TEAM, name: 'STIN team' }, PEOPLE))
+      .toThrow('On-call schedule name must be lowercase letters, digits and underscores');
+    expect(() => compileSchedule({ ...STIN_TEAM, timezone: 'Mars/Olympus' }, PEOPLE))
+      .toThrow('On-call schedule stin_team: unknown timezone Mars/Olympus');
+    expect(() => compileSchedule({ ...STIN_TEAM, rotation: { period: 'monthly', members: ['budi'] } }, PEOPLE))
+      .toThrow('On-call schedule stin_team: rotation period must be one of daily, weekly');
+    expect(() => compileSchedule({ ...STIN_TEAM, rotation: { members: [] } }, PEOPLE))
+      .toThrow('On-call schedule stin_team: rotation needs at least one member');
+    expect(() => compileSchedule({ ...STIN_TEAM, rotation: { members: ['joko'] } }, PEOPLE))
+      .toThrow('On-call schedule stin_team: unknown person joko');
+    expect(() => compileSchedule({ ...STIN_TEAM, shifts: [{ days: ['monday'] }] }, PEOPLE))
+      .toThrow('On-call schedule stin_team: shift 1 days must be sun, mon, tue, wed, thu, fri, sat');
+    expect(() => compileSchedule({ ...STIN_TEAM, shifts: [{ start: '8am' }] }, PEOPLE))
+      .toThrow('On-call schedule stin_team: shift 1 start must be a time like "08:00"');
+    expect(() => compileSchedule({ ...STIN_TEAM, overrides: [{ person: 'dewi', start: '2026-10-22 08:00', end: '2026-10-21 08:00' }] }, PEOPLE))
+      .toThrow('On-call schedule stin_team: override 1 must end after it starts');
+  });
+});
+
+describe('OnCallScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new OnCallScheduler({ oncall: { people: PEOPLE, schedules: [STIN_TEAM] } });
+  });
+
+  test('rotates members at the handoff time', () => {
+    // 41 weeks after the rotation start: Sari's turn from 08:00
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-19 07:59'))).toBeNull();
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-19 08:00'))).toEqual({ id: 'sari', ...PEOPLE.sari });
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-27 09:00')).id).toBe('budi');
+  });
+
+  test('has nobody on call outside the shifts', () => {
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-19 20:00'))).toBeNull();
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-24 10:00'))).toBeNull();
+  });
+
+  test('lets overrides win over the rotation and the shifts', () => {
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-21 10:00')).id).toBe('dewi');
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-21 23:00')).id).toBe('dewi');
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-22 08:00')).id).toBe('sari');
+  });
+
+  test('covers overnight shifts into the next day', () => {
+    scheduler.configure({
+      oncall: {
+        people: PEOPLE,
+        schedules: [{ ...STIN_TEAM, overrides: [], shifts: [{ days: ['fri'], start: '22:00', end: '06:00' }] }]
+      }
+    });
+
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-23 23:00'))).not.toBeNull();
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-24 05:59'))).not.toBeNull();
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-24 06:00'))).toBeNull();
+    expect(scheduler.getOnCallPerson('STIN', jakarta('2026-10-22 23:00'))).toBeNull();
+  });
+
+  test('picks the schedule listing the location, else one without locations', () => {
+    scheduler.configure({
+      oncall: {
+        people: PEOPLE,
+        schedules: [{ name: 'everyone', rotation: { members: ['dewi'] } }, STIN_TEAM]
+      }
+    });
+
+    expect(scheduler.findSchedule('STIN').name).toBe('stin_team');
+    expect(scheduler.findSchedule('DEIMOS').name).toBe('everyone');
+    expect(scheduler.getOnCallPerson('DEIMOS', jakarta('2026-10-24 10:00')).id).toBe('dewi');
+  });
+
+  test('skips invalid schedules', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    scheduler.configure({ oncall: { people: PEOPLE, schedules: [{ name: 'broken', rotation: { members: ['joko'] } }, STIN_TEAM] } });
+
+    expect(scheduler.schedules.map(schedule => schedule.name)).toEqual(['stin_team']);
+    jest.restoreAllMocks();
+  });
+
+  test('reports who is on call and when that changes', () => {
+    expect(scheduler.getOnCall(scheduler.schedules[0], jakarta('2026-10-19 10:00'))).toEqual({
+      schedule: 'stin_team',
+      locations: ['STIN'],
+      timezone: 'Asia/Jakarta',
+      current: { id: 'sari', ...PEOPLE.sari, source: 'rotation' },
+      next: null,
+      nobodyFrom: '2026-10-19T13:00:00.000Z'
+    });
+
+    expect(scheduler.getOnCall(scheduler.schedules[0], jakarta('2026-10-20 21:00')).next).toEqual({
+      id: 'dewi',
+      ...PEOPLE.dewi,
+      source: 'override',
+      from: '2026-10-21T01:00:00.000Z'
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const ReachabilityProbe = require('../../src/probes/ReachabilityProbe');
+
+describe('ReachabilityProbe', () => {
+  let probe;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    probe = new ReachabilityProbe({ monitoring: {} }, { pingMethod: 'tcp' });
+    jest.spyOn(probe, 'ping').mockResolvedValue({ method: 'tcp', alive: true, latency: 3 });
+    jest.spyOn(probe, 'tcpConnect').mockImplementation(async (host, port) => ({ port, open: port === 22, latency: 3, error: null }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports each port of a host', async () => {
+    const result = await probe.checkHost('192.168.98.13', { ssh: 22, rdp: 3389 });
+
+    expect(result).toMatchObject({ host: '192.168.98.13', status: 'degraded' });
+    expect(result.ports.ssh).toEqual({ port: 22, open: true, latency: 3, error: null });
+  });
+
+  test('refuses invalid hosts without checking them or echoing them back', async () => {
+    const host = '10.0.0.1; rm -rf /';
+    const result = await probe.checkHost(host, { ssh: 22 });
+
+    expect(probe.ping).not.toHaveBeenCalled();
+    expect(probe.tcpConnect).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      host: null,
+      status: 'down',
+      ping: { method: 'tcp', alive: false, latency: null, error: 'invalid host' },
+      ports: { ssh: { port: 22, open: false, latency: null, error: 'invalid host' } }
+    });
+    expect(JSON.stringify(result)).not.toContain('rm -rf');
+  });
+
+  test('checks the phonebank server only when it is a valid host', async () => {
+    const result = await probe.checkDevice('http://192.168.98.13:5555/', {}, '<img src=x>');
+
+    expect(result.server).toMatchObject({ host: null, status: 'down' });
+    expect(probe.ping).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,143 @@
+const path = require('path');
+const ReplayProbe = require('../../src/probes/ReplayProbe');
+const { loadFixture } = require('../../src/probes/fixtures');
+const {
+  resolveProfile,
+  parseEndpointBody,
+  extractFromHtml,
+  buildResult
+} = require('../../src/probes/profiles');
+
+// Recordings of a device in test/fixtures, replayed without the network
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const DEVICE_URL = 'http://192.168.98.13:5555/';
+
+function fixturePath(name) {
+  return path.join(FIXTURES, '192.168.98.13_5555', `${name}.json`);
+}
+
+// What the probe extracts from a fixture, without going through ReplayProbe
+function parseFixture(name, profile = resolveProfile()) {
+  const { responses } = loadFixture(fixturePath(name));
+  const endpoint = responses['/cek.php'];
+  return buildResult(
+    extractFromHtml(responses['/'].body, profile),
+    parseEndpointBody(endpoint && endpoint.status < 400 ? endpoint.body : null, profile),
+    profile
+  );
+}
+
+describe('ReplayProbe', () => {
+  let probe;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    probe = new ReplayProbe({ fixtures: { directory: FIXTURES } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('parses the "Authorized : 30" formatting', async () => {
+    const result = await probe.check(DEVICE_URL, { fixture: '192.168.98.13_5555/odd-authorized.json' });
+
+    expect(result).toMatchObject({
+      profile: 'default',
+      authorized: 30,
+      unauthorized: 2,
+      phonebankIp: '10.10.1.5',
+      unmatched: []
+    });
+  });
+
+  test('matches what was recorded at record time', async () => {
+    for (const name of ['odd-authorized', 'endpoint-error', 'login-redirect']) {
+      const fixture = loadFixture(fixturePath(name));
+      const result = await probe.check(DEVICE_URL, { fixture: fixturePath(name) });
+
+      expect({
+        authorized: result.authorized,
+        unauthorized: result.unauthorized,
+        phonebankIp: result.phonebankIp
+      }).toEqual(fixture.result);
+    }
+  });
+
+  test('falls back to the page counts when cek.php fails', async () => {
+    const result = await probe.check(DEVICE_URL, { fixture: fixturePath('endpoint-error') });
+
+    expect(result.authorized).toBe(28);
+    expect(result.unauthorized).toBe(0);
+  });
+
+  test('leaves counts of a page without counters null instead of zero', async () => {
+    const result = await probe.check(DEVICE_URL, { fixture: fixturePath('login-redirect') });
+
+    expect(result.authorized).toBeNull();
+    expect(result.unauthorized).toBeNull();
+    expect(result.unmatched).toEqual(['authorized', 'unauthorized', 'phonebankIp']);
+  });
+
+  test('fails with the recorded network error', async () => {
+    await expect(probe.check(DEVICE_URL, { fixture: fixturePath('offline') }))
+      .rejects.toThrow('EHOSTUNREACH');
+  });
+
+  test('uses the newest recording without an explicit fixture', async () => {
+    // offline.json is the newest file name in the device's folder
+    await expect(probe.check(DEVICE_URL)).rejects.toThrow('EHOSTUNREACH');
+  });
+
+  test('fails for a device without recordings', async () => {
+    await expect(probe.check('http://192.168.98.99:5555/')).rejects.toThrow('No fixtures recorded');
+  });
+});
+
+describe('profiles.buildResult on recorded responses', () => {
+  test('extracts the "Authorized : 30" counts from page and endpoint alike', () => {
+    const profile = resolveProfile();
+    const { responses } = loadFixture(fixturePath('odd-authorized'));
+
+    expect(buildResult(extractFromHtml(responses['/'].body, profile), null, profile)).toMatchObject({
+      authorized: 30,
+      unauthorized: 2,
+      phonebankIp: '10.10.1.5'
+    });
+    expect(parseEndpointBody(responses['/cek.php'].body, profile)).toEqual({
+      authorized: 'Authorized : 30',
+      unauthorized: 'Unauthorized : 2'
+    });
+    expect(parseFixture('odd-authorized')).toMatchObject({ authorized: 30, unauthorized: 2 });
+  });
+
+  test('prefers the endpoint counts over the page', () => {
+    const profile = resolveProfile();
+    const { responses } = loadFixture(fixturePath('odd-authorized'));
+    const result = buildResult(
+      extractFromHtml(responses['/'].body, profile),
+      { authorized: '31', unauthorized: '4' },
+      profile
+    );
+
+    expect(result.authorized).toBe(31);
+    expect(result.unauthorized).toBe(4);
+    expect(result.raw.phonebankIp).toBe('10.10.1.5');
+  });
+
+  test('applies a firmware profile to the same recording', () => {
+    const profile = resolveProfile({
+      labelled: {
+        endpoint: null,
+        fields: {
+          authorized: { selector: '#auth', regex: 'Authorized\\s*:\\s*(\\d+)' },
+          phonebankIp: false
+        }
+      }
+    }, 'labelled');
+
+    const result = parseFixture('odd-authorized', profile);
+    expect(result).toMatchObject({ profile: 'labelled', authorized: 30, unauthorized: 2, unmatched: [] });
+    expect(result).not.toHaveProperty('phonebankIp');
+  });
+});
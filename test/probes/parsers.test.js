@@ -0,0 +1,76 @@
+const {
+  stripTags,
+  querySelector,
+  applyRegex,
+  parseCount
+} = require('../../src/probes/parsers');
+
+describe('stripTags', () => {
+  test('drops markup and decodes entities', () => {
+    expect(stripTags('<b>Authorized</b>&nbsp;:&nbsp;30 &amp; more ')).toBe('Authorized : 30 & more');
+  });
+});
+
+describe('querySelector', () => {
+  const html = `
+    <div class="panel">
+      <span id="auth">Authorized : <b>30</b></span>
+      <div class="count wide" data-field="unauth"><div>2</div></div>
+      <input id="ip" type="text" value="10.10.1.5">
+    </div>`;
+
+  test('finds elements by id, class and attribute', () => {
+    expect(querySelector(html, '#auth')).toMatchObject({ tag: 'span', text: 'Authorized : 30' });
+    expect(querySelector(html, '.wide').attributes['data-field']).toBe('unauth');
+    expect(querySelector(html, 'div[data-field=unauth]').text).toBe('2');
+  });
+
+  test('keeps nested elements of the same tag inside the match', () => {
+    expect(querySelector(html, '.panel').text).toContain('Authorized : 30');
+    expect(querySelector(html, '.panel').text).toContain('2');
+  });
+
+  test('returns void elements with their attributes', () => {
+    expect(querySelector(html, 'input#ip')).toEqual({
+      tag: 'input',
+      attributes: { id: 'ip', type: 'text', value: '10.10.1.5' },
+      text: ''
+    });
+  });
+
+  test('returns null for missing elements or no HTML', () => {
+    expect(querySelector(html, '#missing')).toBeNull();
+    expect(querySelector('', '#auth')).toBeNull();
+  });
+
+  test('rejects selectors it cannot read', () => {
+    expect(() => querySelector(html, 'div > span')).toThrow('Unsupported selector: div > span');
+  });
+});
+
+describe('applyRegex', () => {
+  test('prefers the first capture group over the whole match', () => {
+    expect(applyRegex('Authorized : 30', '\\d+')).toBe('30');
+    expect(applyRegex('IP 10.10.1.5 (static)', 'IP (\\S+)')).toBe('10.10.1.5');
+  });
+
+  test('trims text without a pattern and returns null without a match', () => {
+    expect(applyRegex('  10.10.1.5 ', null)).toBe('10.10.1.5');
+    expect(applyRegex('N/A', '\\d+')).toBeNull();
+    expect(applyRegex(null, '\\d+')).toBeNull();
+  });
+});
+
+describe('parseCount', () => {
+  test('reads the number out of the text', () => {
+    expect(parseCount('Authorized : 30')).toBe(30);
+    expect(parseCount('lines=12', 'lines=(\\d+)')).toBe(12);
+  });
+
+  test('returns null when the text holds no number', () => {
+    expect(parseCount('N/A')).toBeNull();
+    expect(parseCount('')).toBeNull();
+    expect(parseCount('none')).toBeNull();
+    expect(parseCount('0')).toBe(0);
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  resolveProfile,
+  getEndpointUrl,
+  parseEndpointBody,
+  extractFromHtml,
+  buildResult
+} = require('../../src/probes/profiles');
+
+const STOCK_PAGE = `
+  <span id="auth">30</span>
+  <span id="unauth">2</span>
+  <input id="ip" value="10.10.1.5">`;
+
+describe('resolveProfile', () => {
+  test('returns the stock profile by default', () => {
+    const profile = resolveProfile();
+
+    expect(profile.name).toBe('default');
+    expect(profile.endpoint).toMatchObject({ path: '/cek.php', format: 'comma' });
+    expect(profile.fields.authorized).toEqual({ selector: '#auth', regex: '\\d+' });
+  });
+
+  test('merges a custom profile over the stock one field by field', () => {
+    const profile = resolveProfile({
+      v2: { fields: { authorized: { selector: '.auth-count' } }, endpoint: { path: '/status.php' } }
+    }, 'v2');
+
+    expect(profile.fields.authorized).toEqual({ selector: '.auth-count', regex: '\\d+' });
+    expect(profile.fields.unauthorized.selector).toBe('#unauth');
+    expect(profile.endpoint).toMatchObject({ path: '/status.php', format: 'comma' });
+  });
+
+  test('drops fields set to false', () => {
+    const profile = resolveProfile({ noIp: { fields: { phonebankIp: false } } }, 'noIp');
+
+    expect(Object.keys(profile.fields)).toEqual(['authorized', 'unauthorized']);
+  });
+
+  test('turns the endpoint off with endpoint: null', () => {
+    const profile = resolveProfile({ pageOnly: { endpoint: null } }, 'pageOnly');
+
+    expect(profile.endpoint.format).toBe('none');
+    expect(getEndpointUrl('http://192.168.98.13:5555/', profile)).toBeNull();
+  });
+
+  test('throws for an unknown profile', () => {
+    expect(() => resolveProfile({}, 'v9')).toThrow('Unknown scrape profile: v9');
+  });
+});
+
+describe('getEndpointUrl', () => {
+  test('resolves the endpoint path against the device URL', () => {
+    expect(getEndpointUrl('http://192.168.98.13:5555/index.php', resolveProfile()))
+      .toBe('http://192.168.98.13:5555/cek.php');
+  });
+});
+
+describe('parseEndpointBody', () => {
+  test('splits comma bodies into the configured fields', () => {
+    expect(parseEndpointBody('28,3\n', resolveProfile())).toEqual({ authorized: '28', unauthorized: '3' });
+  });
+
+  test('returns null for bodies that do not fit the format', () => {
+    expect(parseEndpointBody('<html>Login</html>', resolveProfile())).toBeNull();
+    expect(parseEndpointBody('', resolveProfile())).toBeNull();
+  });
+
+  test('reads dotted keys from JSON bodies', () => {
+    const profile = resolveProfile({
+      json: { endpoint: { format: 'json', fields: { authorized: 'lines.auth', unauthorized: 'lines.unauth' } } }
+    }, 'json');
+
+    expect(parseEndpointBody('{"lines":{"auth":28,"unauth":0}}', profile)).toEqual({ authorized: '28', unauthorized: '0' });
+    expect(parseEndpointBody('{"other":1}', profile)).toBeNull();
+    expect(parseEndpointBody('not json', profile)).toBeNull();
+  });
+
+  test('reads named groups from regex bodies', () => {
+    const profile = resolveProfile({
+      regex: { endpoint: { format: 'regex', pattern: 'A=(?<authorized>\\d+) U=(?<unauthorized>\\d+)' } }
+    }, 'regex');
+
+    expect(parseEndpointBody('A=12 U=1', profile)).toEqual({ authorized: '12', unauthorized: '1' });
+    expect(parseEndpointBody('nothing', profile)).toBeNull();
+  });
+});
+
+describe('extractFromHtml', () => {
+  test('reads text and attributes and leaves out missing elements', () => {
+    expect(extractFromHtml(STOCK_PAGE, resolveProfile())).toEqual({
+      authorized: '30',
+      unauthorized: '2',
+      phonebankIp: '10.10.1.5'
+    });
+    expect(extractFromHtml('<span id="auth">30</span>', resolveProfile())).toEqual({ authorized: '30' });
+  });
+});
+
+describe('buildResult', () => {
+  test('prefers endpoint values over the page', () => {
+    const profile = resolveProfile();
+    const result = buildResult(extractFromHtml(STOCK_PAGE, profile), { authorized: '28', unauthorized: '3' }, profile);
+
+    expect(result).toMatchObject({
+      profile: 'default',
+      authorized: 28,
+      unauthorized: 3,
+      phonebankIp: '10.10.1.5',
+      unmatched: []
+    });
+  });
+
+  test('keeps unparseable counts null instead of zero', () => {
+    const profile = resolveProfile();
+    const result = buildResult({ authorized: 'N/A' }, null, profile);
+
+    expect(result).toMatchObject({ authorized: null, unauthorized: null, phonebankIp: 'N/A' });
+    expect(result.unmatched).toEqual(['authorized', 'unauthorized', 'phonebankIp']);
+  });
+
+  test('keeps a real zero', () => {
+    const profile = resolveProfile();
+    const result = buildResult({}, { authorized: '0', unauthorized: '0' }, profile);
+
+    expect(result).toMatchObject({ authorized: 0, unauthorized: 0 });
+    expect(result.unmatched).toEqual(['phonebankIp']);
+  });
+});